@@ -6,23 +6,27 @@
    with an "Open in Lab" button that rehydrates the parameters — turning a
    viewer into a creator.
 
-   BACKEND IS PLUGGABLE. Right now it runs against a local STUB
-   (localStorage + a fake CID) so the whole flow is clickable with zero infra.
-   To go live, swap `publish()` / `list()` / `get()` to call a Cloudflare
-   Worker that pins to Pinata (the master JWT stays server-side in the Worker,
-   never in this file). The UI does not change.
+   BACKEND IS PLUGGABLE. Without an API base it runs against a local STUB
+   (IndexedDB in this browser, localStorage where that is missing) so the
+   whole flow is clickable with zero infra. With one — configure({ apiBase }),
+   window.PIXEL_GALLERY_API_BASE or <meta name="pixel-gallery-api"> — every
+   call goes to the gallery Worker (worker/), which owns storage and its
+   secrets. A publish that fails for a retryable reason waits in the outbox
+   and is sent again with backoff, and pieces made on the stub can be
+   uploaded to the Worker (migrateStubs). The UI does not change.
    ───────────────────────────────────────────────────────────────────────── */
 (function (global) {
   "use strict";
 
   var KEY = "pixel_gallery_v1";
-  var MAX_ITEMS = 40;          // stub-only cap so we never blow localStorage
-  var THUMB_SIZE = 520;        // stub-only downscale for stored thumbnails
-  // Published images are downscaled+recompressed before hitting the Worker so a
-  // 2x lossless PNG from a high-entropy Lab (e.g. the Yohei raymarcher) can't
-  // exceed the Worker's 8 MB cap — and pins stay small (Pinata quota).
+  var MAX_ITEMS = 40;          // localStorage fallback only: cap so we never blow it
+  var THUMB_SIZE = 520;        // stub grid thumbnails
+  // Published images are downscaled before hitting the Worker so a 2x PNG from
+  // a high-entropy Lab (e.g. the Yohei raymarcher) can't exceed the Worker's
+  // 8 MB cap: at 1280 px a PNG tops out near 6.6 MB. They stay PNG (not JPEG)
+  // so the Worker can write the recipe chunk into the stored file.
   var PUBLISH_MAX_EDGE = 1280;
-  var PUBLISH_QUALITY = 0.9;
+  var RECIPE_KEYWORD = "pixel-recipe";   // PNG iTXt chunk, see "recipe PNGs" below
 
   /* ── backend selection ────────────────────────────────────────────────
      If an API base is configured, the browser talks ONLY to the Worker and
@@ -32,6 +36,8 @@
        or <meta name="pixel-gallery-api" content="…">
        or PixelGallery.configure({ apiBase }) */
   var API_BASE = null;
+  var API_KEY = null;          // optional signed API key; otherwise an anonymous session is used
+  var SIGNER = null;           // optional Kaspa wallet: { getAddress(), signMessage(message) }
   (function () {
     if (typeof window !== "undefined" && window.PIXEL_GALLERY_API_BASE) {
       API_BASE = String(window.PIXEL_GALLERY_API_BASE);
@@ -43,38 +49,410 @@
   })();
   function configure(opts) {
     if (opts && opts.apiBase != null) API_BASE = String(opts.apiBase).replace(/\/+$/, "");
+    if (opts && opts.apiKey != null) API_KEY = opts.apiKey ? String(opts.apiKey) : null;
+    if (opts && opts.signer !== undefined) SIGNER = opts.signer || null;
   }
   function usingWorker() { return !!API_BASE; }
 
-  /* ── patch <-> URL (base64url of JSON) ───────────────────────────────── */
-  function encodePatch(obj) {
-    var json = JSON.stringify(obj);
-    return btoa(unescape(encodeURIComponent(json)))
-      .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  /* ── patch <-> URL ─────────────────────────────────────────────────────
+     A permalink carries its patch in ?patch=. The compact form is
+
+       "c1." + base64url(deflate(JSON))
+
+     with the long parameter names in PATCH_KEYS swapped for "~" + their index
+     (base 36) before deflating with CompressionStream; a real key that starts
+     with "~" gets a second one. Links from before it are plain base64url JSON
+     (never a "."), which decodePatch still reads and which browsers without
+     CompressionStream keep writing. Both directions are async.
+
+     PATCH_KEYS is append-only: links already shared decode against it, so a
+     new name goes on the end and nothing is ever removed or reordered. ── */
+  var PATCH_FORMAT = "c1.";
+  var PATCH_KEYS = [
+    // envelope ("versioned patches" below)
+    "labId", "schemaVersion", "state",
+    // sykora-lab
+    "motif", "motifLength", "motifThickness", "gridSize", "rotationMode", "rotationBase", "rotationStep",
+    "scaleMode", "scaleBase", "scaleVar", "mirrorMode", "density", "spacing", "colorMode", "seed",
+    "animSpeed", "animMode", "field", "fieldScale",
+    // koma-p5
+    "speed", "zoom", "step", "warp", "fade", "invert", "size",
+    // yohei-glsl
+    "stepk", "swirl", "swspd", "bias", "steps", "gain", "gamma", "growth", "shader",
+    // synthi-visual-engine
+    "wave", "ceHue", "ceSpan", "ceSat", "ceBrt", "ceGlow", "ceSpeed"
+  ];
+  var PATCH_CODES = {}, CODE_KEYS = {};
+  PATCH_KEYS.forEach(function (k, i) {
+    PATCH_CODES[k] = "~" + i.toString(36);
+    CODE_KEYS[PATCH_CODES[k]] = k;
+  });
+  var hasOwn = Object.prototype.hasOwnProperty;
+
+  function packKey(k) {
+    if (hasOwn.call(PATCH_CODES, k)) return PATCH_CODES[k];
+    return k.charAt(0) === "~" ? "~" + k : k;
   }
-  function decodePatch(str) {
+  function unpackKey(k) {
+    if (k.charAt(0) !== "~") return k;
+    if (k.charAt(1) === "~") return k.slice(1);
+    if (!hasOwn.call(CODE_KEYS, k)) throw new Error("unknown patch key " + k);
+    return CODE_KEYS[k];
+  }
+  // the same value with every object key (at any depth) passed through fn
+  function mapKeys(v, fn) {
+    if (Array.isArray(v)) return v.map(function (x) { return mapKeys(x, fn); });
+    if (!v || typeof v !== "object") return v;
+    var out = {};
+    Object.keys(v).forEach(function (k) { out[fn(k)] = mapKeys(v[k], fn); });
+    return out;
+  }
+
+  function bytesToB64url(bytes) {
+    var bin = "";
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+  function b64urlToBytes(str) {
+    var bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    var out = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+  // bytes through a (De)CompressionStream -> Promise<Uint8Array>
+  function pipeBytes(bytes, stream) {
+    return new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+      .then(function (buf) { return new Uint8Array(buf); });
+  }
+
+  // the legacy form; the stub gallery's page cursors use it too
+  function encodeJson64(obj) {
+    return bytesToB64url(new TextEncoder().encode(JSON.stringify(obj)));
+  }
+  function decodeJson64(str) {
     if (!str) return null;
-    str = str.replace(/-/g, "+").replace(/_/g, "/");
-    try { return JSON.parse(decodeURIComponent(escape(atob(str)))); }
+    try { return JSON.parse(new TextDecoder().decode(b64urlToBytes(str))); }
     catch (e) { return null; }
   }
 
-  /* ── stub storage helpers ────────────────────────────────────────────── */
+  // -> Promise<string>: the compact form, unless the legacy one comes out shorter
+  function encodePatch(obj) {
+    var legacy = encodeJson64(obj);
+    if (typeof CompressionStream !== "function") return Promise.resolve(legacy);
+    var json = JSON.stringify(mapKeys(obj, packKey));
+    return pipeBytes(new TextEncoder().encode(json), new CompressionStream("deflate"))
+      .then(function (z) {
+        var compact = PATCH_FORMAT + bytesToB64url(z);
+        return compact.length < legacy.length ? compact : legacy;
+      })
+      .catch(function () { return legacy; });
+  }
+  // -> Promise<patch | null>, for either form
+  function decodePatch(str) {
+    if (!str) return Promise.resolve(null);
+    if (str.indexOf(PATCH_FORMAT) !== 0) return Promise.resolve(decodeJson64(str));
+    if (typeof DecompressionStream !== "function") {
+      console.warn("[gallery] this browser cannot read compressed patch links");
+      return Promise.resolve(null);
+    }
+    return Promise.resolve()
+      .then(function () {
+        return pipeBytes(b64urlToBytes(str.slice(PATCH_FORMAT.length)), new DecompressionStream("deflate"));
+      })
+      .then(function (bytes) { return mapKeys(JSON.parse(new TextDecoder().decode(bytes)), unpackKey); })
+      .catch(function (e) {
+        console.warn("[gallery] could not decode patch", e);
+        return null;
+      });
+  }
+
+  /* ── versioned patches ────────────────────────────────────────────────
+     A published patch is an envelope { labId, schemaVersion, state }: state is
+     what captureState() returned, schemaVersion the Lab's schema when it did.
+     When a Lab renames or reshapes a parameter it bumps `schemaVersion` in
+     registerLab and adds a migration for that step,
+
+       migrations: { 2: function (state) { state.motif = state.shape; delete state.shape; return state; } }
+
+     and every older patch (permalinks, ?patch= links, recipe PNGs, gallery
+     items) is upgraded step by step before restoreState sees it. A patch from
+     before envelopes is the bare state and counts as version 1. ── */
+  function isEnvelope(p) {
+    return !!p && typeof p === "object" && typeof p.schemaVersion === "number" && "state" in p;
+  }
+  // the Lab state inside a patch, envelope or not (what search filters look at)
+  function patchState(p) { return isEnvelope(p) ? p.state : p; }
+  function schemaVersion(spec) { return spec && spec.schemaVersion > 0 ? spec.schemaVersion : 1; }
+  function envelope(labId, state) {
+    if (state == null || isEnvelope(state)) return state;
+    return { labId: labId, schemaVersion: schemaVersion(_labs[labId]), state: state };
+  }
+  // any patch for this Lab -> its state at the Lab's current schema, or null
+  // when it belongs to another Lab or a migration fails
+  function upgradePatch(labId, p) {
+    if (p == null) return null;
+    var spec = _labs[labId], to = schemaVersion(spec);
+    if (isEnvelope(p) && p.labId && p.labId !== labId) {
+      console.warn("[gallery] patch is for " + p.labId + ", not " + labId);
+      return null;
+    }
+    var from = isEnvelope(p) ? p.schemaVersion : 1;
+    var state = patchState(p);
+    if (from > to) console.warn("[gallery] patch schema " + from + " is newer than " + labId + "'s " + to);
+    var migrations = (spec && spec.migrations) || {};
+    for (var v = from + 1; v <= to; v++) {
+      if (!migrations[v]) continue;               // nothing changed in that version's shape
+      try { state = migrations[v](state); }
+      catch (e) {
+        console.warn("[gallery] " + labId + " migration to schema " + v + " failed", e);
+        return null;
+      }
+    }
+    return state;
+  }
+
+  /* ── stub storage ─────────────────────────────────────────────────────
+     IndexedDB database DB_NAME: "items" holds the records (keyPath id) and
+     "images" holds { id, full, thumb } Blobs — the full image exactly as the
+     Worker would store it (PNG, at most PUBLISH_MAX_EDGE, recipe chunk
+     included) and a THUMB_SIZE JPEG for the grid. Records come back with
+     `image` / `thumb` as object URLs.
+
+     Before a write the store asks navigator.storage.estimate() and evicts the
+     oldest pieces until the new one fits in STORE_SHARE of the origin's quota;
+     if the browser still refuses the write, one more goes and it retries. The
+     evicted records are returned to the caller, never dropped quietly.
+
+     The same database holds the Worker publish outbox (see "offline outbox").
+
+     Without IndexedDB (some private modes) the older localStorage KEY is used:
+     thumbnails only, at most MAX_ITEMS. Items found under KEY are moved into
+     IndexedDB the first time it opens. ── */
+  var DB_NAME = "pixel_gallery";
+  var STORE_SHARE = 0.8;       // of the origin quota; the rest is left to the site
+  var _db = null;              // Promise<IDBDatabase | null>, opened once
+  var _urls = {};              // id -> { thumb, image } object URLs, made once per page
+
+  function copy(x) { var y = {}; for (var k in x) y[k] = x[k]; return y; }
+  function byNewest(a, b) { return b.ts - a.ts; }
+
   function readAll() {
     try { return JSON.parse(localStorage.getItem(KEY)) || []; }
     catch (e) { return []; }
   }
+  // -> how many of arr (newest first) were stored; when full, the oldest half
+  // is dropped and it retries once
   function writeAll(arr) {
-    try { localStorage.setItem(KEY, JSON.stringify(arr)); return true; }
+    try { localStorage.setItem(KEY, JSON.stringify(arr)); return arr.length; }
     catch (e) {
-      // storage full — drop oldest half and retry once
       arr = arr.slice(0, Math.max(1, Math.floor(arr.length / 2)));
-      try { localStorage.setItem(KEY, JSON.stringify(arr)); return true; }
-      catch (e2) { return false; }
+      try { localStorage.setItem(KEY, JSON.stringify(arr)); return arr.length; }
+      catch (e2) { return 0; }
     }
   }
 
-  function makeThumb(dataURL, size, quality) {
+  function idbRequest(r) {
+    return new Promise(function (resolve, reject) {
+      r.onsuccess = function () { resolve(r.result); };
+      r.onerror = function () { reject(r.error); };
+    });
+  }
+  function txDone(tx) {
+    return new Promise(function (resolve, reject) {
+      tx.oncomplete = function () { resolve(); };
+      tx.onerror = tx.onabort = function () { reject(tx.error || new Error("IndexedDB transaction aborted")); };
+    });
+  }
+  // -> the database, or null when IndexedDB is unavailable (then KEY is used)
+  function openDB() {
+    if (_db) return _db;
+    _db = new Promise(function (resolve) {
+      var open;
+      try { open = indexedDB.open(DB_NAME, 2); } catch (e) { resolve(null); return; }
+      open.onupgradeneeded = function () {
+        var db = open.result;
+        ["items", "images", "outbox"].forEach(function (name) {   // outbox: version 2
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+        });
+      };
+      open.onsuccess = function () { resolve(open.result); };
+      open.onerror = open.onblocked = function () { resolve(null); };
+    }).then(function (db) {
+      if (!db) return null;
+      return importLegacy(db).then(function () { return db; }, function (err) {
+        console.warn("[gallery] localStorage items not moved", err);
+        return db;
+      });
+    });
+    return _db;
+  }
+  // move KEY's items (thumbnail data URLs) into IndexedDB, then clear KEY
+  function importLegacy(db) {
+    var old = readAll();
+    if (!old.length) return Promise.resolve();
+    var tx = db.transaction(["items", "images"], "readwrite");
+    old.forEach(function (x) {
+      var blob;
+      try { blob = dataURLBlob(x.thumb); } catch (e) { return; }
+      var rec = copy(x);
+      delete rec.thumb;
+      tx.objectStore("items").put(rec);
+      tx.objectStore("images").put({ id: x.id, full: blob, thumb: blob });
+    });
+    return txDone(tx).then(function () { localStorage.removeItem(KEY); });
+  }
+  function withUrls(x, images) {
+    if (!_urls[x.id] && images) {
+      _urls[x.id] = { thumb: URL.createObjectURL(images.thumb), image: URL.createObjectURL(images.full) };
+    }
+    var u = _urls[x.id] || { thumb: "", image: "" };
+    x.thumb = u.thumb;
+    x.image = u.image;
+    return x;
+  }
+  function forgetUrls(id) {
+    var u = _urls[id];
+    if (!u) return;
+    URL.revokeObjectURL(u.thumb);
+    URL.revokeObjectURL(u.image);
+    delete _urls[id];
+  }
+  // [records newest first, { id -> images }] straight from IndexedDB
+  function idbAll(db) {
+    var tx = db.transaction(["items", "images"], "readonly");
+    return Promise.all([
+      idbRequest(tx.objectStore("items").getAll()),
+      idbRequest(tx.objectStore("images").getAll())
+    ]).then(function (r) {
+      var images = {};
+      r[1].forEach(function (m) { images[m.id] = m; });
+      return [r[0].sort(byNewest), images];
+    });
+  }
+
+  // every stub record, newest first, with `thumb` / `image` URLs
+  function stubItems() {
+    return openDB().then(function (db) {
+      if (!db) return readAll().sort(byNewest);
+      return idbAll(db).then(function (r) {
+        return r[0].map(function (x) { return withUrls(x, r[1][x.id]); });
+      });
+    });
+  }
+  // -> the stored full image Blob, or null (none, or the localStorage fallback)
+  function stubImage(id) {
+    return openDB().then(function (db) {
+      if (!db) return null;
+      return idbRequest(db.transaction(["images"], "readonly").objectStore("images").get(id))
+        .then(function (m) { return m ? m.full : null; });
+    });
+  }
+  function estimate() {
+    var s = typeof navigator !== "undefined" && navigator.storage;
+    return s && s.estimate ? s.estimate().catch(function () { return null; }) : Promise.resolve(null);
+  }
+  // store a new record with its full image Blob and thumbnail data URL.
+  // -> the records evicted to make room (usually none)
+  function stubSave(item, full, thumbURL) {
+    return openDB().then(function (db) {
+      if (!db) return saveLegacy(item, thumbURL);
+      var thumb = dataURLBlob(thumbURL);
+      if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(function () {});
+      return Promise.all([idbAll(db), estimate()]).then(function (r) {
+        var rows = r[0][0], images = r[0][1], est = r[1], evict = [];
+        function size(x) { var m = images[x.id]; return m ? m.full.size + (m.thumb === m.full ? 0 : m.thumb.size) : 0; }
+        if (est && est.quota) {
+          var over = est.usage + full.size + thumb.size - est.quota * STORE_SHARE;
+          while (over > 0 && rows.length) {
+            var old = rows.pop();
+            evict.push(old);
+            over -= size(old);
+          }
+        }
+        function write() {
+          var tx = db.transaction(["items", "images"], "readwrite");
+          evict.forEach(function (x) {
+            tx.objectStore("items").delete(x.id);
+            tx.objectStore("images").delete(x.id);
+          });
+          tx.objectStore("items").put(item);
+          tx.objectStore("images").put({ id: item.id, full: full, thumb: thumb });
+          return txDone(tx).then(function () {
+            evict.forEach(function (x) { forgetUrls(x.id); });
+            return evict;
+          }, function (err) {
+            // the estimate was off: make room for one more and try again
+            if (!err || err.name !== "QuotaExceededError" || !rows.length) throw err;
+            evict.push(rows.pop());
+            return write();
+          });
+        }
+        return write();
+      });
+    });
+  }
+  function saveLegacy(item, thumbURL) {
+    var rec = copy(item);
+    rec.thumb = thumbURL;
+    var all = [rec].concat(readAll());
+    var kept = writeAll(all.slice(0, MAX_ITEMS));
+    if (!kept) throw new Error("local storage is full");
+    return all.slice(kept);
+  }
+  // change(record) edits one stored record in place -> the record, or null
+  function stubUpdate(id, change) {
+    return openDB().then(function (db) {
+      if (!db) {
+        var all = readAll(), it = all.filter(function (x) { return x.id === id; })[0] || null;
+        if (it) { change(it); writeAll(all); }
+        return it;
+      }
+      var tx = db.transaction(["items"], "readwrite"), store = tx.objectStore("items");
+      var get = store.get(id), it = null;
+      get.onsuccess = function () {
+        it = get.result || null;
+        if (it) { change(it); store.put(it); }
+      };
+      return txDone(tx).then(function () { return it; });
+    });
+  }
+
+  // -> { backend: "indexeddb" | "localStorage" | "worker", items, bytes, usage, quota, persisted }
+  //    bytes: what the stub gallery holds; usage / quota: the whole origin, null when unknown
+  function storageUsage() {
+    if (usingWorker()) return Promise.resolve({ backend: "worker" });
+    var s = typeof navigator !== "undefined" && navigator.storage;
+    return Promise.all([
+      openDB(),
+      estimate(),
+      s && s.persisted ? s.persisted().catch(function () { return false; }) : false
+    ]).then(function (r) {
+      var db = r[0], est = r[1] || {};
+      var base = { usage: est.usage == null ? null : est.usage, quota: est.quota || null, persisted: !!r[2] };
+      if (!db) {
+        var raw = localStorage.getItem(KEY) || "";
+        base.backend = "localStorage";
+        base.items = readAll().length;
+        base.bytes = raw.length * 2;   // UTF-16 in the browser's own accounting
+        return base;
+      }
+      return idbAll(db).then(function (all) {
+        base.backend = "indexeddb";
+        base.items = all[0].length;
+        base.bytes = 0;
+        Object.keys(all[1]).forEach(function (id) {
+          var m = all[1][id];
+          base.bytes += m.full.size + (m.thumb === m.full ? 0 : m.thumb.size);
+        });
+        return base;
+      });
+    });
+  }
+
+  // the image drawn at most `size` px on its long edge; null if it won't load
+  function scaledCanvas(dataURL, size) {
     return new Promise(function (resolve) {
       var img = new Image();
       img.onload = function () {
@@ -83,106 +461,974 @@
         c.width = Math.max(1, Math.round(img.width * s));
         c.height = Math.max(1, Math.round(img.height * s));
         c.getContext("2d").drawImage(img, 0, 0, c.width, c.height);
-        try { resolve(c.toDataURL("image/jpeg", quality == null ? 0.85 : quality)); }
-        catch (e) { resolve(dataURL); }
+        resolve(c);
       };
-      img.onerror = function () { resolve(dataURL); };
+      img.onerror = function () { resolve(null); };
       img.src = dataURL;
     });
   }
+  function makeThumb(dataURL, size, quality) {
+    return scaledCanvas(dataURL, size).then(function (c) {
+      if (!c) return dataURL;
+      try { return c.toDataURL("image/jpeg", quality == null ? 0.85 : quality); }
+      catch (e) { return dataURL; }
+    });
+  }
+  // the image scaled like makeThumb, as a PNG Blob straight from canvas.toBlob —
+  // what the Worker upload sends
+  function makeBlob(dataURL, size) {
+    return scaledCanvas(dataURL, size).then(function (c) {
+      if (!c) return dataURLBlob(dataURL);
+      return new Promise(function (resolve) {
+        try {
+          c.toBlob(function (b) { resolve(b || dataURLBlob(dataURL)); }, "image/png");
+        } catch (e) { resolve(dataURLBlob(dataURL)); }
+      });
+    });
+  }
 
   /* ── local STUB backend (no infra) ────────────────────────────────────
      Browser-local only. Used when no API base is configured. */
   function stubPublish(payload) {
     // payload: { pngDataURL, patch, lab, labUrl, title, parentId }
-    return makeThumb(payload.pngDataURL, THUMB_SIZE).then(function (thumb) {
-      var id = "stub-" + Date.now().toString(36) + "-" +
-               Math.random().toString(36).slice(2, 7);
-      var item = {
-        id: id,
-        lab: payload.lab || "Lab",
-        labId: payload.labId || null,          // stable Lab id (for filtering / featured lab)
-        labUrl: payload.labUrl || "/",
-        title: payload.title || payload.lab || "Untitled",
-        patch: payload.patch || null,          // serialized captureState() output
-        parentId: payload.parentId || null,    // remix lineage
-        featured: false,                       // discovery flag (curation comes later)
-        thumb: thumb,
-        ts: Date.now(),
-        backend: "stub"
-      };
-      var all = readAll();
-      all.unshift(item);
-      if (all.length > MAX_ITEMS) all = all.slice(0, MAX_ITEMS);
-      writeAll(all);
+    var id = "stub-" + Date.now().toString(36) + "-" +
+             Math.random().toString(36).slice(2, 7);
+    var item = {
+      id: id,
+      lab: payload.lab || "Lab",
+      labId: payload.labId || null,          // stable Lab id (for filtering / featured lab)
+      labUrl: payload.labUrl || "/",
+      title: payload.title || payload.lab || "Untitled",
+      patch: payload.patch || null,          // serialized captureState() output
+      parentId: payload.parentId || null,    // remix lineage
+      featured: false,                       // discovery flag (curation comes later)
+      ts: Date.now(),
+      backend: "stub"
+    };
+    var thumb;
+    // the same image the Worker would keep: bounded PNG with the recipe chunk
+    var full = makeBlob(payload.pngDataURL, PUBLISH_MAX_EDGE).then(function (b) {
+      return b.arrayBuffer().then(function (buf) {
+        var bytes = new Uint8Array(buf);
+        return isPNG(bytes) ? pngWithRecipe(bytes, { labId: item.labId, parentId: item.parentId, patch: item.patch }) : b;
+      });
+    });
+    return Promise.all([full, makeThumb(payload.pngDataURL, THUMB_SIZE)]).then(function (r) {
+      thumb = r[1];
+      return stubSave(item, r[0], thumb);
+    }).then(function (evicted) {
+      item.thumb = thumb;
       return {
         id: id,
-        url: location.origin + "/gallery.html?item=" + encodeURIComponent(id),
-        item: item
+        url: permalink(id),
+        item: item,
+        evicted: evicted     // older pieces removed to make room
       };
     });
   }
 
-  function stubList() { return Promise.resolve(readAll()); }
+  function stubList() { return stubItems(); }
+  // Same query contract as the Worker's /gallery (newest first, opaque cursor),
+  // so gallery.html pages identically against either backend.
+  function stubListPage(q) {
+    q = q || {};
+    var limit = Math.min(100, q.limit || 60);
+    var after = q.cursor ? decodeJson64(q.cursor) : null;
+    return stubItems().then(function (all) { return pageOf(all, q, limit, after); });
+  }
+  function pageOf(all, q, limit, after) {
+    var remixes = {};
+    all.forEach(function (x) { if (x.parentId) remixes[x.parentId] = (remixes[x.parentId] || 0) + 1; });
+    // rank value for the Worker's sort=remixed|liked|trending (trending ~ remixes
+    // and likes here: the stub has no event history to decay)
+    function rank(x) {
+      if (q.sort === "remixed") return x.remixes;
+      if (q.sort === "liked") return x.likes || 0;
+      if (q.sort === "trending") return 3 * x.remixes + (x.likes || 0);
+      return 0;
+    }
+    function order(a, b) {
+      return (rank(b) - rank(a)) || (b.ts - a.ts) || (a.id < b.id ? 1 : -1);
+    }
+    var rows = all.map(function (x) {
+      var y = copy(x);
+      y.remixes = remixes[x.id] || 0;
+      return y;
+    }).filter(function (x) {
+      if (q.labId && x.labId !== q.labId) return false;
+      if (q.parentId && x.parentId !== q.parentId) return false;
+      if (q.author && x.author !== String(q.author).toLowerCase()) return false;
+      if (q.featured != null && !!x.featured !== !!q.featured) return false;
+      if (q.before != null && !(x.ts < q.before)) return false;
+      if (q.after != null && !(x.ts > q.after)) return false;
+      if (after && order(after, x) >= 0) return false;
+      return true;
+    }).sort(order);
+    var items = rows.slice(0, limit);
+    var last = items[items.length - 1];
+    return {
+      items: items,
+      nextCursor: rows.length > items.length
+        ? encodeJson64({ ts: last.ts, id: last.id, remixes: last.remixes, likes: last.likes || 0 })
+        : null
+    };
+  }
+  // worker/src/search.js in small: each word must start a word of the title,
+  // Lab name or labId; a patch filter is a value (any case) or "min..max" on a
+  // dotted path, array indices left out
+  function searchWords(text) {
+    var s = String(text || "");
+    if (s.normalize) s = s.normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+    return s.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  }
+  function patchValues(v, path, out) {
+    if (Array.isArray(v)) v.forEach(function (x) { patchValues(x, path, out); });
+    else if (v && typeof v === "object") {
+      Object.keys(v).forEach(function (k) { patchValues(v[k], path ? path + "." + k.toLowerCase() : k.toLowerCase(), out); });
+    } else if (path && v != null) (out[path] = out[path] || []).push(String(v).toLowerCase());
+    return out;
+  }
+  function patchMatches(values, want) {
+    var range = /^(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/.exec(String(want).trim());
+    return (values || []).some(function (v) {
+      if (range && (range[1] || range[2])) {
+        var n = parseFloat(v);
+        return !isNaN(n) && (range[1] == null || n >= +range[1]) && (range[2] == null || n <= +range[2]);
+      }
+      return v === String(want).trim().toLowerCase() || (!isNaN(parseFloat(v)) && +v === +want);
+    });
+  }
+  function stubSearch(q) {
+    q = q || {};
+    var limit = Math.min(100, q.limit || 60);
+    var after = q.cursor ? decodeJson64(q.cursor) : null;
+    var terms = searchWords(q.q), filters = q.patch || {};
+    return stubItems().then(function (all) { return searchPage(all, q, limit, after, terms, filters); });
+  }
+  function searchPage(all, q, limit, after, terms, filters) {
+    var rows = all.filter(function (x) {
+      if (q.labId && x.labId !== q.labId) return false;
+      if (q.author && x.author !== String(q.author).toLowerCase()) return false;
+      if (after && !(x.ts < after.ts || (x.ts === after.ts && x.id < after.id))) return false;
+      var own = searchWords([x.title, x.lab, x.labId].join(" "));
+      var ok = terms.every(function (w) { return own.some(function (o) { return o.indexOf(w) === 0; }); });
+      var values = ok ? patchValues(patchState(x.patch), "", {}) : null;
+      return ok && Object.keys(filters).every(function (k) { return patchMatches(values[k.toLowerCase()], filters[k]); });
+    }).sort(function (a, b) { return (b.ts - a.ts) || (a.id < b.id ? 1 : -1); });
+    var items = rows.slice(0, limit);
+    var last = items[items.length - 1];
+    return {
+      items: items,
+      nextCursor: rows.length > items.length ? encodeJson64({ ts: last.ts, id: last.id }) : null
+    };
+  }
   function stubGet(id) {
-    var found = readAll().filter(function (x) { return x.id === id; })[0] || null;
-    return Promise.resolve(found);
+    return stubItems().then(function (all) {
+      return all.filter(function (x) { return x.id === id; })[0] || null;
+    });
+  }
+  // Same shape as the Worker's /lineage, walked over this browser's items.
+  function stubLineage(id, opts) {
+    return stubItems().then(function (all) { return lineageOf(all, id, opts); });
+  }
+  function lineageOf(all, id, opts) {
+    var byId = {}, kids = {};
+    all.forEach(function (x) {
+      byId[x.id] = x;
+      if (x.parentId) (kids[x.parentId] = kids[x.parentId] || []).push(x);
+    });
+    var it = byId[id];
+    if (!it) return null;
+    function node(x) {
+      return { id: x.id, title: x.title, lab: x.lab, labId: x.labId || null, thumb: x.thumb,
+               author: x.author || null, parentId: x.parentId || null, ts: x.ts };
+    }
+    var ancestors = [], seen = {}, p = it.parentId;
+    seen[id] = true;
+    while (p && !seen[p]) {
+      seen[p] = true;
+      ancestors.unshift(byId[p] ? node(byId[p]) : { id: p, removed: true });
+      p = byId[p] && byId[p].parentId;
+    }
+    function grow(x, depth) {
+      var n = node(x);
+      n.children = depth > 0
+        ? (kids[x.id] || []).sort(function (a, b) { return b.ts - a.ts; })
+            .map(function (c) { return grow(c, depth - 1); })
+        : null;
+      return n;
+    }
+    var depth = opts && opts.depth != null ? opts.depth : 3;
+    return { id: id, ancestors: ancestors, tree: grow(it, depth), truncated: false };
+  }
+
+  // one like per device in the stub (the Worker enforces one per session)
+  function stubLike(id) {
+    var added = !liked(id);
+    return stubUpdate(id, function (it) { if (added) it.likes = (it.likes || 0) + 1; }).then(function (it) {
+      if (!it) throw new Error("not found");
+      return { likes: it.likes || 0, added: added };
+    });
   }
 
   /* ── WORKER backend (platform API) ────────────────────────────────────
      The browser never touches storage — it only speaks /api/v1 to the Worker. */
-  function workerPublish(payload) {
-    // Bound the image before upload: downscale to a max edge + JPEG so a 2x
-    // lossless PNG can't exceed the Worker's 8 MB cap (returns 413 otherwise).
-    return makeThumb(payload.pngDataURL, PUBLISH_MAX_EDGE, PUBLISH_QUALITY).then(function (png) {
-      return fetch(API_BASE + "/api/v1/publish", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        png: png,
-        patch: payload.patch,
-        lab: payload.lab,
-        labId: payload.labId,
-        labUrl: payload.labUrl,
-        title: payload.title,
-        parentId: payload.parentId,
-      }),
-    }).then(function (r) {
+
+  // Publishing needs a bearer token. Without a configured API key the Worker
+  // hands out an anonymous session, cached per API base until shortly before
+  // it expires.
+  var SESSION_KEY = "pixel_gallery_session";
+  function sessionToken(fresh) {
+    if (API_KEY) return Promise.resolve(API_KEY);
+    if (!fresh) {
+      try {
+        var s = JSON.parse(localStorage.getItem(SESSION_KEY));
+        if (s && s.base === API_BASE && s.expiresAt - 60000 > Date.now()) return Promise.resolve(s.token);
+      } catch (e) { /* no cached session */ }
+    }
+    return fetch(API_BASE + "/api/v1/session", { method: "POST" }).then(function (r) {
       return r.json().then(function (d) {
-        if (!r.ok) throw new Error(d && d.error ? d.error : "HTTP " + r.status);
+        if (!r.ok) throw apiError(r, d);
+        try {
+          localStorage.setItem(SESSION_KEY, JSON.stringify({ base: API_BASE, token: d.token, expiresAt: d.expiresAt }));
+        } catch (e) { /* storage full — the token still works for this call */ }
+        return d.token;
+      });
+    });
+  }
+  // POST with the bearer token; a cached session the Worker no longer accepts
+  // (secret rotated) gets one fresh retry
+  // body: a JSON string, or FormData (the browser sets its multipart boundary)
+  function authedPost(path, body) {
+    function send(fresh) {
+      return sessionToken(fresh).then(function (token) {
+        var headers = { "Authorization": "Bearer " + token };
+        if (typeof body === "string") headers["Content-Type"] = "application/json";
+        return fetch(API_BASE + path, { method: "POST", headers: headers, body: body });
+      });
+    }
+    return send(false).then(function (r) {
+      return r.status === 401 && !API_KEY ? send(true) : r;
+    });
+  }
+  // `what` names the rate-limited action in the 429 message ("publishes", "likes"…)
+  function apiError(r, d, what) {
+    if (r.status === 429) {
+      var wait = parseInt(r.headers.get("Retry-After") || (d && d.retryAfter) || "0", 10);
+      var limited = new Error("too many " + (what || "requests") + " — try again in " + (wait > 90 ? Math.ceil(wait / 60) + " min" : wait + "s"));
+      limited.status = 429;
+      limited.retryAfter = wait;
+      return limited;
+    }
+    var err = new Error(d && d.error ? d.error : "HTTP " + r.status);
+    err.status = r.status;
+    err.code = (d && d.code) || null;   // e.g. "image_too_small" — see worker/README.md
+    return err;
+  }
+
+  /* ── artist identity (Kaspa wallet signature) ─────────────────────────
+     With a signer configured, each Worker publish carries
+     { address, signature } over authorMessage(address, hash of the exact image
+     bytes uploaded). The Worker verifies it and stores `author` on the record.
+     signMessage must return what kaspa-wasm's signMessage returns (hex Schnorr). */
+  function authorMessage(address, artworkHash) {
+    return "Pixel Art Lab — I made this artwork.\nartwork: " + artworkHash + "\nartist: " + address;
+  }
+  function dataURLBytes(dataURL) {
+    var bin = atob(dataURL.slice(dataURL.indexOf(",") + 1));
+    var u8 = new Uint8Array(bin.length);
+    for (var i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+    return u8;
+  }
+  function dataURLBlob(dataURL) {
+    var type = dataURL.slice(5, dataURL.search(/[;,]/));
+    return new Blob([dataURLBytes(dataURL)], { type: type || "image/png" });
+  }
+  function sha256Hex(bytes) {
+    return crypto.subtle.digest("SHA-256", bytes).then(function (d) {
+      return Array.prototype.map.call(new Uint8Array(d), function (b) {
+        return ("0" + b.toString(16)).slice(-2);
+      }).join("");
+    });
+  }
+  function signAuthor(blob) {
+    if (!SIGNER) return Promise.resolve(null);
+    var hash = blob.arrayBuffer().then(sha256Hex);
+    return Promise.all([SIGNER.getAddress(), hash]).then(function (r) {
+      var address = r[0];
+      return Promise.resolve(SIGNER.signMessage(authorMessage(address, "sha256:" + r[1])))
+        .then(function (signature) { return { address: address, signature: signature }; });
+    });
+  }
+
+  // payload -> { image, meta }: exactly what one publish sends, signature included,
+  // so a retry from the outbox neither re-encodes nor asks the wallet again
+  function preparePublish(payload) {
+    // Bound the image before upload: downscale to a max edge so a 2x PNG can't
+    // exceed the Worker's 8 MB cap (returns 413 otherwise). It goes up as a
+    // binary multipart part, not base64 inside the JSON.
+    // payload.image: an already bounded Blob (a stub piece being migrated)
+    var image;
+    var ready = payload.image ? Promise.resolve(payload.image) : makeBlob(payload.pngDataURL, PUBLISH_MAX_EDGE);
+    return ready.then(function (b) {
+      image = b;
+      return signAuthor(image);
+    }).then(function (author) {
+      return {
+        image: image,
+        meta: {
+          patch: payload.patch,
+          lab: payload.lab,
+          labId: payload.labId,
+          labUrl: payload.labUrl,
+          title: payload.title,
+          parentId: payload.parentId,
+          author: author,
+        }
+      };
+    });
+  }
+  function sendPublish(prepared) {
+    var body = new FormData();
+    body.append("image", prepared.image, "artwork." + (prepared.image.type.split("/")[1] || "png"));
+    body.append("meta", JSON.stringify(prepared.meta));
+    return authedPost("/api/v1/publish", body).then(function (r) {
+      // a proxy's HTML error page is still an HTTP status, not a parse failure
+      return r.json().catch(function () { return null; }).then(function (d) {
+        if (!r.ok) throw apiError(r, d, "publishes");
         return {
           id: d.id,
-          url: location.origin + "/gallery.html?item=" + encodeURIComponent(d.id),
+          url: permalink(d.id),
           item: d.item,
+          duplicate: !!d.duplicate,   // identical image + patch was already published
         };
       });
     });
-    });
   }
+  function workerPublish(payload) { return preparePublish(payload).then(sendPublish); }
   function workerList() {
     return fetch(API_BASE + "/api/v1/gallery")
       .then(function (r) { return r.json(); })
       .then(function (d) { return (d && d.items) || []; });
   }
+  function workerListPage(q) {
+    var p = new URLSearchParams();
+    ["limit", "cursor", "sort", "labId", "parentId", "author", "featured", "before", "after"].forEach(function (k) {
+      if (q && q[k] != null && q[k] !== "") p.set(k, String(q[k]));
+    });
+    var qs = p.toString();
+    return fetch(API_BASE + "/api/v1/gallery" + (qs ? "?" + qs : ""))
+      .then(function (r) {
+        return r.json().then(function (d) {
+          if (!r.ok) throw new Error(d && d.error ? d.error : "HTTP " + r.status);
+          return { items: (d && d.items) || [], nextCursor: (d && d.nextCursor) || null };
+        });
+      });
+  }
+  function workerSearch(q) {
+    var p = new URLSearchParams();
+    ["q", "limit", "cursor", "labId", "author"].forEach(function (k) {
+      if (q && q[k] != null && q[k] !== "") p.set(k, String(q[k]));
+    });
+    var patch = (q && q.patch) || {};
+    Object.keys(patch).forEach(function (k) { p.set("patch." + k, String(patch[k])); });
+    return fetch(API_BASE + "/api/v1/search?" + p.toString())
+      .then(function (r) {
+        return r.json().then(function (d) {
+          if (!r.ok) throw new Error(d && d.error ? d.error : "HTTP " + r.status);
+          return { items: (d && d.items) || [], nextCursor: (d && d.nextCursor) || null };
+        });
+      });
+  }
+  function workerCollections(q) {
+    var p = new URLSearchParams();
+    ["limit", "cursor"].forEach(function (k) {
+      if (q && q[k] != null && q[k] !== "") p.set(k, String(q[k]));
+    });
+    var qs = p.toString();
+    return fetch(API_BASE + "/api/v1/collections" + (qs ? "?" + qs : ""))
+      .then(function (r) { return r.ok ? r.json() : { items: [], nextCursor: null }; })
+      .catch(function () { return { items: [], nextCursor: null }; });
+  }
+  function workerCollection(slug) {
+    return fetch(API_BASE + "/api/v1/collections/" + encodeURIComponent(slug))
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .catch(function () { return null; });
+  }
   function workerGet(id) {
     return fetch(API_BASE + "/api/v1/artwork/" + encodeURIComponent(id))
-      .then(function (r) { return r.ok ? r.json().then(function (d) { return d.item; }) : null; })
+      .then(function (r) {
+        if (r.status === 410) return { id: id, deleted: true };   // removed by moderation
+        return r.ok ? r.json().then(function (d) { return d.item; }) : null;
+      })
       .catch(function () { return null; });
   }
+  function workerLineage(id, opts) {
+    var qs = opts && opts.depth != null ? "?depth=" + opts.depth : "";
+    return fetch(API_BASE + "/api/v1/artwork/" + encodeURIComponent(id) + "/lineage" + qs)
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .catch(function () { return null; });
+  }
+  function workerLike(id) {
+    return authedPost("/api/v1/artwork/" + encodeURIComponent(id) + "/like", null).then(function (r) {
+      return r.json().then(function (d) {
+        if (!r.ok) throw apiError(r, d, "likes");
+        return d;
+      });
+    });
+  }
+  function workerReport(id, reason) {
+    return fetch(API_BASE + "/api/v1/artwork/" + encodeURIComponent(id) + "/report", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ reason: reason || null }),
+    }).then(function (r) {
+      return r.json().then(function (d) {
+        if (!r.ok) throw apiError(r, d, "reports");
+        return d;
+      });
+    });
+  }
+
+  /* ── offline outbox ───────────────────────────────────────────────────
+     A Worker publish that fails for a reason that may pass (offline, a
+     network error, 408, 429, 5xx) is not lost. The prepared upload goes into
+     the IndexedDB "outbox" store and is retried with backoff: when the browser
+     comes back online, when the page is shown again, and on a timer for the
+     next due entry. Any other 4xx means the Worker refused the piece itself;
+     it stays in the outbox marked failed until it is retried or discarded from
+     the "Pending uploads" panel. Two tabs sending the same entry is harmless:
+     content-addressed ids make the second one a duplicate. Without IndexedDB
+     there is nowhere to keep it and the error is shown as before. ── */
+  var RETRY_BASE = 15 * 1000;          // first retry; doubles per attempt
+  var RETRY_MAX = 30 * 60 * 1000;
+  var _flushing = null;                // the running flush, one at a time per page
+  var _outboxTimer = null;
+  var _sendingId = null;
+  var _outboxListeners = [];
+
+  function retryable(err) {
+    return !err.status || err.status === 408 || err.status === 429 || err.status >= 500;
+  }
+  function retryDelay(attempts, err) {
+    var ms = Math.min(RETRY_MAX, RETRY_BASE * Math.pow(2, Math.max(0, attempts - 1)));
+    ms = ms * (0.8 + Math.random() * 0.4);          // spread tabs and devices apart
+    return Math.max(ms, err && err.retryAfter ? err.retryAfter * 1000 : 0);
+  }
+  function offline() { return typeof navigator !== "undefined" && navigator.onLine === false; }
+  function outboxChanged() {
+    _outboxListeners.forEach(function (fn) { try { fn(); } catch (e) { console.warn("[gallery] outbox listener", e); } });
+  }
+  function outboxPut(db, entry) {
+    var tx = db.transaction(["outbox"], "readwrite");
+    tx.objectStore("outbox").put(entry);
+    return txDone(tx);
+  }
+  function outboxDelete(db, id) {
+    var tx = db.transaction(["outbox"], "readwrite");
+    tx.objectStore("outbox").delete(id);
+    return txDone(tx).then(function () { forgetUrls(id); });
+  }
+  function outboxAll(db) {
+    return idbRequest(db.transaction(["outbox"], "readonly").objectStore("outbox").getAll())
+      .then(function (all) { return all.sort(function (a, b) { return a.ts - b.ts; }); });
+  }
+
+  // keep a prepared publish for later -> the publish result, marked queued
+  function enqueue(prepared, err, tried) {
+    return openDB().then(function (db) {
+      if (!db) throw err;
+      var entry = {
+        id: "out-" + Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 7),
+        ts: Date.now(),
+        image: prepared.image,
+        meta: prepared.meta,
+        attempts: tried ? 1 : 0,
+        nextAt: tried ? Date.now() + retryDelay(1, err) : Date.now(),
+        error: err.message,
+        failed: false
+      };
+      return outboxPut(db, entry).then(function () {
+        outboxChanged();
+        scheduleFlush();
+        return { queued: true, offline: !tried, outboxId: entry.id, error: err.message, item: { title: prepared.meta.title } };
+      });
+    });
+  }
+  // a Worker publish that lands in the outbox, rather than failing, when it may pass later
+  function queuedPublish(payload) {
+    return preparePublish(payload).then(function (prepared) {
+      if (offline()) return enqueue(prepared, new Error("offline"), false);
+      return sendPublish(prepared).catch(function (err) {
+        if (!retryable(err)) throw err;
+        return enqueue(prepared, err, true);
+      });
+    });
+  }
+
+  // send every due entry (all of them with force), oldest first
+  function flushOutbox(force) {
+    if (_flushing) return _flushing;
+    if (!usingWorker()) return Promise.resolve();
+    _flushing = openDB().then(function (db) {
+      if (!db) return;
+      return outboxAll(db).then(function (all) {
+        var due = all.filter(function (e) { return !e.failed && (force || e.nextAt <= Date.now()); });
+        return sendEach(db, due, 0);
+      });
+    }).catch(function (err) {
+      console.warn("[gallery] outbox flush failed", err);
+    }).then(function () {
+      _flushing = null;
+      _sendingId = null;
+      outboxChanged();
+      scheduleFlush();
+    });
+    return _flushing;
+  }
+  function sendEach(db, due, i) {
+    if (i >= due.length || offline()) return Promise.resolve();
+    var e = due[i];
+    _sendingId = e.id;
+    outboxChanged();
+    toastNote("Uploading queued piece…", (e.meta.title || e.meta.lab || "Untitled") +
+      (due.length > 1 ? " (" + (i + 1) + " of " + due.length + ")" : ""));
+    return sendPublish(e).then(function (res) {
+      res.fromOutbox = true;
+      toast(res);
+      return outboxDelete(db, e.id).then(function () { return true; });
+    }, function (err) {
+      e.attempts++;
+      e.error = err.message;
+      e.failed = !retryable(err);
+      e.nextAt = Date.now() + retryDelay(e.attempts, err);
+      toastNote(e.failed ? "Upload refused" : "Upload postponed", e.error +
+        (e.failed ? " — see Pending uploads." : ". It will be retried."), "#ff7a7a");
+      // offline / rate limited / server down hits the rest too: wait for the next trigger
+      return outboxPut(db, e).then(function () { return !retryable(err); });
+    }).then(function (goOn) {
+      return goOn ? sendEach(db, due, i + 1) : null;
+    });
+  }
+  function scheduleFlush() {
+    clearTimeout(_outboxTimer);
+    openDB().then(function (db) { return db ? outboxAll(db) : []; }).then(function (all) {
+      var next = Infinity;
+      all.forEach(function (e) { if (!e.failed) next = Math.min(next, e.nextAt); });
+      if (next === Infinity) return;
+      _outboxTimer = setTimeout(flushOutbox, Math.min(RETRY_MAX, Math.max(0, next - Date.now())));
+    });
+  }
+
+  // -> [{ id, title, lab, ts, attempts, nextAt, error, failed, sending, thumb }] oldest first
+  function outboxEntries() {
+    if (!usingWorker()) return Promise.resolve([]);
+    return openDB().then(function (db) { return db ? outboxAll(db) : []; }).then(function (all) {
+      return all.map(function (e) {
+        if (!_urls[e.id]) _urls[e.id] = { thumb: URL.createObjectURL(e.image), image: "" };
+        return {
+          id: e.id, title: e.meta.title || e.meta.lab || "Untitled", lab: e.meta.lab || null,
+          ts: e.ts, attempts: e.attempts, nextAt: e.nextAt, error: e.error, failed: e.failed,
+          sending: e.id === _sendingId, thumb: _urls[e.id].thumb
+        };
+      });
+    });
+  }
+  // send one entry now, even one the Worker refused before
+  function retryUpload(id) {
+    return openDB().then(function (db) {
+      if (!db) return;
+      return idbRequest(db.transaction(["outbox"], "readonly").objectStore("outbox").get(id)).then(function (e) {
+        if (!e) return;
+        e.failed = false;
+        e.nextAt = 0;
+        return outboxPut(db, e);
+      });
+    }).then(function () { return flushOutbox(); });
+  }
+  function discardUpload(id) {
+    return openDB().then(function (db) { return db && outboxDelete(db, id); }).then(outboxChanged);
+  }
+
+  if (typeof window !== "undefined" && window.addEventListener) {
+    window.addEventListener("online", function () { flushOutbox(); });
+    document.addEventListener("visibilitychange", function () {
+      if (document.visibilityState === "visible") flushOutbox();
+    });
+  }
 
   /* ── dispatchers (frontend calls only these) ──────────────────────────── */
-  function publish(payload) { return usingWorker() ? workerPublish(payload) : stubPublish(payload); }
+  // -> { id, url, item, duplicate } — or, when the Worker can't be reached,
+  //    { queued: true, offline, outboxId, error, item } (see "offline outbox")
+  function publish(payload) { return usingWorker() ? queuedPublish(payload) : stubPublish(payload); }
   function list() { return usingWorker() ? workerList() : stubList(); }
-  function get(id) { return usingWorker() ? workerGet(id) : stubGet(id); }
+  // query: { limit, cursor, sort, labId, parentId, author, featured, before, after } -> { items, nextCursor }
+  // sort: "new" (default) | "remixed" | "liked" | "trending", ranked across the whole gallery
+  function listPage(query) { return usingWorker() ? workerListPage(query) : stubListPage(query); }
+  // query: { q, patch: { "<path>": value | "min..max" }, labId, author, limit, cursor }
+  //   -> { items, nextCursor }, newest first — e.g. { q: "grid", patch: { motif: "syk-diag" } }
+  function search(query) { return usingWorker() ? workerSearch(query) : stubSearch(query); }
+  // a migrated stub id still opens its piece on the Worker
+  function get(id) { return usingWorker() ? workerGet(migratedId(id)) : stubGet(id); }
+  // Curated collections live on the Worker (worker/src/collections.js); the
+  // stub gallery has no curators, so it has none.
+  // query: { limit, cursor } -> { items: [{ slug, title, description, count, cover }], nextCursor }
+  function collections(query) {
+    return usingWorker() ? workerCollections(query) : Promise.resolve({ items: [], nextCursor: null });
+  }
+  // -> { collection, items } in the curated order, null if unknown
+  function collection(slug) { return usingWorker() ? workerCollection(slug) : Promise.resolve(null); }
+  // opts: { depth } -> { id, ancestors, tree, truncated } (see worker/src/lineage.js), null if unknown
+  function lineage(id, opts) { return usingWorker() ? workerLineage(migratedId(id), opts) : stubLineage(id, opts); }
+  // -> { likes, added } — added is false when this session already liked it
+  function like(id) {
+    return (usingWorker() ? workerLike(id) : stubLike(id)).then(function (res) {
+      rememberLike(id);
+      return res;
+    });
+  }
+  // the stub gallery is local to this browser — there is no one to report to
+  function report(id, reason) { return usingWorker() ? workerReport(id, reason) : Promise.resolve({ ok: true }); }
+
+  /* ── liked-on-this-device, so the ♥ button remembers across visits ──── */
+  var LIKED_KEY = "pixel_gallery_liked";
+  function likedMap() {
+    try { return JSON.parse(localStorage.getItem(LIKED_KEY)) || {}; } catch (e) { return {}; }
+  }
+  function liked(id) { return !!likedMap()[id]; }
+  function rememberLike(id) {
+    var m = likedMap();
+    m[id] = 1;
+    try { localStorage.setItem(LIKED_KEY, JSON.stringify(m)); } catch (e) { /* full — only the UI hint is lost */ }
+  }
+
+  /* ── stub → Worker migration ──────────────────────────────────────────
+     Pieces published before an API base was configured are stub pieces:
+     records and full-size image Blobs in this browser's IndexedDB (DB_NAME),
+     where importLegacy also moved any older KEY pieces (thumbnail only). Where
+     IndexedDB is unavailable they are still in KEY. stubItems() reads them
+     either way. Once the Worker is on, they can be uploaded: oldest first,
+     so a parent gets its server id before its remixes are sent, and each
+     remix's parentId is rewritten to it. Every upload is recorded under
+     MIGRATED_KEY per API base ({ ids: { stubId: serverId }, dismissed }), so a
+     piece is never sent twice. A piece the Worker refuses for good (taken down,
+     too small… any 4xx the outbox would not retry) is recorded as null and the
+     run goes on; only what is worth retrying later (offline, 429, 5xx) stops
+     it, and the next visit picks up where it left off. The stub copies stay;
+     old stub links resolve through the record. ── */
+  var MIGRATED_KEY = "pixel_gallery_migrated";
+  function migrationRecord() {
+    var all;
+    try { all = JSON.parse(localStorage.getItem(MIGRATED_KEY)) || {}; } catch (e) { all = {}; }
+    return all[API_BASE] || { ids: {}, dismissed: false };
+  }
+  function saveMigrationRecord(rec) {
+    var all;
+    try { all = JSON.parse(localStorage.getItem(MIGRATED_KEY)) || {}; } catch (e) { all = {}; }
+    all[API_BASE] = rec;
+    try { localStorage.setItem(MIGRATED_KEY, JSON.stringify(all)); } catch (e) { /* full — a rerun re-checks duplicates */ }
+  }
+  // a stub id -> the server id it was uploaded as (other ids pass through)
+  function migratedId(id) {
+    if (!usingWorker() || String(id).indexOf("stub-") !== 0) return id;
+    return migrationRecord().ids[id] || id;
+  }
+  // -> stub items not yet uploaded to the configured Worker, oldest first
+  function pendingStubs() {
+    if (!usingWorker()) return Promise.resolve([]);
+    var ids = migrationRecord().ids;
+    return stubItems().then(function (all) {
+      return all.filter(function (x) { return !(x.id in ids); }).reverse();
+    });
+  }
+  // upload every pending stub item; onProgress(done, total) after each one.
+  // -> { uploaded, skipped, failed, errors, ids } — skipped: identical pieces the
+  // moderators took down; failed: pieces the Worker refused, errors their messages
+  function migrateStubs(onProgress) {
+    if (!usingWorker()) return Promise.reject(new Error("no API base configured"));
+    var items, uploaded = 0, skipped = 0, failed = 0, errors = [];
+    var rec = migrationRecord();
+    function next(i) {
+      if (i >= items.length) {
+        return Promise.resolve({ uploaded: uploaded, skipped: skipped, failed: failed, errors: errors, ids: rec.ids });
+      }
+      var x = items[i];
+      var parentId = x.parentId && x.parentId.indexOf("stub-") === 0
+        ? rec.ids[x.parentId] || null      // a parent that was evicted or taken down loses the link
+        : x.parentId;
+      return stubImage(x.id).then(function (full) {
+        return workerPublish({
+          image: full,
+          pngDataURL: x.thumb,              // the localStorage fallback only has the thumbnail
+          patch: x.patch,
+          lab: x.lab,
+          labId: x.labId,
+          labUrl: x.labUrl,
+          title: x.title,
+          parentId: parentId
+        });
+      }).then(function (res) {
+        rec.ids[x.id] = res.id;            // a duplicate maps onto the existing piece
+        uploaded++;
+      }, function (err) {
+        if (retryable(err)) throw err;     // offline, rate limited, server trouble: stop here
+        rec.ids[x.id] = null;
+        if (err.status === 410) skipped++;
+        else { failed++; errors.push(err.message); }
+      }).then(function () {
+        saveMigrationRecord(rec);
+        if (onProgress) onProgress(i + 1, items.length);
+        return next(i + 1);
+      });
+    }
+    return pendingStubs().then(function (pending) {
+      items = pending;
+      return next(0);
+    });
+  }
+
+  // ask once per API base; "Not now" is remembered, a failed run asks again next visit
+  function offerStubMigration() {
+    if (!usingWorker() || migrationRecord().dismissed) return;
+    pendingStubs().then(function (pending) {
+      if (pending.length) migrationToast(pending.length);
+    });
+  }
+  function migrationToast(n) {
+    var wrap = toastBox();
+    wrap.innerHTML =
+      '<div style="font-size:13px;font-weight:600;color:#00c4ff;margin-bottom:6px">' +
+      n + ' local piece' + (n === 1 ? '' : 's') + ' not in the Gallery</div>' +
+      '<div id="pxg-msg" style="font-size:12px;color:#9fb0c4;margin-bottom:10px;line-height:1.4">' +
+      'Published in this browser before the shared gallery was set up. ' +
+      'Upload them with their patches and remix links?</div>' +
+      '<div style="display:flex;gap:8px">' +
+      '<button id="pxg-go" style="flex:1;background:#00c4ff;color:#04121b;border:none;font-size:12px;' +
+      'font-weight:600;padding:7px 10px;border-radius:8px;cursor:pointer">Upload</button>' +
+      '<button id="pxg-later" style="flex:1;background:transparent;color:#cfe0f0;' +
+      'border:1px solid #2a3a58;font-size:12px;padding:7px 10px;border-radius:8px;cursor:pointer">Not now</button>' +
+      '</div>';
+    document.body.appendChild(wrap);
+    var msg = wrap.querySelector("#pxg-msg");
+    wrap.querySelector("#pxg-later").addEventListener("click", function () {
+      var rec = migrationRecord();
+      rec.dismissed = true;
+      saveMigrationRecord(rec);
+      wrap.parentNode && wrap.parentNode.removeChild(wrap);
+    });
+    wrap.querySelector("#pxg-go").addEventListener("click", function () {
+      wrap.querySelector("#pxg-go").parentNode.style.display = "none";
+      msg.textContent = "Uploading 0 / " + n + "…";
+      migrateStubs(function (done, total) {
+        msg.textContent = "Uploading " + done + " / " + total + "…";
+      }).then(function (res) {
+        toastNote("Moved to the Gallery ✓", res.uploaded + " piece" + (res.uploaded === 1 ? "" : "s") + " uploaded" +
+          (res.skipped ? ", " + res.skipped + " skipped (taken down)" : "") +
+          (res.failed ? ", " + res.failed + " refused (" + res.errors[0] + ")" : "") + ".");
+      }).catch(function (err) {
+        console.error("[gallery] migration stopped", err);
+        toastNote("Upload stopped", (err && err.message ? err.message : String(err)) +
+          ". The rest will be offered again on your next visit.", "#ff7a7a");
+      });
+    });
+  }
+  function onPageReady() {
+    offerStubMigration();
+    flushOutbox();
+  }
+  if (typeof document !== "undefined") {
+    if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", onPageReady);
+    else setTimeout(onPageReady, 0);
+  }
+
+  /* ── share permalink ──────────────────────────────────────────────────
+     With the Worker this is its /a/:id card: crawlers (X, Discord…) get Open
+     Graph tags with the image, browsers are sent on to the gallery detail page.
+     Stub items exist only in this browser, so they link straight to it. ── */
+  function permalink(id) {
+    return usingWorker()
+      ? API_BASE + "/a/" + encodeURIComponent(id)
+      : location.origin + "/gallery.html?item=" + encodeURIComponent(id);
+  }
+
+  /* ── recipe PNGs ──────────────────────────────────────────────────────
+     A PNG can carry the patch that made it: one iTXt chunk right after IHDR,
+     keyword RECIPE_KEYWORD, UTF-8 JSON { v: 1, labId, parentId, patch }. The
+     Worker writes the same chunk into every published PNG
+     (worker/src/recipe.js); savePNG() writes it into local downloads.
+     Dropping such a file on a registered Lab restores it. ── */
+  var CRC_TABLE = null;
+  function crc32(b) {
+    if (!CRC_TABLE) {
+      CRC_TABLE = [];
+      for (var n = 0; n < 256; n++) {
+        var c = n;
+        for (var k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        CRC_TABLE[n] = c >>> 0;
+      }
+    }
+    var crc = 0xffffffff;
+    for (var i = 0; i < b.length; i++) crc = CRC_TABLE[(crc ^ b[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+  function u32(b, i) { return ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3]; }
+  function isPNG(b) {
+    return b.length > 33 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47;
+  }
+  // the recipe text of the iTXt chunk at offset i, or null if it is another chunk
+  function recipeText(b, i) {
+    if (String.fromCharCode(b[i + 4], b[i + 5], b[i + 6], b[i + 7]) !== "iTXt") return null;
+    var data = b.subarray(i + 8, i + 8 + u32(b, i));
+    var kw = data.indexOf(0);
+    if (kw < 0 || String.fromCharCode.apply(null, data.subarray(0, kw)) !== RECIPE_KEYWORD) return null;
+    if (data[kw + 1] !== 0) return null;            // compressed: not one of ours
+    var j = data.indexOf(0, kw + 3) + 1;            // past the language tag
+    j = data.indexOf(0, j) + 1;                      // past the translated keyword
+    return j > 0 ? new TextDecoder().decode(data.subarray(j)) : null;
+  }
+  // PNG bytes -> { v, labId, parentId, patch } or null
+  function readRecipe(bytes) {
+    var b = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (!isPNG(b)) return null;
+    for (var i = 8; i + 12 <= b.length; i += 12 + u32(b, i)) {
+      var text = recipeText(b, i);
+      if (text != null) {
+        try { return JSON.parse(text); } catch (e) { return null; }
+      }
+    }
+    return null;
+  }
+  // PNG bytes + { labId, parentId, patch } -> PNG Blob carrying the recipe (an older one is replaced)
+  function pngWithRecipe(bytes, recipe) {
+    var enc = new TextEncoder();
+    var kw = enc.encode(RECIPE_KEYWORD);
+    var text = enc.encode(JSON.stringify({
+      v: 1,
+      labId: recipe.labId || null,
+      parentId: recipe.parentId || null,
+      patch: recipe.patch == null ? null : recipe.patch
+    }));
+    var len = kw.length + 5 + text.length;   // keyword \0, flag, method, language \0, translated \0
+    var chunk = new Uint8Array(12 + len);
+    var view = new DataView(chunk.buffer);
+    view.setUint32(0, len);
+    chunk.set(enc.encode("iTXt"), 4);
+    chunk.set(kw, 8);
+    chunk.set(text, 8 + kw.length + 5);
+    view.setUint32(8 + len, crc32(chunk.subarray(4, 8 + len)));
+    var parts = [bytes.subarray(0, 33), chunk];    // signature + IHDR, then the recipe
+    for (var i = 33; i + 12 <= bytes.length; i += 12 + u32(bytes, i)) {
+      if (recipeText(bytes, i) == null) parts.push(bytes.subarray(i, i + 12 + u32(bytes, i)));
+    }
+    return new Blob(parts, { type: "image/png" });
+  }
+
+  // Download a Lab's current image as a PNG that carries its recipe.
+  // source: a canvas or a PNG data URL. opts: { filename, patch } — patch
+  // defaults to the registered Lab's captureState().
+  function savePNG(labId, source, opts) {
+    opts = opts || {};
+    var spec = _labs[labId];
+    var dataURL = typeof source === "string" ? source : source.toDataURL("image/png");
+    var blob;
+    try {
+      var patch = envelope(labId, opts.patch !== undefined ? opts.patch
+        : spec && spec.captureState ? spec.captureState() : null);
+      var bytes = dataURLBytes(dataURL);
+      blob = isPNG(bytes)
+        ? pngWithRecipe(bytes, { labId: labId, parentId: _parents[labId] || null, patch: patch })
+        : dataURLBlob(dataURL);
+    } catch (e) {
+      console.warn("[gallery] recipe not embedded", e);
+      blob = dataURLBlob(dataURL);
+    }
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement("a");
+    a.href = url;
+    a.download = opts.filename || labId + "-" + Date.now() + ".png";
+    document.body.appendChild(a);
+    a.click();
+    a.parentNode.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 3000);
+    return blob;
+  }
+
+  // one page-wide drop target: a recipe PNG restores into the Lab that made it
+  var _dropReady = false;
+  function listenForRecipeDrops() {
+    if (_dropReady || typeof document === "undefined") return;
+    _dropReady = true;
+    function hasFiles(e) {
+      return e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], "Files") >= 0;
+    }
+    document.addEventListener("dragover", function (e) {
+      if (hasFiles(e)) { e.preventDefault(); e.dataTransfer.dropEffect = "copy"; }
+    });
+    document.addEventListener("drop", function (e) {
+      if (!hasFiles(e)) return;
+      var file = e.dataTransfer.files[0];
+      if (!file || !/\.png$|^image\/png$/i.test(file.type || file.name)) return;
+      e.preventDefault();
+      file.arrayBuffer().then(function (buf) {
+        var recipe = readRecipe(buf);
+        var spec = recipe && (_labs[recipe.labId] || (recipe.labId == null && onlyLab()));
+        if (!recipe || recipe.patch == null) {
+          toastNote("Nothing to restore", "This PNG carries no Lab recipe.");
+        } else if (!spec || !spec.restoreState) {
+          toastNote("Made in another Lab", "This PNG comes from \u201c" + recipe.labId + "\u201d — open that Lab and drop it there.");
+        } else {
+          var state = upgradePatch(spec.id, recipe.patch);
+          if (state == null) throw new Error("this recipe could not be upgraded for " + spec.id);
+          spec.restoreState(state);
+          toastNote("Recipe restored", "Loaded the patch from " + file.name + ".");
+        }
+      }).catch(function (err) {
+        console.warn("[gallery] recipe drop failed", err);
+        toastNote("Restore failed", err && err.message ? err.message : String(err));
+      });
+    });
+  }
+  function onlyLab() {
+    var ids = Object.keys(_labs);
+    return ids.length === 1 ? _labs[ids[0]] : null;
+  }
 
   /* ── permalink to REMIX a patch back in its Lab ──────────────────────
      Carries `from=<id>` so the next Publish records this piece as its parent
-     (remix lineage). ── */
+     (remix lineage). A link longer than MAX_LINK even compressed (a long
+     sequence, a big shader) becomes a Worker short link, /p/<code>, which
+     redirects to the Lab with ?p=<code>; registerLab fetches the patch back.
+     Without a Worker, or when it cannot be reached, the long link stands. ── */
+  var MAX_LINK = 2000;   // characters — roughly where chat apps and QR codes give up
+
+  // -> Promise<string>
   function labLink(item) {
-    if (!item || !item.labUrl) return "#";
-    if (!item.patch) return item.labUrl;
-    return item.labUrl + "?patch=" + encodePatch(item.patch) +
-           "&from=" + encodeURIComponent(item.id);
+    if (!item || !item.labUrl) return Promise.resolve("#");
+    if (!item.patch) return Promise.resolve(item.labUrl);
+    return encodePatch(item.patch).then(function (code) {
+      var href = item.labUrl + "?patch=" + code + "&from=" + encodeURIComponent(item.id);
+      if (href.length <= MAX_LINK || !usingWorker()) return href;
+      return shortLink(item).then(function (url) { return url || href; });
+    });
+  }
+  function shortLink(item) {
+    return fetch(API_BASE + "/api/v1/links", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ labUrl: item.labUrl, patch: item.patch, parentId: item.id || null })
+    })
+      .then(function (r) { return r.ok ? r.json().then(function (d) { return d.url; }) : null; })
+      .catch(function () { return null; });
+  }
+  // ?p=<code> -> Promise<patch | null>
+  function shortLinkPatch(code) {
+    if (!usingWorker()) {
+      console.warn("[gallery] ?p= short link, but no Gallery Worker is configured");
+      return Promise.resolve(null);
+    }
+    return fetch(API_BASE + "/api/v1/links/" + encodeURIComponent(code))
+      .then(function (r) { return r.ok ? r.json().then(function (d) { return d.patch; }) : null; })
+      .catch(function () { return null; });
   }
 
   /* ── count remixes of a given item within a list ─────────────────────── */
@@ -200,8 +1446,11 @@
 
      `publish()` is provided BY the platform (not each Lab). registerLab wires
      the Publish button to it, handles remix lineage (?from=) and rehydration
-     from a shared/remix permalink (?patch=). ── */
+     from a shared/remix permalink (?patch=, or ?p= from a short link). Patches are versioned with the
+     Lab's `schemaVersion` and upgraded through its `migrations` (see
+     "versioned patches"). ── */
   var _labs = {};
+  var _parents = {};   // lab id -> the piece it was opened to remix (?from=)
 
   function registerLab(spec) {
     if (!spec || !spec.id) return;
@@ -209,6 +1458,9 @@
 
     var qs = new URLSearchParams(location.search);
     var parentId = qs.get("from") || null;
+    _parents[spec.id] = parentId;
+    if (spec.restoreState) listenForRecipeDrops();
+    mountOutbox(spec.outboxPanelId ? document.getElementById(spec.outboxPanelId) : null);
 
     // wire Publish
     var btn = spec.publishButtonId && document.getElementById(spec.publishButtonId);
@@ -222,7 +1474,7 @@
           .then(function () {
             return publish({
               pngDataURL: spec.renderThumbnail(),
-              patch: spec.captureState ? spec.captureState() : null,
+              patch: spec.captureState ? envelope(spec.id, spec.captureState()) : null,
               lab: spec.name,
               labId: spec.id,
               labUrl: spec.labUrl,
@@ -233,7 +1485,7 @@
           .then(function (res) { toast(res); })
           .catch(function (err) {
             console.error("[gallery] publish failed", err);
-            alert("Publish failed: " + (err && err.message ? err.message : err));
+            toastError(err);
           })
           .then(function () {
             btn.disabled = false;
@@ -242,21 +1494,23 @@
       });
     }
 
-    // rehydrate / remix from a permalink
-    var pq = qs.get("patch");
-    if (pq && spec.restoreState) {
-      var state = decodePatch(pq);
-      if (state != null) {
+    // rehydrate / remix from a permalink (decoding may wait on a
+    // DecompressionStream or the Worker, so this lands after registerLab returns)
+    var pq = qs.get("patch"), short = qs.get("p");
+    if ((pq || short) && spec.restoreState) {
+      (pq ? decodePatch(pq) : shortLinkPatch(short)).then(function (p) {
+        var state = upgradePatch(spec.id, p);
+        if (state == null) return;
         try { spec.restoreState(state); }
         catch (e) { console.warn("[gallery] restoreState failed", e); }
-      }
+      });
     }
   }
 
   function getLab(id) { return _labs[id] || null; }
 
   /* ── minimal confirmation toast with permalink ───────────────────────── */
-  function toast(res) {
+  function toastBox() {
     var old = document.getElementById("pxg-toast");
     if (old) old.parentNode.removeChild(old);
 
@@ -267,10 +1521,49 @@
       "background:rgba(14,18,28,.96);border:1px solid #1d2740;border-radius:12px;" +
       "padding:14px 16px;color:#e8eef6;font-family:system-ui,-apple-system,sans-serif;" +
       "box-shadow:0 12px 40px rgba(0,0,0,.5);backdrop-filter:blur(8px)";
+    return wrap;
+  }
+
+  // a heading and one line of plain text (not HTML), with a close button
+  function toastNote(title, text, color) {
+    var wrap = toastBox();
+    var msg = document.createElement("div");
+    msg.style.cssText = "font-size:12px;color:#9fb0c4;line-height:1.4;padding-right:18px";
+    msg.textContent = text;
     wrap.innerHTML =
-      '<div style="font-size:13px;font-weight:600;color:#00c4ff;margin-bottom:6px">Published to Gallery ✓</div>' +
+      '<div style="font-size:13px;font-weight:600;margin-bottom:6px;color:' + (color || "#00c4ff") + '"></div>' +
+      '<button id="pxg-x" style="position:absolute;top:8px;right:8px;background:transparent;' +
+      'color:#6d7d92;border:none;font-size:16px;cursor:pointer">×</button>';
+    wrap.firstChild.textContent = title;
+    wrap.appendChild(msg);
+    document.body.appendChild(wrap);
+    wrap.querySelector("#pxg-x").addEventListener("click", function () {
+      wrap.parentNode && wrap.parentNode.removeChild(wrap);
+    });
+  }
+  // a rejected publish: the Worker's message (it names the limit that was hit)
+  function toastError(err) {
+    toastNote("Publish failed", err && err.message ? err.message : String(err), "#ff7a7a");
+  }
+
+  function toast(res) {
+    if (res.queued) {
+      toastNote(res.offline ? "Saved — will upload when online" : "Queued for upload",
+        (res.offline ? "You are offline." : "The Gallery could not be reached (" + res.error + ").") +
+        " The piece is kept in this browser and goes up by itself; see Pending uploads.", "#ffc861");
+      return;
+    }
+    var wrap = toastBox();
+    wrap.innerHTML =
+      '<div style="font-size:13px;font-weight:600;color:#00c4ff;margin-bottom:6px">' +
+      (res.duplicate ? 'Already in the Gallery ✓' : res.fromOutbox ? 'Queued piece published ✓' : 'Published to Gallery ✓') + '</div>' +
       '<div style="font-size:12px;color:#9fb0c4;margin-bottom:10px;line-height:1.4">' +
-      'Permanent, shareable page created.</div>' +
+      (res.duplicate ? 'This exact piece was published before — here is its page.'
+                     : 'Permanent, shareable page created.') +
+      (res.evicted && res.evicted.length
+        ? ' To make room in this browser, the ' + (res.evicted.length === 1 ? 'oldest local piece was'
+            : res.evicted.length + ' oldest local pieces were') + ' removed.'
+        : '') + '</div>' +
       '<div style="display:flex;gap:8px">' +
       '<a id="pxg-view" href="' + res.url + '" style="flex:1;text-align:center;' +
       'background:#00c4ff;color:#04121b;text-decoration:none;font-size:12px;font-weight:600;' +
@@ -297,16 +1590,132 @@
     }, 50);
   }
 
+  /* ── "Pending uploads" panel ──────────────────────────────────────────
+     The outbox as a list: each queued piece with its state and Retry /
+     Discard. mountOutbox(el) renders into el; without one it pins a small
+     panel bottom-left. It hides itself while the outbox is empty, and
+     registerLab mounts one on every Lab (spec.outboxPanelId places it). ── */
+  function mountOutbox(el) {
+    if (!usingWorker() || typeof document === "undefined") return function () {};
+    var floating = !el;
+    if (floating) {
+      el = document.createElement("div");
+      el.style.cssText =
+        "position:fixed;left:16px;bottom:16px;z-index:99998;width:280px;max-height:50vh;overflow:auto;" +
+        "background:rgba(14,18,28,.96);border:1px solid #1d2740;border-radius:12px;padding:12px 14px;" +
+        "color:#e8eef6;font-family:system-ui,-apple-system,sans-serif;box-shadow:0 12px 40px rgba(0,0,0,.5)";
+      document.body.appendChild(el);
+    }
+    el.style.display = "none";
+
+    function state(e) {
+      if (e.sending) return "uploading…";
+      if (e.failed) return "refused: " + e.error;
+      if (offline()) return "waiting for a connection";
+      var s = Math.max(0, Math.round((e.nextAt - Date.now()) / 1000));
+      return (e.attempts ? "failed " + e.attempts + "×, " : "") +
+        (s < 5 ? "retrying now" : "retry in " + (s > 90 ? Math.ceil(s / 60) + " min" : s + "s"));
+    }
+    function button(label, act, id) {
+      var b = document.createElement("button");
+      b.textContent = label;
+      b.setAttribute("data-act", act);
+      b.setAttribute("data-id", id);
+      b.style.cssText = "background:transparent;color:#cfe0f0;border:1px solid #2a3a58;font-size:11px;" +
+        "padding:3px 8px;border-radius:6px;cursor:pointer";
+      return b;
+    }
+    function render() {
+      outboxEntries().then(function (list) {
+        el.innerHTML = "";
+        el.style.display = list.length ? "" : "none";
+        if (!list.length) return;
+        var head = document.createElement("div");
+        head.style.cssText = "font-size:13px;font-weight:600;color:#ffc861;margin-bottom:8px";
+        head.textContent = "Pending uploads (" + list.length + ")";
+        el.appendChild(head);
+        list.forEach(function (e) {
+          var row = document.createElement("div");
+          row.style.cssText = "display:flex;gap:10px;align-items:center;padding:6px 0;border-top:1px solid #1d2740";
+          var img = document.createElement("img");
+          img.src = e.thumb;
+          img.alt = "";
+          img.style.cssText = "width:40px;height:40px;object-fit:cover;border-radius:6px;background:#0a0d15;flex:none";
+          var text = document.createElement("div");
+          text.style.cssText = "flex:1;min-width:0;font-size:12px;line-height:1.35";
+          var title = document.createElement("div");
+          title.style.cssText = "white-space:nowrap;overflow:hidden;text-overflow:ellipsis";
+          title.textContent = e.title;
+          var sub = document.createElement("div");
+          sub.style.cssText = "color:" + (e.failed ? "#ff7a7a" : "#9fb0c4");
+          sub.textContent = state(e);
+          var acts = document.createElement("div");
+          acts.style.cssText = "display:flex;gap:6px;margin-top:4px";
+          if (!e.sending) {
+            acts.appendChild(button("Retry", "retry", e.id));
+            acts.appendChild(button("Discard", "discard", e.id));
+          }
+          text.appendChild(title);
+          text.appendChild(sub);
+          text.appendChild(acts);
+          row.appendChild(img);
+          row.appendChild(text);
+          el.appendChild(row);
+        });
+      });
+    }
+    function onClick(ev) {
+      var b = ev.target.closest && ev.target.closest("[data-act]");
+      if (!b) return;
+      var id = b.getAttribute("data-id");
+      if (b.getAttribute("data-act") === "retry") retryUpload(id);
+      else if (confirm("Discard this piece? It has not been published.")) discardUpload(id);
+    }
+    el.addEventListener("click", onClick);
+    _outboxListeners.push(render);
+    var tick = setInterval(render, 15000);   // keeps "retry in …" current
+    render();
+    return function unmount() {
+      clearInterval(tick);
+      el.removeEventListener("click", onClick);
+      _outboxListeners = _outboxListeners.filter(function (fn) { return fn !== render; });
+      if (floating && el.parentNode) el.parentNode.removeChild(el);
+      else el.innerHTML = "";
+    };
+  }
+
   global.PixelGallery = {
     configure: configure,
     encodePatch: encodePatch,
     decodePatch: decodePatch,
     publish: publish,
     list: list,
+    listPage: listPage,
+    search: search,
     get: get,
+    collections: collections,
+    collection: collection,
+    lineage: lineage,
+    like: like,
+    liked: liked,
+    report: report,
+    authorMessage: authorMessage,
+    permalink: permalink,
     labLink: labLink,
     remixCount: remixCount,
     registerLab: registerLab,
-    getLab: getLab
+    getLab: getLab,
+    upgradePatch: upgradePatch,
+    patchState: patchState,
+    storageUsage: storageUsage,
+    pendingStubs: pendingStubs,
+    outboxEntries: outboxEntries,
+    retryUpload: retryUpload,
+    discardUpload: discardUpload,
+    mountOutbox: mountOutbox,
+    migrateStubs: migrateStubs,
+    offerStubMigration: offerStubMigration,
+    savePNG: savePNG,
+    readRecipe: readRecipe
   };
 })(window);
@@ -0,0 +1,101 @@
+/* gallery.js patch links: the compact "c1." form and the plain base64url JSON
+   links shared before it. The browser script runs in a vm context given the
+   Web APIs it uses, and is driven through window.PixelGallery. */
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { readFileSync } from "node:fs";
+
+// written by this encoder once; PATCH_KEYS is append-only, so it must keep decoding
+const SHARED_C1 = "c1.eJwlyUEKgCAQQNG7_LVBWhTMbQyjosCoNiHO2WNo-15BW4T73fMVmyNOONQjwaEBKWj3d5O2uFgOiLcdzZ_5NNOcEuIduiJ9qPUDTI4Y6w";
+const SHARED_PATCH = {
+  labId: "sykora-lab", schemaVersion: 2,
+  state: { motif: "syk-diag", gridSize: 12, rotationMode: "step", "~odd": 1, seed: 42 },
+};
+
+const b64url = (text) => Buffer.from(text).toString("base64url");
+
+async function deflate(text) {
+  const z = await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream("deflate"))).arrayBuffer();
+  return Buffer.from(z).toString("base64url");
+}
+async function inflate(b64) {
+  const bytes = Buffer.from(b64, "base64url");
+  return new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"))).text();
+}
+
+function loadGallery(overrides = {}) {
+  const ctx = {
+    console: { ...console, warn() {} },
+    TextEncoder, TextDecoder, CompressionStream, DecompressionStream, Response, Blob, btoa, atob,
+    setTimeout, clearTimeout,
+    ...overrides,
+  };
+  ctx.window = ctx;
+  vm.createContext(ctx);
+  vm.runInContext(readFileSync(new URL("./gallery.js", import.meta.url), "utf8"), ctx, { filename: "gallery.js" });
+  return ctx.PixelGallery;
+}
+
+// the vm has its own Object prototype; compare plain copies
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+describe("patch links", () => {
+  let gallery;
+  before(() => { gallery = loadGallery(); });
+
+  it("round-trips a patch through the c1 form", async () => {
+    const patch = {
+      labId: "yohei-glsl", schemaVersion: 3,
+      state: { shader: "void main(){gl_FragColor=vec4(1.);}".repeat(4), steps: 64, gain: 0.75, bias: -1, palette: [[0, 1], { hue: 2 }] },
+    };
+    const code = await gallery.encodePatch(patch);
+    assert.ok(code.startsWith("c1."), code);
+    assert.match(code.slice(3), /^[A-Za-z0-9_-]+$/);
+    assert.ok(code.length < b64url(JSON.stringify(patch)).length);
+    assert.deepEqual(plain(await gallery.decodePatch(code)), patch);
+  });
+
+  it("swaps known keys for ~codes and escapes a real ~ key", async () => {
+    const code = await gallery.encodePatch(SHARED_PATCH);
+    const packed = JSON.parse(await inflate(code.slice(3)));
+    assert.deepEqual(Object.keys(packed), ["~0", "~1", "~2"]);
+    assert.ok("~~odd" in packed["~2"]);
+    assert.ok(!("motif" in packed["~2"]));
+    assert.deepEqual(plain(await gallery.decodePatch(code)), SHARED_PATCH);
+  });
+
+  it("still reads a c1 link shared earlier", async () => {
+    assert.deepEqual(plain(await gallery.decodePatch(SHARED_C1)), SHARED_PATCH);
+  });
+
+  it("reads legacy base64url JSON links", async () => {
+    const patch = { motif: "syk-mixed", gridSize: 30, nested: { a: [1, 2] } };
+    assert.deepEqual(plain(await gallery.decodePatch(b64url(JSON.stringify(patch)))), patch);
+    assert.deepEqual(plain(await gallery.decodePatch("eyJtb3RpZiI6InN5ay1kaWFnIn0")), { motif: "syk-diag" });
+  });
+
+  it("keeps the legacy form when compressing would not make it shorter", async () => {
+    const tiny = { a: 1 };
+    assert.equal(await gallery.encodePatch(tiny), b64url(JSON.stringify(tiny)));
+  });
+
+  it("writes the legacy form without CompressionStream", async () => {
+    const old = loadGallery({ CompressionStream: undefined, DecompressionStream: undefined });
+    const code = await old.encodePatch(SHARED_PATCH);
+    assert.equal(code, b64url(JSON.stringify(SHARED_PATCH)));
+    assert.deepEqual(plain(await gallery.decodePatch(code)), SHARED_PATCH);
+    assert.equal(await old.decodePatch(SHARED_C1), null);
+  });
+
+  it("answers null for anything it cannot read", async () => {
+    assert.equal(await gallery.decodePatch(""), null);
+    assert.equal(await gallery.decodePatch(null), null);
+    assert.equal(await gallery.decodePatch("not*base64"), null);
+    assert.equal(await gallery.decodePatch(b64url("{broken")), null);
+    assert.equal(await gallery.decodePatch("c1.AAAA"), null);
+    assert.equal(await gallery.decodePatch("c1.@@"), null);
+    assert.equal(await gallery.decodePatch("c1." + await deflate("{nope")), null);
+    assert.equal(await gallery.decodePatch("c1." + await deflate('{"~zz":1}')), null);   // a code no key has yet
+  });
+});
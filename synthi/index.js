@@ -703,6 +703,15 @@
   }
 
   function savePNG() {
+    // gallery.js is optional here; when a host page loads it, the file keeps
+    // the parameters and seed in its recipe chunk
+    if (window.PixelGallery && window.PixelGallery.savePNG) {
+      window.PixelGallery.savePNG("synthi", canvas, {
+        filename: `synthi_${Date.now()}.png`,
+        patch: { base, renderSeed },
+      });
+      return;
+    }
     const a = document.createElement("a");
     a.download = `synthi_${Date.now()}.png`;
     a.href = canvas.toDataURL("image/png");
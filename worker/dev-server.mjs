@@ -1,13 +1,36 @@
 /* Local dev/test server — runs the exact Worker app with the in-memory adapter.
    No Cloudflare, no Pinata. Proves the API + cross-browser behaviour.
-     bun run worker/dev-server.mjs        (PORT env optional, default 8787)   */
+     bun run worker/dev-server.mjs        (PORT env optional, default 8787)
+     STORAGE=kv bun run worker/dev-server.mjs   (KV/R2 adapter on local stand-ins)
+     STORAGE=sqlite bun run worker/dev-server.mjs   (persists to SQLITE_PATH,
+                                                     default ./pixel-gallery.sqlite)
+     SITE_URL=http://localhost:8000 …        (where /a/:id share cards redirect)
+     WEBHOOK_URLS=http://localhost:8788 WEBHOOK_SECRET=dev …   (publish webhooks;
+                                                     see webhook-receiver.mjs) */
 import { createApp } from "./src/app.js";
 import { MemoryAdapter } from "./src/adapters/memory.js";
 import { PinataAdapter } from "./src/adapters/pinata.js";
+import { KvAdapter } from "./src/adapters/kv.js";
+import { LocalKV, LocalR2 } from "./src/adapters/kv-local.js";
+import { SqliteAdapter } from "./src/adapters/sqlite.js";
+import { Webhooks, parseTargets } from "./src/webhooks.js";
+
+async function openSqlite() {
+  const { Database } = await import("bun:sqlite");
+  return SqliteAdapter({ db: new Database(process.env.SQLITE_PATH || "pixel-gallery.sqlite", { create: true }) });
+}
 
 const backend = (process.env.STORAGE || "memory").toLowerCase();
-const adapter = backend === "pinata" ? PinataAdapter(process.env) : MemoryAdapter();
-const handle = createApp({ adapter });
+const adapter =
+  backend === "pinata" ? PinataAdapter(process.env) :
+  backend === "kv" ? KvAdapter({ kv: LocalKV(), bucket: LocalR2() }) :
+  backend === "sqlite" ? await openSqlite() :
+  MemoryAdapter();
+// AUTH_SECRET signs publish session tokens; the fallback is for local dev only
+const secret = process.env.AUTH_SECRET || "dev-only-secret";
+// SITE_URL: where /a/:id share cards and /p/:code links send browsers (your local static server)
+const webhooks = Webhooks({ targets: parseTargets(process.env.WEBHOOK_URLS), secret: process.env.WEBHOOK_SECRET });
+const handle = createApp({ adapter, secret, siteUrl: process.env.SITE_URL, webhooks });
 const port = Number(process.env.PORT || 8787);
 
 Bun.serve({ port, fetch: (req) => handle(req) });
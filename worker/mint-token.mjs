@@ -0,0 +1,19 @@
+/* Mint a signed API key for a trusted publisher (bot, X pipeline, …).
+     AUTH_SECRET=… bun run worker/mint-token.mjs <client-name> [days] [--admin]
+   Use the same AUTH_SECRET as the deployed Worker. Without [days] the key
+   never expires — rotate AUTH_SECRET to revoke every key at once. --admin
+   mints a moderation key for /api/v1/admin/* instead; give it a short [days]. */
+import { signToken } from "./src/auth.js";
+
+const args = process.argv.slice(2);
+const admin = args.includes("--admin");
+const [sub, days] = args.filter((a) => a !== "--admin");
+const secret = process.env.AUTH_SECRET;
+if (!sub || !secret) {
+  console.error("usage: AUTH_SECRET=… bun run worker/mint-token.mjs <client-name> [days] [--admin]");
+  process.exit(1);
+}
+const now = Date.now();
+const payload = { sub, kind: admin ? "admin" : "key", iat: now };
+if (days) payload.exp = now + Number(days) * 86400000;
+console.log(await signToken(payload, secret));
@@ -0,0 +1,200 @@
+/* StorageAdapter conformance — one suite, run against every adapter in
+   testkit.js ADAPTERS. The Worker relies on these answers being the same
+   whichever backend is configured (see the adapter contract in app.js). */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ADAPTERS, ORIGIN, saveInput } from "../testkit.js";
+import { decodeCursor } from "../query.js";
+import { parseSearchQuery, MAX_TERMS } from "../search.js";
+
+const T0 = Date.UTC(2025, 5, 1);
+
+// every page of list(query), following nextCursor
+async function listAll(adapter, query) {
+  const out = [];
+  let cursor;
+  do {
+    const page = await adapter.list({ limit: 2, ...query, cursor });
+    out.push(...page.items);
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor);
+  return out;
+}
+
+function search(adapter, qs) {
+  const { query, error } = parseSearchQuery(new URLSearchParams(qs + "&limit=50"));
+  assert.equal(error, undefined);
+  return adapter.search(query);
+}
+
+for (const [name, make] of Object.entries(ADAPTERS)) {
+  describe(name + " adapter", () => {
+    let adapter;
+    beforeEach(() => { adapter = make(); });
+
+    async function save(fields, opts) {
+      return adapter.save(saveInput(fields, opts));
+    }
+
+    it("saves a record and reads it and its image back", async () => {
+      const saved = await save({ id: "art_a", title: "First", ts: T0 }, {
+        renditions: [{ name: "320", bytes: new Uint8Array([9]), contentType: "image/webp" }],
+      });
+      assert.equal(saved.id, "art_a");
+      assert.equal(saved.title, "First");
+      assert.equal(saved.image, ORIGIN + "/api/v1/artwork/art_a/image");
+      assert.equal(saved.renditions["320"], ORIGIN + "/api/v1/artwork/art_a/image/320");
+      assert.deepEqual(await adapter.get("art_a"), saved);
+      const img = await adapter.getImage("art_a");
+      assert.deepEqual([...img.bytes], [1, 2, 3]);
+      assert.equal(img.contentType, "image/png");
+      assert.equal((await adapter.getImage("art_a", "320")).contentType, "image/webp");
+      assert.equal(await adapter.get("art_nope"), null);
+      assert.equal(await adapter.getImage("art_nope"), null);
+    });
+
+    it("lists newest first and pages with the cursor", async () => {
+      for (let i = 0; i < 5; i++) await save({ id: "art_" + i, ts: T0 + i * 1000 });
+      await save({ id: "art_tie", ts: T0 + 4000 });
+      await save({ id: "art_ti", ts: T0 + 4000 });
+      const first = await adapter.list({ limit: 2 });
+      assert.equal(first.items.length, 2);
+      assert.ok(first.nextCursor);
+      const all = await listAll(adapter, {});
+      assert.deepEqual(all.map((r) => r.id), ["art_tie", "art_ti", "art_4", "art_3", "art_2", "art_1", "art_0"]);
+      const last = await adapter.list({ limit: 10 });
+      assert.equal(last.nextCursor || null, null);
+    });
+
+    it("filters by lab, parent, author, featured and time", async () => {
+      await save({ id: "art_p", labId: "sykora-lab", ts: T0 });
+      await save({ id: "art_c1", labId: "koma-p5", parentId: "art_p", author: "kaspa:qa", ts: T0 + 1 });
+      await save({ id: "art_c2", labId: "koma-p5", parentId: "art_p", ts: T0 + 2 });
+      await adapter.update("art_c2", { featured: true });
+      const ids = async (q) => (await listAll(adapter, q)).map((r) => r.id);
+      assert.deepEqual(await ids({ labId: "koma-p5" }), ["art_c2", "art_c1"]);
+      assert.deepEqual(await ids({ parentId: "art_p" }), ["art_c2", "art_c1"]);
+      assert.deepEqual(await ids({ author: "kaspa:qa" }), ["art_c1"]);
+      assert.deepEqual(await ids({ featured: true }), ["art_c2"]);
+      assert.deepEqual(await ids({ featured: false }), ["art_c1", "art_p"]);
+      assert.deepEqual(await ids({ before: T0 + 2 }), ["art_c1", "art_p"]);
+      assert.deepEqual(await ids({ after: T0 }), ["art_c2", "art_c1"]);
+    });
+
+    it("counts remixes and likes and ranks by them", async () => {
+      await save({ id: "art_a", ts: T0 });
+      await save({ id: "art_b", ts: T0 + 1 });
+      await save({ id: "art_c", ts: T0 + 2 });
+      await save({ id: "art_r1", parentId: "art_a", ts: T0 + 3 });
+      await save({ id: "art_r2", parentId: "art_a", ts: T0 + 4 });
+      await save({ id: "art_r3", parentId: "art_b", ts: T0 + 5 });
+      assert.equal((await adapter.get("art_a")).remixes, 2);
+      assert.equal((await adapter.get("art_b")).remixes, 1);
+
+      assert.deepEqual(await adapter.like("art_c", "who-1"), { added: true, likes: 1 });
+      assert.deepEqual(await adapter.like("art_c", "who-1"), { added: false, likes: 1 });
+      assert.deepEqual(await adapter.like("art_c", "who-2"), { added: true, likes: 2 });
+      assert.deepEqual(await adapter.like("art_b", "who-1"), { added: true, likes: 1 });
+      assert.equal(await adapter.like("art_nope", "who-1"), null);
+      assert.equal((await adapter.get("art_c")).likes, 2);
+
+      const remixed = (await listAll(adapter, { sort: "remixed" })).map((r) => r.id);
+      assert.deepEqual(remixed.slice(0, 2), ["art_a", "art_b"]);
+      const liked = (await listAll(adapter, { sort: "liked" })).map((r) => r.id);
+      assert.deepEqual(liked.slice(0, 2), ["art_c", "art_b"]);
+      const trending = await listAll(adapter, { sort: "trending" });
+      assert.equal(trending.length, 6);
+      assert.equal(new Set(trending.map((r) => r.id)).size, 6);
+    });
+
+    it("hides, unhides and soft-deletes", async () => {
+      await save({ id: "art_p", ts: T0 });
+      await save({ id: "art_c", parentId: "art_p", ts: T0 + 1 });
+      const hidden = await adapter.update("art_c", { hidden: true });
+      assert.equal(hidden.hidden, true);
+      assert.deepEqual((await listAll(adapter, {})).map((r) => r.id), ["art_p"]);
+      await adapter.update("art_c", { hidden: false });
+      assert.equal((await listAll(adapter, {})).length, 2);
+      assert.equal(await adapter.update("art_nope", { hidden: true }), null);
+
+      const t = await adapter.remove("art_c");
+      assert.equal(t.deleted, true);
+      assert.equal(t.parentId, "art_p");
+      assert.equal((await adapter.get("art_c")).deleted, true);
+      assert.equal(await adapter.getImage("art_c"), null);
+      assert.equal(await adapter.update("art_c", { featured: true }), null);
+      assert.deepEqual((await listAll(adapter, {})).map((r) => r.id), ["art_p"]);
+      assert.equal((await adapter.get("art_p")).remixes, 0);
+      assert.equal((await adapter.remove("art_c")).deleted, true);
+      assert.equal(await adapter.remove("art_nope"), null);
+    });
+
+    it("keeps one report summary per artwork", async () => {
+      await save({ id: "art_a", ts: T0 });
+      await save({ id: "art_b", ts: T0 + 1 });
+      await adapter.report("art_a", { reason: "spam", ts: T0 + 10 });
+      await adapter.report("art_a", { reason: null, ts: T0 + 20 });
+      await adapter.report("art_b", { reason: "off-topic", ts: T0 + 15 });
+      const { items } = await adapter.reports({ limit: 10 });
+      assert.deepEqual(items.map((e) => [e.id, e.count]), [["art_a", 2], ["art_b", 1]]);
+      assert.deepEqual(items[0].reasons, ["spam"]);
+      await adapter.clearReports("art_a");
+      assert.deepEqual((await adapter.reports({ limit: 10 })).items.map((e) => e.id), ["art_b"]);
+    });
+
+    it("searches titles and patch parameters", async () => {
+      await save({ id: "art_a", title: "Blue grid study", labId: "sykora-lab", patch: { gridSize: 12, motif: "syk-diag" }, ts: T0 });
+      await save({ id: "art_b", title: "Red grid", labId: "sykora-lab", patch: { gridSize: 30, motif: "syk-mixed" }, ts: T0 + 1 });
+      await save({
+        id: "art_c", title: "Noise", labId: "koma-p5", ts: T0 + 2,
+        patch: { labId: "koma-p5", schemaVersion: 1, state: { zoom: 2.5 } },
+      });
+      const ids = async (qs) => (await search(adapter, qs)).items.map((r) => r.id);
+      assert.deepEqual(await ids("q=grid"), ["art_b", "art_a"]);
+      assert.deepEqual(await ids("q=gri"), ["art_b", "art_a"]);
+      assert.deepEqual(await ids("q=blue+grid"), ["art_a"]);
+      assert.deepEqual(await ids("patch.motif=syk-mixed"), ["art_b"]);
+      assert.deepEqual(await ids("patch.gridSize=10..20"), ["art_a"]);
+      assert.deepEqual(await ids("patch.zoom=2..3"), ["art_c"]);
+      assert.deepEqual(await ids("q=grid&labId=koma-p5"), []);
+      await adapter.remove("art_a");
+      assert.deepEqual(await ids("q=grid"), ["art_b"]);
+    });
+
+    it("finds a patch value past the indexed terms of a large patch", async () => {
+      const knobs = Object.fromEntries(Array.from({ length: MAX_TERMS }, (_, i) => ["k" + i, i]));
+      await save({ id: "art_big", title: "Patch bay", labId: "synthi-lab", patch: { ...knobs, osc: { fr: 440 } }, ts: T0 });
+      await save({ id: "art_small", title: "Patch", labId: "synthi-lab", patch: { osc: { fr: 220 } }, ts: T0 + 1 });
+      const ids = async (qs) => (await search(adapter, qs)).items.map((r) => r.id);
+      assert.deepEqual(await ids("patch.osc.fr=440"), ["art_big"]);
+      assert.deepEqual(await ids("patch.osc.fr=200..500"), ["art_small", "art_big"]);
+      assert.deepEqual(await ids("patch.k5=5&q=bay"), ["art_big"]);
+      assert.deepEqual(await ids("patch.osc.fr=330"), []);
+      assert.deepEqual(await ids("q=patch"), ["art_small", "art_big"]);
+    });
+
+    it("stores, pages and removes collections", async () => {
+      const c = (slug) => ({ slug, title: slug.toUpperCase(), description: "", items: [], cover: null, createdAt: T0, updatedAt: T0 });
+      for (const slug of ["gamma", "alpha", "beta"]) await adapter.saveCollection(c(slug));
+      assert.equal((await adapter.getCollection("alpha")).title, "ALPHA");
+      assert.equal(await adapter.getCollection("nope"), null);
+      await adapter.saveCollection({ ...c("alpha"), title: "Renamed" });
+      assert.equal((await adapter.getCollection("alpha")).title, "Renamed");
+      const first = await adapter.listCollections({ limit: 2 });
+      assert.deepEqual(first.items.map((x) => x.slug), ["alpha", "beta"]);
+      const rest = await adapter.listCollections({ limit: 2, cursor: decodeCursor(first.nextCursor) });
+      assert.deepEqual(rest.items.map((x) => x.slug), ["gamma"]);
+      assert.equal(rest.nextCursor || null, null);
+      assert.equal(await adapter.removeCollection("beta"), true);
+      assert.equal(await adapter.removeCollection("beta"), false);
+      assert.equal(await adapter.getCollection("beta"), null);
+    });
+
+    it("stores short links by code", async () => {
+      const link = { code: "abcDEF123_", labUrl: "/sykora-lab.html", patch: { a: 1 }, parentId: null, createdAt: T0 };
+      await adapter.saveShortLink(link);
+      assert.deepEqual(await adapter.getShortLink("abcDEF123_"), link);
+      assert.equal(await adapter.getShortLink("zzzzzzzzzz"), null);
+    });
+  });
+}
@@ -0,0 +1,55 @@
+/* In-process stand-ins for the Workers KV namespace and R2 bucket bindings.
+   Only the subset KvAdapter uses is implemented, with the same shapes as the
+   real bindings, so dev-server.mjs and tests run the KV adapter offline.
+   Nothing persists across restarts. */
+
+export function LocalKV() {
+  const store = new Map();   // key -> { value, metadata }
+
+  return {
+    async get(key, opts) {
+      const e = store.get(key);
+      if (!e) return null;
+      const type = typeof opts === "string" ? opts : opts && opts.type;
+      return type === "json" ? JSON.parse(e.value) : e.value;
+    },
+    async put(key, value, opts) {
+      store.set(key, { value: String(value), metadata: (opts && opts.metadata) || null });
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    // Lexicographic, like KV. The cursor is the last key returned (opaque to callers).
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const names = [...store.keys()]
+        .filter((k) => k.startsWith(prefix) && (!cursor || k > cursor))
+        .sort();
+      const page = names.slice(0, limit);
+      const complete = page.length === names.length;
+      return {
+        keys: page.map((name) => ({ name, metadata: store.get(name).metadata })),
+        list_complete: complete,
+        cursor: complete ? undefined : page[page.length - 1],
+      };
+    },
+  };
+}
+
+export function LocalR2() {
+  const objects = new Map();   // key -> { bytes, httpMetadata }
+
+  return {
+    async put(key, value, opts) {
+      const bytes = value instanceof Uint8Array ? value : new Uint8Array(await new Response(value).arrayBuffer());
+      objects.set(key, { bytes, httpMetadata: (opts && opts.httpMetadata) || {} });
+    },
+    async get(key) {
+      const o = objects.get(key);
+      if (!o) return null;
+      return { httpMetadata: o.httpMetadata, arrayBuffer: async () => o.bytes.slice().buffer };
+    },
+    async delete(key) {
+      objects.delete(key);
+    },
+  };
+}
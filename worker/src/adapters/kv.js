@@ -0,0 +1,370 @@
+/* KvAdapter — gallery index in Workers KV, image bytes in R2.
+
+   Listing is a KV prefix scan instead of a Pinata query + one gateway GET per
+   item. Keys (ts and id are reversed so KV's byte order is newest-first, and
+   id-descending within a millisecond as query.js orders ties):
+
+     rec:<id>                                -> the full record JSON
+     idx:all:<rts>:<rid>:<id>                -> ""  (metadata: { ts, labId, parentId, author, featured })
+     idx:lab:<labId>:<rts>:<rid>:<id>        -> ""  (same metadata)
+     idx:parent:<parentId>:<rts>:<rid>:<id>  -> ""  (same metadata)
+     idx:author:<address>:<rts>:<rid>:<id>   -> ""  (same metadata)
+     idx:rmx:<inv remixes>:<rts>:<rid>:<id>  -> ""  (same metadata + k, the ranked value, and at, when written)
+     idx:lk:<inv likes>:<rts>:<rid>:<id>     -> ""  (same)
+     idx:tr:<inv trend>:<rts>:<rid>:<id>     -> ""  (same)
+     idx:q:<term>:<id>                       -> ""  (same metadata; one per search term, search.js)
+     rq:<id>                                 -> report summary (moderation queue)
+     lk:<id>:<who>                           -> ""  one per like (likes.js), metadata { ts }
+     stat:<id>                               -> { likes, remixes, trend } (ranking.js)
+     col:<slug>                              -> a collection (collections.js), listed in slug order
+     link:<code>                             -> a short link (links.js)
+
+   The most selective index for the query is scanned; the remaining filters are
+   checked against the key metadata, so only matching records are fetched.
+   Moderation rewrites the metadata (featured/hidden); a delete leaves only the
+   tombstone under rec:<id> and drops the index keys and the R2 object. The
+   queue lists rq:<id> in key order — KV cannot sort by report time.
+
+   Search lists the idx:q keys of every term in the query (a word lists the
+   prefix `idx:q:t/<word>`), adds the ids under the PARTIAL term to each list
+   (search.js), intersects them, orders them by the ts in the metadata and
+   fetches records newest-first until a page has passed matchesSearch — at
+   most MAX_SEARCH_FETCH per page, so a narrow numeric range can come back as
+   a short page with a cursor.
+
+   KV has no atomic increment, so counters are recounts: a like writes its own
+   marker key, a remix its idx:parent key, and then stat:<id> is rebuilt from
+   those keys (likes, remixes, and the trend score from their timestamps). The
+   ranked idx keys move with it and the previous ones are deleted. A recount
+   that raced another, or read a stat:<id> that had not caught up yet, can
+   still leave one behind: its `k` no longer matches stat:<id>, so listing
+   skips it, and deletes it once it is older than RANK_SETTLE_MS — by then
+   stat:<id> has caught up with whatever write made the key.
+
+   Images live in R2 as img/<id>, renditions as img/<id>/<name>.
+
+   Bindings (wrangler.toml): GALLERY_KV (KV namespace), GALLERY_R2 (R2 bucket).
+   R2_PUBLIC_URL — optional public bucket/custom domain; without it images are
+   served back through /api/v1/artwork/:id/image. For dev/tests pass the
+   LocalKV/LocalR2 stand-ins from kv-local.js. */
+import { encodeCursor, matchesQuery, compareNewest, isAfterCursor } from "../query.js";
+import { tombstone, addReport } from "../moderation.js";
+import { withRenditions } from "../renditions.js";
+import { trendScore, rankValue, heat } from "../ranking.js";
+import { searchTerms, indexLookups, matchesSearch, PARTIAL } from "../search.js";
+
+const MAX_TS = 9999999999999;   // 13 digits of ms — fine until the year 2286
+const MAX_SCANS = 8;            // KV list calls per page (Worker subrequest budget)
+const MAX_STAT_SCANS = 10;      // × 1000 keys per recount — counts past that stay at the last full one
+const MAX_SEARCH_FETCH = 200;   // records checked per search page
+const RANK_PREFIX = { remixed: "idx:rmx:", liked: "idx:lk:", trending: "idx:tr:" };
+const RANK_SETTLE_MS = 2 * 60 * 1000;   // KV reads can trail a write by up to ~60 s
+
+function revTs(ts) {
+  return String(MAX_TS - ts).padStart(13, "0");
+}
+
+// each UTF-8 byte inverted, as hex; the closing "~" sorts after every hex
+// digit, so a longer id that extends a shorter one still sorts first
+function revId(id) {
+  let out = "";
+  for (const b of new TextEncoder().encode(id)) out += (255 - b).toString(16).padStart(2, "0");
+  return out + "~";
+}
+
+// the newest-first tail every listed index key ends with
+function tailFor(ts, id) {
+  return revTs(ts) + ":" + revId(id) + ":" + id;
+}
+
+// counts and scores, inverted so bigger sorts first
+function invCount(n) {
+  return String(1e9 - n).padStart(10, "0");
+}
+function invTrend(t) {
+  return (1e6 - t).toFixed(6).padStart(14, "0");
+}
+
+function seg(v) {
+  return encodeURIComponent(v);
+}
+
+export function KvAdapter({ kv, bucket, publicUrl }) {
+  if (!kv) throw new Error("GALLERY_KV binding not configured");
+  if (!bucket) throw new Error("GALLERY_R2 binding not configured");
+  const imageBase = publicUrl ? publicUrl.replace(/\/+$/, "") : null;
+
+  function indexKeys(r) {
+    const tail = tailFor(r.ts, r.id);
+    const keys = ["idx:all:" + tail];
+    if (r.labId) keys.push("idx:lab:" + seg(r.labId) + ":" + tail);
+    if (r.parentId) keys.push("idx:parent:" + seg(r.parentId) + ":" + tail);
+    if (r.author) keys.push("idx:author:" + seg(r.author) + ":" + tail);
+    return keys;
+  }
+
+  function searchKeys(r) {
+    return searchTerms(r).map((t) => "idx:q:" + t + ":" + r.id);
+  }
+
+  // [key, k] per ranked sort
+  function rankKeys(r, st) {
+    const tail = tailFor(r.ts, r.id);
+    return [
+      [RANK_PREFIX.remixed + invCount(st.remixes) + ":" + tail, st.remixes],
+      [RANK_PREFIX.liked + invCount(st.likes) + ":" + tail, st.likes],
+      [RANK_PREFIX.trending + invTrend(st.trend) + ":" + tail, st.trend],
+    ];
+  }
+
+  function indexMeta(r) {
+    return {
+      ts: r.ts, labId: r.labId || null, parentId: r.parentId || null,
+      author: r.author || null, featured: !!r.featured, hidden: !!r.hidden,
+    };
+  }
+
+  function prefixFor(q) {
+    if (q.sort) return RANK_PREFIX[q.sort];
+    if (q.parentId) return "idx:parent:" + seg(q.parentId) + ":";
+    if (q.author) return "idx:author:" + seg(q.author) + ":";
+    if (q.labId) return "idx:lab:" + seg(q.labId) + ":";
+    return "idx:all:";
+  }
+
+  function freshStat(r) {
+    return { likes: 0, remixes: 0, trend: r.trend != null ? r.trend : heat(r.ts) };
+  }
+
+  async function readStat(r) {
+    return (await kv.get("stat:" + r.id, { type: "json" })) || freshStat(r);
+  }
+
+  async function withStat(r) {
+    if (!r || r.deleted) return r;
+    return { ...r, ...(await readStat(r)) };
+  }
+
+  async function writeRecord(r, st) {
+    await kv.put("rec:" + r.id, JSON.stringify(r));
+    const metadata = indexMeta(r);
+    await Promise.all([
+      ...indexKeys(r).map((k) => kv.put(k, "", { metadata })),
+      ...searchKeys(r).map((k) => kv.put(k, "", { metadata })),
+      ...rankKeys(r, st).map(([k, v]) => kv.put(k, "", { metadata: { ...metadata, k: v, at: Date.now() } })),
+    ]);
+  }
+
+  // -> [{ name, ts }] under a prefix; null if it ran past MAX_STAT_SCANS
+  async function scanTimes(prefix) {
+    const out = [];
+    let cursor;
+    for (let i = 0; i < MAX_STAT_SCANS; i++) {
+      const res = await kv.list({ prefix, cursor });
+      for (const k of res.keys) out.push({ name: k.name, ts: (k.metadata && k.metadata.ts) || 0 });
+      if (res.list_complete) return out;
+      cursor = res.cursor;
+    }
+    return null;
+  }
+
+  // id -> key metadata for every key under a prefix (the first MAX_STAT_SCANS pages)
+  async function scanIds(prefix) {
+    const out = new Map();
+    let cursor;
+    for (let i = 0; i < MAX_STAT_SCANS; i++) {
+      const res = await kv.list({ prefix, cursor });
+      for (const k of res.keys) out.set(k.name.slice(k.name.lastIndexOf(":") + 1), k.metadata || {});
+      if (res.list_complete) break;
+      cursor = res.cursor;
+    }
+    return out;
+  }
+
+  // Rebuild stat:<id> and its ranked keys from the marker keys. `fresh` is a
+  // key just written — KV lists can lag a put, so it counts regardless.
+  async function refreshStat(id, fresh) {
+    const r = await kv.get("rec:" + id, { type: "json" });
+    if (!r || r.deleted) return null;
+    const remixPrefix = "idx:parent:" + seg(id) + ":", likePrefix = "lk:" + id + ":";
+    const [remixes, likes] = await Promise.all([scanTimes(remixPrefix), scanTimes(likePrefix)]);
+    const prev = await readStat(r);
+    if (!remixes || !likes) return prev;
+    if (fresh) {
+      const list = fresh.name.startsWith(likePrefix) ? likes : remixes;
+      if (!list.some((k) => k.name === fresh.name)) list.push(fresh);
+    }
+    const st = {
+      remixes: remixes.length,
+      likes: likes.length,
+      trend: trendScore(r.ts, remixes.map((k) => k.ts), likes.map((k) => k.ts)),
+    };
+    await kv.put("stat:" + id, JSON.stringify(st));
+    const metadata = indexMeta(r);
+    const next = rankKeys(r, st);
+    await Promise.all(next.map(([k, v]) => kv.put(k, "", { metadata: { ...metadata, k: v, at: Date.now() } })));
+    const keep = new Set(next.map(([k]) => k));
+    await Promise.all(rankKeys(r, prev).filter(([k]) => !keep.has(k)).map(([k]) => kv.delete(k)));
+    return st;
+  }
+
+  return {
+    async save({ id, image, record, origin, renditions = [] }) {
+      const contentType = image.contentType || "image/png";
+      await bucket.put("img/" + id, image.bytes, { httpMetadata: { contentType } });
+      await Promise.all(renditions.map((r) =>
+        bucket.put("img/" + id + "/" + r.name, r.bytes, { httpMetadata: { contentType: r.contentType } })));
+      const imageUrl = imageBase ? `${imageBase}/img/${id}` : `${origin}/api/v1/artwork/${id}/image`;
+      const urls = {};
+      for (const r of renditions) urls[r.name] = imageUrl + "/" + r.name;
+      const full = withRenditions({ ...record, image: imageUrl, backend: "kv" }, urls);
+      const st = freshStat(full);
+      await kv.put("stat:" + id, JSON.stringify(st));
+      await writeRecord(full, st);
+      if (full.parentId) {
+        const name = "idx:parent:" + seg(full.parentId) + ":" + tailFor(full.ts, id);
+        await refreshStat(full.parentId, { name, ts: full.ts });
+      }
+      return { ...full, ...st };
+    },
+    async get(id) {
+      return withStat(await kv.get("rec:" + id, { type: "json" }));
+    },
+    async getImage(id, rendition) {
+      const obj = await bucket.get("img/" + id + (rendition ? "/" + rendition : ""));
+      if (!obj) return null;
+      return {
+        bytes: new Uint8Array(await obj.arrayBuffer()),
+        contentType: (obj.httpMetadata && obj.httpMetadata.contentType) || "image/png",
+      };
+    },
+    async list(query) {
+      const prefix = prefixFor(query);
+      const found = [];   // [id, key metadata, key name]
+      let kvCursor = (query.cursor && query.cursor.kv) || undefined;
+      let complete = false;
+      // Each scan asks for exactly the room left, and every key on a scanned
+      // page is consumed, so KV's own cursor is always a clean resume point.
+      for (let i = 0; i < MAX_SCANS && found.length < query.limit && !complete; i++) {
+        const res = await kv.list({ prefix, limit: query.limit - found.length, cursor: kvCursor });
+        for (const k of res.keys) {
+          const meta = k.metadata || {};
+          // newest-first: once past `after`, every remaining key is older still
+          if (!query.sort && query.after != null && !(meta.ts > query.after)) { complete = true; break; }
+          if (matchesQuery(meta, query)) found.push([k.name.slice(k.name.lastIndexOf(":") + 1), meta, k.name]);
+        }
+        kvCursor = res.cursor;
+        if (res.list_complete) complete = true;
+      }
+      const items = (await Promise.all(found.map(async ([id, meta, name]) => {
+        const r = await withStat(await kv.get("rec:" + id, { type: "json" }));
+        // a ranked key a recount left behind (see the header)
+        if (r && query.sort && rankValue(r, query.sort) !== meta.k) {
+          if (!(meta.at > Date.now() - RANK_SETTLE_MS)) await kv.delete(name);
+          return null;
+        }
+        return r;
+      }))).filter(Boolean);
+      return { items, nextCursor: complete ? null : encodeCursor({ kv: kvCursor }) };
+    },
+    async search(query) {
+      const [partial, ...lists] = await Promise.all([{ term: PARTIAL, prefix: false }, ...indexLookups(query)]
+        .map(({ term, prefix }) => scanIds("idx:q:" + term + (prefix ? "" : ":"))));
+      for (const list of lists) for (const [id, meta] of partial) list.set(id, meta);
+      const [first, ...rest] = lists.sort((a, b) => a.size - b.size);
+      const c = query.cursor;
+      const hasCursor = c && typeof c.ts === "number" && typeof c.id === "string";
+      const rows = [...first]
+        .filter(([id, meta]) => rest.every((m) => m.has(id)) && matchesQuery(meta, query))
+        .map(([id, meta]) => ({ id, ts: meta.ts }))
+        .filter((row) => !hasCursor || isAfterCursor(row, c))
+        .sort(compareNewest);
+      const items = [];
+      let seen = 0;
+      while (items.length < query.limit && seen < rows.length && seen < MAX_SEARCH_FETCH) {
+        const batch = rows.slice(seen, seen + query.limit - items.length);
+        seen += batch.length;
+        const recs = await Promise.all(batch.map(async (row) => withStat(await kv.get("rec:" + row.id, { type: "json" }))));
+        items.push(...recs.filter((r) => r && matchesSearch(r, query)));
+      }
+      const last = rows[seen - 1];
+      return { items, nextCursor: seen < rows.length ? encodeCursor({ ts: last.ts, id: last.id }) : null };
+    },
+    async update(id, changes) {
+      const r = await kv.get("rec:" + id, { type: "json" });
+      if (!r || r.deleted) return null;
+      const st = await readStat(r);
+      const next = { ...r, ...changes };
+      await writeRecord(next, st);
+      return { ...next, ...st };
+    },
+    async remove(id) {
+      const r = await kv.get("rec:" + id, { type: "json" });
+      if (!r) return null;
+      if (r.deleted) return r;
+      const t = tombstone(r);
+      const st = await readStat(r);
+      await kv.put("rec:" + id, JSON.stringify(t));
+      await Promise.all([
+        ...indexKeys(r).map((k) => kv.delete(k)),
+        ...rankKeys(r, st).map(([k]) => kv.delete(k)),
+        ...searchKeys(r).map((k) => kv.delete(k)),
+        kv.delete("rq:" + id),
+        kv.delete("stat:" + id),
+        bucket.delete("img/" + id),
+        ...Object.keys(r.renditions || {}).map((name) => bucket.delete("img/" + id + "/" + name)),
+      ]);
+      // the parent's remix count drops with this idx:parent key
+      if (r.parentId) await refreshStat(r.parentId, null);
+      return t;
+    },
+    async like(id, who) {
+      const r = await kv.get("rec:" + id, { type: "json" });
+      if (!r || r.deleted) return null;
+      const key = "lk:" + id + ":" + who;
+      if (await kv.get(key) != null) return { added: false, likes: (await readStat(r)).likes };
+      const ts = Date.now();
+      await kv.put(key, "", { metadata: { ts } });
+      const st = await refreshStat(id, { name: key, ts });
+      return { added: true, likes: st.likes };
+    },
+    async report(id, entry) {
+      const prev = await kv.get("rq:" + id, { type: "json" });
+      await kv.put("rq:" + id, JSON.stringify(addReport(prev, id, entry)));
+    },
+    async reports(query) {
+      const kvCursor = (query.cursor && query.cursor.kv) || undefined;
+      const res = await kv.list({ prefix: "rq:", limit: query.limit, cursor: kvCursor });
+      const items = (await Promise.all(res.keys.map((k) => kv.get(k.name, { type: "json" })))).filter(Boolean);
+      return { items, nextCursor: res.list_complete ? null : encodeCursor({ kv: res.cursor }) };
+    },
+    async clearReports(id) {
+      await kv.delete("rq:" + id);
+    },
+    async saveCollection(c) {
+      await kv.put("col:" + c.slug, JSON.stringify(c));
+      return c;
+    },
+    async getCollection(slug) {
+      return kv.get("col:" + slug, { type: "json" });
+    },
+    async listCollections(query) {
+      const kvCursor = (query.cursor && query.cursor.kv) || undefined;
+      const res = await kv.list({ prefix: "col:", limit: query.limit, cursor: kvCursor });
+      const items = (await Promise.all(res.keys.map((k) => kv.get(k.name, { type: "json" })))).filter(Boolean);
+      return { items, nextCursor: res.list_complete ? null : encodeCursor({ kv: res.cursor }) };
+    },
+    async removeCollection(slug) {
+      if (await kv.get("col:" + slug) == null) return false;
+      await kv.delete("col:" + slug);
+      return true;
+    },
+    async saveShortLink(link) {
+      await kv.put("link:" + link.code, JSON.stringify(link));
+      return link;
+    },
+    async getShortLink(code) {
+      return kv.get("link:" + code, { type: "json" });
+    },
+  };
+}
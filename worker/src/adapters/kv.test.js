@@ -0,0 +1,50 @@
+/* KvAdapter specifics the shared conformance suite cannot see: the keys it
+   leaves in the namespace. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { KvAdapter } from "./kv.js";
+import { LocalKV, LocalR2 } from "./kv-local.js";
+import { saveInput } from "../testkit.js";
+
+const T0 = Date.UTC(2025, 5, 1);
+
+async function rankNames(kv, id) {
+  const { keys } = await kv.list({ prefix: "idx:" });
+  return keys.map((k) => k.name).filter((n) => /^idx:(rmx|lk|tr):/.test(n) && n.endsWith(":" + id));
+}
+
+describe("kv adapter rank keys", () => {
+  it("keeps one ranked key per sort as counts change", async () => {
+    const kv = LocalKV();
+    const adapter = KvAdapter({ kv, bucket: LocalR2() });
+    await adapter.save(saveInput({ id: "art_a", ts: T0 }));
+    for (let i = 0; i < 3; i++) await adapter.like("art_a", "who-" + i);
+    await adapter.save(saveInput({ id: "art_r", parentId: "art_a", ts: T0 + 1 }));
+    await adapter.update("art_a", { featured: true });
+    const names = await rankNames(kv, "art_a");
+    assert.equal(names.length, 3);
+    assert.ok(names.some((n) => n.startsWith("idx:lk:0999999997:")));
+    assert.ok(names.some((n) => n.startsWith("idx:rmx:0999999999:")));
+  });
+
+  it("deletes a settled key a raced recount left behind, and keeps a fresh one", async () => {
+    const kv = LocalKV();
+    const adapter = KvAdapter({ kv, bucket: LocalR2() });
+    await adapter.save(saveInput({ id: "art_a", ts: T0 }));
+    await adapter.save(saveInput({ id: "art_b", ts: T0 + 1 }));
+    await adapter.like("art_a", "who-1");
+    const meta = { ts: T0, labId: null, parentId: null, author: null, featured: false, hidden: false };
+    // as if a concurrent recount had counted 5 / 7 likes
+    await kv.put("idx:lk:0999999995:stale:art_a", "", { metadata: { ...meta, k: 5, at: Date.now() - 60 * 60 * 1000 } });
+    await kv.put("idx:lk:0999999993:stale:art_a", "", { metadata: { ...meta, k: 7, at: Date.now() } });
+    await kv.put("idx:lk:0999999994:stale:art_a", "", { metadata: { ...meta, k: 6 } });   // written before `at`
+
+    const { items } = await adapter.list({ sort: "liked", limit: 10 });
+    assert.deepEqual(items.map((r) => r.id), ["art_a", "art_b"]);
+    const left = await rankNames(kv, "art_a");
+    assert.ok(left.includes("idx:lk:0999999993:stale:art_a"));
+    assert.ok(!left.includes("idx:lk:0999999995:stale:art_a"));
+    assert.ok(!left.includes("idx:lk:0999999994:stale:art_a"));
+    assert.equal(left.length, 4);
+  });
+});
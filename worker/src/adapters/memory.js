@@ -1,28 +1,134 @@
 /* MemoryAdapter — in-process storage for dev/test.
    Implements the StorageAdapter interface. Nothing persists across restarts;
    its only job is to prove the API + cross-browser behaviour without infra. */
+import { pageRecords } from "../query.js";
+import { tombstone, addReport, pageReports } from "../moderation.js";
+import { withRenditions } from "../renditions.js";
+import { remixedAt, likedAt } from "../ranking.js";
+import { searchTerms, indexLookups, matchesSearch, PARTIAL } from "../search.js";
+import { pageCollections } from "../collections.js";
+
 export function MemoryAdapter() {
   const records = new Map();   // id -> record
-  const images = new Map();    // id -> { bytes, contentType }
-  const order = [];            // newest-first ids
+  const images = new Map();    // id | id/rendition -> { bytes, contentType }
+  const reports = new Map();   // id -> report summary (moderation queue)
+  const byParent = new Map();  // parentId -> Set of child ids (lineage lookups)
+  const likers = new Map();    // id -> Set of liker hashes
+  const terms = new Map();     // search term -> Set of ids (search.js)
+  const collections = new Map(); // slug -> collection (collections.js)
+  const links = new Map();       // code -> short link (links.js)
+
+  function lookup({ term, prefix }) {
+    const ids = new Set(terms.get(PARTIAL));
+    if (!prefix) for (const id of terms.get(term) || []) ids.add(id);
+    else for (const [t, set] of terms) if (t.startsWith(term)) for (const id of set) ids.add(id);
+    return ids;
+  }
 
   return {
-    async save({ id, image, record, origin }) {
+    async save({ id, image, record, origin, renditions = [] }) {
       images.set(id, { bytes: image.bytes, contentType: image.contentType });
       const imageUrl = `${origin}/api/v1/artwork/${id}/image`;
-      const full = { ...record, image: imageUrl, thumb: imageUrl, backend: "memory" };
+      const urls = {};
+      for (const r of renditions) {
+        images.set(id + "/" + r.name, { bytes: r.bytes, contentType: r.contentType });
+        urls[r.name] = imageUrl + "/" + r.name;
+      }
+      const full = withRenditions({ ...record, image: imageUrl, backend: "memory" }, urls);
       records.set(id, full);
-      order.unshift(id);
+      for (const t of searchTerms(full)) {
+        if (!terms.has(t)) terms.set(t, new Set());
+        terms.get(t).add(id);
+      }
+      if (full.parentId) {
+        if (!byParent.has(full.parentId)) byParent.set(full.parentId, new Set());
+        byParent.get(full.parentId).add(id);
+        const p = records.get(full.parentId);
+        if (p && !p.deleted) records.set(p.id, { ...p, ...remixedAt(p, full.ts) });
+      }
       return full;
     },
     async get(id) {
       return records.get(id) || null;
     },
-    async getImage(id) {
-      return images.get(id) || null;
+    async getImage(id, rendition) {
+      return images.get(rendition ? id + "/" + rendition : id) || null;
+    },
+    async list(query) {
+      if (query.parentId) {
+        const ids = [...(byParent.get(query.parentId) || [])];
+        return pageRecords(ids.map((id) => records.get(id)), query);
+      }
+      return pageRecords([...records.values()], query);
+    },
+    async search(query) {
+      // smallest posting list first, intersected with the rest
+      const [first, ...rest] = indexLookups(query).map(lookup).sort((a, b) => a.size - b.size);
+      const ids = [...first].filter((id) => rest.every((set) => set.has(id)));
+      return pageRecords(ids.map((id) => records.get(id)).filter((r) => matchesSearch(r, query)), query);
+    },
+    async update(id, changes) {
+      const r = records.get(id);
+      if (!r || r.deleted) return null;
+      const next = { ...r, ...changes };
+      records.set(id, next);
+      return next;
+    },
+    async remove(id) {
+      const r = records.get(id);
+      if (!r) return null;
+      if (r.deleted) return r;
+      const t = tombstone(r);
+      records.set(id, t);
+      for (const key of [...images.keys()]) if (key === id || key.startsWith(id + "/")) images.delete(key);
+      reports.delete(id);
+      likers.delete(id);
+      for (const term of searchTerms(r)) {
+        const set = terms.get(term);
+        if (set && set.delete(id) && !set.size) terms.delete(term);
+      }
+      const p = r.parentId && records.get(r.parentId);
+      if (p && !p.deleted) records.set(p.id, { ...p, remixes: Math.max(0, (p.remixes || 0) - 1) });
+      return t;
+    },
+    async like(id, who) {
+      const r = records.get(id);
+      if (!r || r.deleted) return null;
+      if (!likers.has(id)) likers.set(id, new Set());
+      const set = likers.get(id);
+      const added = !set.has(who);
+      set.add(who);
+      records.set(id, { ...r, likes: set.size, ...(added ? likedAt(r, Date.now()) : {}) });
+      return { added, likes: set.size };
+    },
+    async report(id, entry) {
+      reports.set(id, addReport(reports.get(id), id, entry));
+    },
+    async reports(query) {
+      return pageReports([...reports.values()], query);
+    },
+    async clearReports(id) {
+      reports.delete(id);
+    },
+    async saveCollection(c) {
+      collections.set(c.slug, c);
+      return c;
+    },
+    async getCollection(slug) {
+      return collections.get(slug) || null;
+    },
+    async listCollections(query) {
+      return pageCollections([...collections.values()], query);
+    },
+    async removeCollection(slug) {
+      return collections.delete(slug);
+    },
+    async saveShortLink(link) {
+      links.set(link.code, link);
+      return link;
     },
-    async list({ limit }) {
-      return order.slice(0, limit).map((id) => records.get(id)).filter(Boolean);
+    async getShortLink(code) {
+      return links.get(code) || null;
     },
   };
 }
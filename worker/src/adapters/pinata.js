@@ -1,7 +1,8 @@
 /* PinataAdapter — production storage on IPFS via Pinata's v3 Files API.
 
-   Stores TWO public files per artwork:
+   Stores these public files per artwork:
      • the PNG image           -> served from the dedicated gateway
+     • one file per rendition  -> same, keyvalue rendition=<name>
      • a metadata JSON record  -> the queryable gallery index (keyvalues filter)
 
    Config (Worker secrets / vars):
@@ -10,10 +11,56 @@
 
    NOTE: two uploads + per-item gateway GETs are fine to start. The gallery INDEX
    is a good future move to Workers KV or R2 (cheaper/faster to list). The
-   StorageAdapter interface makes that a one-file change. */
+   StorageAdapter interface makes that a one-file change.
+
+   Paging rides on Pinata's own `pageToken`; labId/parentId/author are pushed down as
+   keyvalue filters, the rest (featured, before/after) is applied to the page
+   after the metadata JSON is fetched — so a filtered page can come back short.
+
+   Pinned JSON is immutable, so moderation lives in the metadata file's
+   keyvalues (featured / hidden / reported, reports, reportedAt, reason) and is
+   laid over the record on read. Delete uploads a tombstone metadata file
+   (keyvalue deleted=1) and unpins the original metadata + image. Their CIDs can
+   stay reachable through other IPFS nodes; the tombstone is what makes this
+   API answer 410 for the id instead of serving them.
+
+   Each like is a small marker file (type=like, id, who = liker hash). After a
+   like, a remix or a delete, the meta file's `likes` / `remixes` / `trend`
+   keyvalues are recounted from the marker files and the children's meta files
+   (their created_at is the event time). Markers of a deleted artwork stay
+   behind — they hold only the hash.
+
+   Pinata cannot sort by a keyvalue, so a ranked /gallery?sort= lists up to
+   MAX_RANK_FILES meta files (keyvalues only, no gateway GETs), orders them
+   here and pages by offset; only the page's records are fetched. Search works
+   the same way: the meta file carries its search terms (search.js) as a
+   space-separated `terms` keyvalue, matched here. A meta file uploaded before
+   search existed has none, and one cut short ends in PARTIAL; either is
+   fetched and checked against its record's own terms (matchesSearch), at most
+   MAX_SEARCH_FETCH records per page, so such a page can come back short with
+   a cursor.
+
+   A collection is a JSON file (type=collection, slug). Saving uploads a new
+   version and deletes the older ones; listing sorts the files by slug and
+   fetches one page. A short link is a JSON file too (type=link, code); its
+   code is content-addressed, so it is written once and never replaced. */
+import { encodeCursor, matchesQuery, compareNewest, compareFor } from "../query.js";
+import { tombstone, MAX_REASON } from "../moderation.js";
+import { withRenditions } from "../renditions.js";
+import { trendScore } from "../ranking.js";
+import { searchTerms, matchesTerms, matchesSearch, PARTIAL } from "../search.js";
+
 const UPLOAD = "https://uploads.pinata.cloud/v3/files";
 const FILES = "https://api.pinata.cloud/v3/files/public";
 const APP_TAG = "pixel-gallery";
+const MAX_SCAN_PAGES = 10;   // × 1000 files per recount
+const MAX_RANK_FILES = 5000; // meta files scanned per sorted listing / search
+const MAX_SEARCH_FETCH = 200; // records fetched per search page
+
+// file extension for an uploaded image, from its sniffed type (image.js)
+function extension(contentType) {
+  return contentType === "image/webp" ? "webp" : contentType === "image/jpeg" ? "jpg" : "png";
+}
 
 export function PinataAdapter(env) {
   const JWT = env.PINATA_JWT;
@@ -34,15 +81,17 @@ export function PinataAdapter(env) {
     return (await r.json()).data; // { id, cid, ... }
   }
 
-  async function queryFiles(extra, limit) {
+  async function queryFiles(extra, limit, pageToken) {
     const u = new URL(FILES);
     u.searchParams.set("keyvalues[app]", APP_TAG);
     u.searchParams.set("keyvalues[type]", "meta");
     for (const k in extra) u.searchParams.set("keyvalues[" + k + "]", extra[k]);
     if (limit) u.searchParams.set("limit", String(limit));
+    if (pageToken) u.searchParams.set("pageToken", pageToken);
     const r = await fetch(u, { headers: auth });
     if (!r.ok) throw new Error("list failed: " + r.status);
-    return ((await r.json()).data || {}).files || [];
+    const data = (await r.json()).data || {};
+    return { files: data.files || [], next: data.next_page_token || null };
   }
 
   async function fetchJson(cid) {
@@ -51,31 +100,270 @@ export function PinataAdapter(env) {
     return r.json().catch(() => null);
   }
 
+  async function setKeyvalues(file, changes) {
+    const keyvalues = { ...(file.keyvalues || {}), ...changes };
+    const r = await fetch(`${FILES}/${file.id}`, {
+      method: "PUT",
+      headers: { ...auth, "Content-Type": "application/json" },
+      body: JSON.stringify({ keyvalues }),
+    });
+    if (!r.ok) throw new Error("update failed: " + r.status);
+    file.keyvalues = keyvalues;
+  }
+
+  async function deleteFile(fileId) {
+    const r = await fetch(`${FILES}/${fileId}`, { method: "DELETE", headers: auth });
+    if (!r.ok && r.status !== 404) throw new Error("delete failed: " + r.status);
+  }
+
+  // -> { live, tomb } metadata files for an id (a tombstone wins over a live file)
+  async function metaFiles(id) {
+    const { files } = await queryFiles({ id }, 10);
+    const tomb = files.find((f) => (f.keyvalues || {}).deleted === "1") || null;
+    const live = tomb ? null : files[0] || null;
+    return { live, tomb };
+  }
+
+  function withFlags(rec, keyvalues) {
+    if (!rec || rec.deleted) return rec;
+    const kv = keyvalues || {};
+    return {
+      ...rec,
+      featured: kv.featured != null ? kv.featured === "1" : !!rec.featured,
+      hidden: kv.hidden === "1",
+      likes: parseInt(kv.likes, 10) || 0,
+      remixes: parseInt(kv.remixes, 10) || 0,
+      trend: kv.trend ? Number(kv.trend) : rec.trend,
+    };
+  }
+
+  async function allFiles(extra) {
+    const out = [];
+    let token = null;
+    for (let i = 0; i < MAX_SCAN_PAGES; i++) {
+      const { files, next } = await queryFiles(extra, 1000, token);
+      out.push(...files);
+      if (!next || !files.length) break;
+      token = next;
+    }
+    return out;
+  }
+
+  // Recount an artwork's likes / remixes / trend into its meta keyvalues.
+  // `fresh` = { like?: who, remix?: { id, ts } } just uploaded, which a listing may not show yet.
+  async function refreshStats(id, fresh = {}) {
+    const { live } = await metaFiles(id);
+    if (!live) return null;
+    const [likeFiles, children] = await Promise.all([allFiles({ type: "like", id }), allFiles({ parentId: id })]);
+    // distinct likers (two racing likes from one session may both upload)
+    const likers = new Map();
+    for (const f of likeFiles) likers.set((f.keyvalues || {}).who, Date.parse(f.created_at) || 0);
+    if (fresh.like && !likers.has(fresh.like)) likers.set(fresh.like, Date.now());
+    const liveChildren = children.filter((f) => (f.keyvalues || {}).deleted !== "1");
+    const remixTs = liveChildren.map((f) => Date.parse(f.created_at) || 0);
+    if (fresh.remix && !liveChildren.some((f) => (f.keyvalues || {}).id === fresh.remix.id)) remixTs.push(fresh.remix.ts);
+    const rec = await fetchJson(live.cid);
+    const stats = {
+      likes: likers.size,
+      remixes: remixTs.length,
+      trend: trendScore((rec && rec.ts) || Date.parse(live.created_at) || 0, remixTs, [...likers.values()]),
+    };
+    await setKeyvalues(live, { likes: String(stats.likes), remixes: String(stats.remixes), trend: String(stats.trend) });
+    return stats;
+  }
+
+  // keyvalue filters Pinata can apply itself
+  function pushDown(query) {
+    const extra = {};
+    if (query.labId) extra.labId = query.labId;
+    if (query.parentId) extra.parentId = query.parentId;
+    if (query.author) extra.author = query.author;
+    return extra;
+  }
+
+  // scanned listing: filter + order meta files by their keyvalues, fetch one page
+  async function listScanned(query, keep, check) {
+    const extra = pushDown(query);
+    const files = [];
+    let token = null;
+    while (files.length < MAX_RANK_FILES) {
+      const page = await queryFiles(extra, 1000, token);
+      files.push(...page.files);
+      if (!page.next || !page.files.length) break;
+      token = page.next;
+    }
+    const rows = files.map((f) => {
+      const kv = f.keyvalues || {};
+      return {
+        file: f, id: kv.id, ts: Date.parse(f.created_at) || 0,
+        labId: kv.labId || null, parentId: kv.parentId || null, author: kv.author || null,
+        featured: kv.featured === "1", hidden: kv.hidden === "1", deleted: kv.deleted === "1",
+        likes: parseInt(kv.likes, 10) || 0, remixes: parseInt(kv.remixes, 10) || 0,
+        trend: kv.trend ? Number(kv.trend) : null,
+      };
+    }).filter((r) => matchesQuery(r, query) && (!keep || keep(r.file.keyvalues || {})))
+      .sort(compareFor(query.sort));
+    const offset = (query.cursor && query.cursor.o) || 0;
+    // a `check` on the fetched records can turn some down, so fetch on (within
+    // MAX_SEARCH_FETCH) until the page is full
+    const budget = check ? MAX_SEARCH_FETCH : query.limit;
+    const items = [];
+    let end = offset;
+    while (items.length < query.limit && end < rows.length && end - offset < budget) {
+      const slice = rows.slice(end, end + Math.min(query.limit - items.length, budget - (end - offset)));
+      end += slice.length;
+      const recs = await Promise.all(slice.map(async (r) => withFlags(await fetchJson(r.file.cid), r.file.keyvalues)));
+      items.push(...recs.filter((r) => r && (!check || check(r))));
+    }
+    return { items, nextCursor: rows.length > end ? encodeCursor({ o: end }) : null };
+  }
+
   return {
-    async save({ id, image, record }) {
-      const imgBlob = new Blob([image.bytes], { type: image.contentType || "image/png" });
-      const img = await upload(imgBlob, id + ".png", { app: APP_TAG, type: "image", id });
+    async save({ id, image, record, renditions = [] }) {
+      const contentType = image.contentType || "image/png";
+      const imgBlob = new Blob([image.bytes], { type: contentType });
+      const img = await upload(imgBlob, id + "." + extension(contentType), { app: APP_TAG, type: "image", id });
       const imageUrl = `${gateway}/ipfs/${img.cid}`;
-      const full = { ...record, image: imageUrl, thumb: imageUrl, imageCid: img.cid, backend: "pinata" };
+      const urls = {};
+      await Promise.all(renditions.map(async (r) => {
+        const f = await upload(new Blob([r.bytes], { type: r.contentType }), `${id}-${r.name}.${extension(r.contentType)}`,
+          { app: APP_TAG, type: "image", id, rendition: r.name });
+        urls[r.name] = `${gateway}/ipfs/${f.cid}`;
+      }));
+      const full = withRenditions({ ...record, image: imageUrl, imageCid: img.cid, backend: "pinata" }, urls);
       const metaBlob = new Blob([JSON.stringify(full)], { type: "application/json" });
       await upload(metaBlob, id + ".json", {
         app: APP_TAG, type: "meta", id,
-        labId: record.labId || "", parentId: record.parentId || "",
+        labId: record.labId || "", parentId: record.parentId || "", author: record.author || "",
+        likes: "0", remixes: "0", trend: String(record.trend), terms: searchTerms(full).join(" "),
       });
+      if (record.parentId) await refreshStats(record.parentId, { remix: { id, ts: record.ts } });
       return full;
     },
     async get(id) {
-      const files = await queryFiles({ id }, 1);
-      if (!files.length) return null;
-      return fetchJson(files[0].cid);
+      const { live, tomb } = await metaFiles(id);
+      const f = tomb || live;
+      if (!f) return null;
+      return withFlags(await fetchJson(f.cid), f.keyvalues);
     },
     async getImage() {
       return null; // images are served directly from the gateway URL
     },
-    async list({ limit }) {
-      const files = await queryFiles({}, limit);
-      const items = await Promise.all(files.map((f) => fetchJson(f.cid)));
-      return items.filter(Boolean).sort((a, b) => b.ts - a.ts);
+    async list(query) {
+      if (query.sort) return listScanned(query);
+      const pageToken = (query.cursor && query.cursor.page) || null;
+      const { files, next } = await queryFiles(pushDown(query), query.limit, pageToken);
+      const items = (await Promise.all(files.map(async (f) => withFlags(await fetchJson(f.cid), f.keyvalues))))
+        .filter((r) => r && matchesQuery(r, query))
+        .sort(compareNewest);
+      const more = next && files.length >= query.limit;
+      return { items, nextCursor: more ? encodeCursor({ page: next }) : null };
+    },
+    async search(query) {
+      // no `terms` (pinned before search): a candidate, checked on its record
+      return listScanned(query, (kv) => matchesTerms(kv.terms ? kv.terms.split(" ") : [PARTIAL], query),
+        (r) => matchesSearch(r, query));
+    },
+    async update(id, changes) {
+      const { live } = await metaFiles(id);
+      if (!live) return null;
+      const kv = {};
+      if (changes.featured != null) kv.featured = changes.featured ? "1" : "0";
+      if (changes.hidden != null) kv.hidden = changes.hidden ? "1" : "0";
+      await setKeyvalues(live, kv);
+      return withFlags(await fetchJson(live.cid), live.keyvalues);
+    },
+    async remove(id) {
+      const { live, tomb } = await metaFiles(id);
+      if (tomb) return fetchJson(tomb.cid);
+      if (!live) return null;
+      const rec = await fetchJson(live.cid);
+      const t = tombstone(rec || { id });
+      await upload(new Blob([JSON.stringify(t)], { type: "application/json" }), id + ".json", {
+        app: APP_TAG, type: "meta", id, deleted: "1",
+        labId: t.labId || "", parentId: t.parentId || "",
+      });
+      const { files: images } = await queryFiles({ type: "image", id }, 10);
+      await Promise.all([deleteFile(live.id), ...images.map((f) => deleteFile(f.id))]);
+      if (t.parentId) await refreshStats(t.parentId);
+      return t;
+    },
+    async like(id, who) {
+      const { live } = await metaFiles(id);
+      if (!live) return null;
+      const { files } = await queryFiles({ type: "like", id, who }, 1);
+      if (files.length) return { added: false, likes: parseInt((live.keyvalues || {}).likes, 10) || 0 };
+      await upload(new Blob([JSON.stringify({ id, who, ts: Date.now() })], { type: "application/json" }),
+        id + "-like.json", { app: APP_TAG, type: "like", id, who });
+      const stats = await refreshStats(id, { like: who });
+      return { added: true, likes: stats ? stats.likes : 1 };
+    },
+    async report(id, { reason, ts }) {
+      const { live } = await metaFiles(id);
+      if (!live) return;
+      const kv = live.keyvalues || {};
+      await setKeyvalues(live, {
+        reported: "1",
+        reports: String((parseInt(kv.reports, 10) || 0) + 1),
+        reportedAt: String(ts),
+        reason: reason ? reason.slice(0, MAX_REASON) : kv.reason || "",
+      });
+    },
+    async reports(query) {
+      const pageToken = (query.cursor && query.cursor.page) || null;
+      const { files, next } = await queryFiles({ reported: "1" }, query.limit, pageToken);
+      const items = files.map((f) => {
+        const kv = f.keyvalues || {};
+        return {
+          id: kv.id, count: parseInt(kv.reports, 10) || 0,
+          reasons: kv.reason ? [kv.reason] : [], lastTs: Number(kv.reportedAt) || 0,
+        };
+      }).sort((a, b) => b.lastTs - a.lastTs);
+      const more = next && files.length >= query.limit;
+      return { items, nextCursor: more ? encodeCursor({ page: next }) : null };
+    },
+    async clearReports(id) {
+      const { live } = await metaFiles(id);
+      if (live) await setKeyvalues(live, { reported: "0", reports: "0", reason: "" });
+    },
+    async saveCollection(c) {
+      const { files: older } = await queryFiles({ type: "collection", slug: c.slug }, 10);
+      await upload(new Blob([JSON.stringify(c)], { type: "application/json" }), "collection-" + c.slug + ".json",
+        { app: APP_TAG, type: "collection", slug: c.slug });
+      await Promise.all(older.map((f) => deleteFile(f.id)));
+      return c;
+    },
+    async getCollection(slug) {
+      const { files } = await queryFiles({ type: "collection", slug }, 10);
+      const newest = files.sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))[0];
+      return newest ? fetchJson(newest.cid) : null;
+    },
+    async listCollections(query) {
+      const after = query.cursor && typeof query.cursor.s === "string" ? query.cursor.s : "";
+      const bySlug = new Map();
+      for (const f of await allFiles({ type: "collection" })) {
+        const slug = (f.keyvalues || {}).slug;
+        const prev = bySlug.get(slug);
+        if (slug > after && (!prev || Date.parse(f.created_at) > Date.parse(prev.created_at))) bySlug.set(slug, f);
+      }
+      const slugs = [...bySlug.keys()].sort();
+      const page = slugs.slice(0, query.limit);
+      const items = (await Promise.all(page.map((s) => fetchJson(bySlug.get(s).cid)))).filter(Boolean);
+      return { items, nextCursor: slugs.length > page.length ? encodeCursor({ s: page[page.length - 1] }) : null };
+    },
+    async removeCollection(slug) {
+      const { files } = await queryFiles({ type: "collection", slug }, 10);
+      await Promise.all(files.map((f) => deleteFile(f.id)));
+      return files.length > 0;
+    },
+    async saveShortLink(link) {
+      await upload(new Blob([JSON.stringify(link)], { type: "application/json" }), "link-" + link.code + ".json",
+        { app: APP_TAG, type: "link", code: link.code });
+      return link;
+    },
+    async getShortLink(code) {
+      const { files } = await queryFiles({ type: "link", code }, 1);
+      return files.length ? fetchJson(files[0].cid) : null;
     },
   };
 }
@@ -0,0 +1,349 @@
+/* SqliteAdapter — records + image bytes in one local SQLite file.
+
+   For self-hosting and for a dev server whose gallery survives restarts. Not
+   for the Cloudflare Worker (no filesystem there) — dev-server.mjs opens the
+   file with bun:sqlite and passes the handle in. Any handle with
+   `exec(sql)` and `prepare(sql).{get,all,run}` works (bun:sqlite, node:sqlite).
+
+   Lookups by labId / parentId / author / ts are served by indexes that end in
+   the same (ts DESC, id DESC) order the query contract pages in. Moderation
+   flags are columns too; reports are rows, grouped into the queue on read.
+   Likes are rows keyed (artwork, liker); the `likes` column is recounted from
+   them. `remixes` and `trend` (ranking.js) are columns bumped in a transaction
+   when a remix or a like arrives. All three are laid over the record JSON on
+   read, and each ranked sort has its own index. The search index (search.js)
+   is a (term, id) table, filled for older files on first open. Collections
+   are one JSON row per slug, short links one per code. */
+import { encodeCursor, cursorFor, pageRecords } from "../query.js";
+import { tombstone, MAX_REASONS } from "../moderation.js";
+import { withRenditions } from "../renditions.js";
+import { remixedAt, likedAt, EPOCH, HALF_LIFE_MS } from "../ranking.js";
+import { searchTerms, indexLookups, matchesSearch, PARTIAL } from "../search.js";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS artworks (
+    id         TEXT PRIMARY KEY,
+    ts         INTEGER NOT NULL,
+    lab_id     TEXT,
+    parent_id  TEXT,
+    author     TEXT,
+    featured   INTEGER NOT NULL DEFAULT 0,
+    hidden     INTEGER NOT NULL DEFAULT 0,
+    deleted_at INTEGER,
+    likes      INTEGER NOT NULL DEFAULT 0,
+    remixes    INTEGER NOT NULL DEFAULT 0,
+    trend      REAL,
+    record     TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS artworks_ts     ON artworks (ts DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS artworks_lab    ON artworks (lab_id, ts DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS artworks_parent ON artworks (parent_id, ts DESC, id DESC);
+  CREATE TABLE IF NOT EXISTS images (
+    id           TEXT PRIMARY KEY,   -- <artwork id> or <artwork id>/<rendition>
+    content_type TEXT NOT NULL,
+    bytes        BLOB NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS reports (
+    artwork_id TEXT NOT NULL,
+    reason     TEXT,
+    ts         INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reports_artwork ON reports (artwork_id, ts DESC);
+  CREATE TABLE IF NOT EXISTS likes (
+    artwork_id TEXT NOT NULL,
+    who        TEXT NOT NULL,
+    ts         INTEGER NOT NULL,
+    PRIMARY KEY (artwork_id, who)
+  );
+  CREATE TABLE IF NOT EXISTS search_terms (
+    term TEXT NOT NULL,
+    id   TEXT NOT NULL,
+    PRIMARY KEY (term, id)
+  ) WITHOUT ROWID;
+  CREATE TABLE IF NOT EXISTS collections (
+    slug   TEXT PRIMARY KEY,
+    record TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS links (
+    code   TEXT PRIMARY KEY,
+    record TEXT NOT NULL
+  );
+`;
+
+// Columns added after the first schema — applied to older files on open, then
+// `backfill` (if any) derives their values for the rows already there.
+const MIGRATIONS = [
+  { column: "author", sql: "ALTER TABLE artworks ADD COLUMN author TEXT" },
+  { column: "hidden", sql: "ALTER TABLE artworks ADD COLUMN hidden INTEGER NOT NULL DEFAULT 0" },
+  { column: "deleted_at", sql: "ALTER TABLE artworks ADD COLUMN deleted_at INTEGER" },
+  { column: "likes", sql: "ALTER TABLE artworks ADD COLUMN likes INTEGER NOT NULL DEFAULT 0" },
+  {
+    column: "remixes", sql: "ALTER TABLE artworks ADD COLUMN remixes INTEGER NOT NULL DEFAULT 0",
+    backfill: "UPDATE artworks SET remixes = (SELECT COUNT(*) FROM artworks c WHERE c.parent_id = artworks.id)",
+  },
+  {
+    // older rows start from their publish heat (ranking.js: weight 1 -> log2 = 0)
+    column: "trend", sql: "ALTER TABLE artworks ADD COLUMN trend REAL",
+    backfill: `UPDATE artworks SET trend = (ts - ${EPOCH}) / ${HALF_LIFE_MS}.0`,
+  },
+];
+const INDEXES = `
+  CREATE INDEX IF NOT EXISTS artworks_author ON artworks (author, ts DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS artworks_remixes ON artworks (remixes DESC, ts DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS artworks_likes ON artworks (likes DESC, ts DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS artworks_trend ON artworks (trend DESC, ts DESC, id DESC);
+`;
+const RANK_COLUMNS = { remixed: "remixes", liked: "likes", trending: "trend" };
+
+export function SqliteAdapter({ db }) {
+  if (!db) throw new Error("sqlite database handle required");
+  db.exec(SCHEMA);
+  const have = new Set(db.prepare("PRAGMA table_info(artworks)").all().map((c) => c.name));
+  for (const m of MIGRATIONS) {
+    if (have.has(m.column)) continue;
+    db.exec(m.sql);
+    if (m.backfill) db.exec(m.backfill);
+  }
+  db.exec(INDEXES);
+
+  const insertTerm = db.prepare("INSERT OR IGNORE INTO search_terms (term, id) VALUES (?, ?)");
+  const deleteTerms = db.prepare("DELETE FROM search_terms WHERE id = ?");
+  function indexTerms(r) {
+    for (const t of searchTerms(r)) insertTerm.run(t, r.id);
+  }
+  // files from before search: index what is there once
+  if (!db.prepare("SELECT 1 FROM search_terms LIMIT 1").get()) {
+    for (const row of db.prepare("SELECT record FROM artworks WHERE deleted_at IS NULL").all()) {
+      indexTerms(JSON.parse(row.record));
+    }
+  }
+
+  const insertImage = db.prepare("INSERT OR REPLACE INTO images (id, content_type, bytes) VALUES (?, ?, ?)");
+  // an upsert, not INSERT OR REPLACE, so rewriting a record keeps its counter columns
+  const insertRecord = db.prepare(
+    "INSERT INTO artworks (id, ts, lab_id, parent_id, author, featured, hidden, deleted_at, remixes, trend, record) " +
+    "VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) ON CONFLICT (id) DO UPDATE SET ts = excluded.ts, " +
+    "lab_id = excluded.lab_id, parent_id = excluded.parent_id, author = excluded.author, " +
+    "featured = excluded.featured, hidden = excluded.hidden, deleted_at = excluded.deleted_at, record = excluded.record"
+  );
+  const selectRecord = db.prepare("SELECT record, likes, remixes, trend FROM artworks WHERE id = ?");
+  const selectRank = db.prepare("SELECT ts, remixes, trend FROM artworks WHERE id = ? AND deleted_at IS NULL");
+  const updateRank = db.prepare("UPDATE artworks SET remixes = ?, trend = ? WHERE id = ?");
+  const selectImage = db.prepare("SELECT content_type, bytes FROM images WHERE id = ?");
+  const deleteImages = db.prepare("DELETE FROM images WHERE id = ? OR id LIKE ? ESCAPE '\\'");
+  const insertReport = db.prepare("INSERT INTO reports (artwork_id, reason, ts) VALUES (?, ?, ?)");
+  const deleteReports = db.prepare("DELETE FROM reports WHERE artwork_id = ?");
+  const insertLike = db.prepare("INSERT OR IGNORE INTO likes (artwork_id, who, ts) VALUES (?, ?, ?)");
+  const recountLikes = db.prepare(
+    "UPDATE artworks SET likes = (SELECT COUNT(*) FROM likes WHERE artwork_id = ?) WHERE id = ? RETURNING likes"
+  );
+  const deleteLikes = db.prepare("DELETE FROM likes WHERE artwork_id = ?");
+  const upsertCollection = db.prepare("INSERT OR REPLACE INTO collections (slug, record) VALUES (?, ?)");
+  const selectCollection = db.prepare("SELECT record FROM collections WHERE slug = ?");
+  const selectCollections = db.prepare("SELECT record FROM collections WHERE slug > ? ORDER BY slug LIMIT ?");
+  const deleteCollection = db.prepare("DELETE FROM collections WHERE slug = ?");
+  const insertLink = db.prepare("INSERT OR IGNORE INTO links (code, record) VALUES (?, ?)");
+  const selectLink = db.prepare("SELECT record FROM links WHERE code = ?");
+  const selectReasons = db.prepare(
+    "SELECT reason FROM reports WHERE artwork_id = ? AND reason IS NOT NULL ORDER BY ts DESC LIMIT ?"
+  );
+
+  function writeRecord(r) {
+    insertRecord.run(
+      r.id, r.ts, r.labId || null, r.parentId || null, r.author || null,
+      r.featured ? 1 : 0, r.hidden ? 1 : 0, r.deletedAt || null, r.remixes || 0, r.trend != null ? r.trend : null,
+      JSON.stringify(r)
+    );
+  }
+
+  // read-modify-write of a row's ranking, atomic even with other processes on the file
+  function bumpRank(id, change) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const row = selectRank.get(id);
+      if (row) {
+        const next = { remixes: row.remixes, trend: row.trend, ...change(row) };
+        updateRank.run(next.remixes, next.trend, id);
+      }
+      db.exec("COMMIT");
+    } catch (e) {
+      db.exec("ROLLBACK");
+      throw e;
+    }
+  }
+
+  function fromRow(row) {
+    const r = JSON.parse(row.record);
+    if (r.deleted) return r;
+    return { ...r, likes: Number(row.likes) || 0, remixes: Number(row.remixes) || 0, trend: row.trend };
+  }
+
+  // WHERE terms for the query contract's filters (cursor and sort aside)
+  function filterSql(query) {
+    const where = ["hidden = 0", "deleted_at IS NULL"], args = [];
+    if (query.labId) { where.push("lab_id = ?"); args.push(query.labId); }
+    if (query.parentId) { where.push("parent_id = ?"); args.push(query.parentId); }
+    if (query.author) { where.push("author = ?"); args.push(query.author); }
+    if (query.featured != null) { where.push("featured = ?"); args.push(query.featured ? 1 : 0); }
+    if (query.before != null) { where.push("ts < ?"); args.push(query.before); }
+    if (query.after != null) { where.push("ts > ?"); args.push(query.after); }
+    return { where, args };
+  }
+
+  function readRecord(id) {
+    const row = selectRecord.get(id);
+    return row ? fromRow(row) : null;
+  }
+
+  return {
+    async save({ id, image, record, origin, renditions = [] }) {
+      const imageUrl = `${origin}/api/v1/artwork/${id}/image`;
+      const urls = {};
+      insertImage.run(id, image.contentType || "image/png", image.bytes);
+      for (const r of renditions) {
+        insertImage.run(id + "/" + r.name, r.contentType, r.bytes);
+        urls[r.name] = imageUrl + "/" + r.name;
+      }
+      const full = withRenditions({ ...record, image: imageUrl, backend: "sqlite" }, urls);
+      writeRecord(full);
+      indexTerms(full);
+      if (full.parentId) bumpRank(full.parentId, (p) => remixedAt(p, full.ts));
+      return full;
+    },
+    async get(id) {
+      return readRecord(id);
+    },
+    async getImage(id, rendition) {
+      const row = selectImage.get(rendition ? id + "/" + rendition : id);
+      return row ? { bytes: new Uint8Array(row.bytes), contentType: row.content_type } : null;
+    },
+    async list(query) {
+      const { where, args } = filterSql(query);
+      const col = RANK_COLUMNS[query.sort] || null;
+      const c = query.cursor;
+      if (c && typeof c.ts === "number" && typeof c.id === "string" && (!col || typeof c.k === "number")) {
+        const newer = "(ts < ? OR (ts = ? AND id < ?))";
+        if (col) {
+          where.push(`(${col} < ? OR (${col} = ? AND ${newer}))`);
+          args.push(c.k, c.k);
+        } else {
+          where.push(newer);
+        }
+        args.push(c.ts, c.ts, c.id);
+      }
+      // one extra row tells us whether another page exists
+      const rows = db.prepare(
+        "SELECT record, likes, remixes, trend FROM artworks WHERE " + where.join(" AND ") +
+        " ORDER BY " + (col ? col + " DESC, " : "") + "ts DESC, id DESC LIMIT ?"
+      ).all(...args, query.limit + 1);
+      const items = rows.slice(0, query.limit).map(fromRow);
+      const last = items[items.length - 1];
+      return {
+        items,
+        nextCursor: rows.length > items.length ? encodeCursor(cursorFor(last, query.sort)) : null,
+      };
+    },
+    async search(query) {
+      const { where, args } = filterSql(query);
+      for (const { term, prefix } of indexLookups(query)) {
+        where.push("id IN (SELECT id FROM search_terms WHERE term = ? OR " + (prefix ? "term >= ? AND term < ?)" : "term = ?)"));
+        args.push(PARTIAL, term);
+        if (prefix) args.push(term + "\uffff");
+      }
+      const c = query.cursor;
+      if (c && typeof c.ts === "number" && typeof c.id === "string") {
+        where.push("(ts < ? OR (ts = ? AND id < ?))");
+        args.push(c.ts, c.ts, c.id);
+      }
+      // numeric ranges are checked on the rows, so only a range-free query can stop at one page
+      const exact = !query.filters.some((f) => f.range);
+      const rows = db.prepare(
+        "SELECT record, likes, remixes, trend FROM artworks WHERE " + where.join(" AND ") +
+        " ORDER BY ts DESC, id DESC" + (exact ? " LIMIT ?" : "")
+      ).all(...args, ...(exact ? [query.limit + 1] : []));
+      return pageRecords(rows.map(fromRow).filter((r) => matchesSearch(r, query)), query);
+    },
+    async update(id, changes) {
+      const r = readRecord(id);
+      if (!r || r.deleted) return null;
+      const next = { ...r, ...changes };
+      writeRecord(next);
+      return next;
+    },
+    async remove(id) {
+      const r = readRecord(id);
+      if (!r) return null;
+      if (r.deleted) return r;
+      const t = tombstone(r);
+      writeRecord(t);
+      deleteImages.run(id, id.replace(/[\\%_]/g, "\\$&") + "/%");
+      deleteReports.run(id);
+      deleteLikes.run(id);
+      deleteTerms.run(id);
+      if (r.parentId) bumpRank(r.parentId, (p) => ({ remixes: Math.max(0, p.remixes - 1) }));
+      return t;
+    },
+    async like(id, who) {
+      const r = readRecord(id);
+      if (!r || r.deleted) return null;
+      const now = Date.now();
+      const added = insertLike.run(id, who, now).changes > 0;
+      if (added) bumpRank(id, (row) => likedAt(row, now));
+      return { added, likes: Number(recountLikes.get(id, id).likes) };
+    },
+    async report(id, { reason, ts }) {
+      insertReport.run(id, reason || null, ts);
+    },
+    async reports(query) {
+      const args = [];
+      let having = "";
+      const c = query.cursor;
+      if (c && typeof c.ts === "number" && typeof c.id === "string") {
+        having = " HAVING (MAX(ts) < ? OR (MAX(ts) = ? AND artwork_id < ?))";
+        args.push(c.ts, c.ts, c.id);
+      }
+      const rows = db.prepare(
+        "SELECT artwork_id AS id, COUNT(*) AS count, MAX(ts) AS lastTs FROM reports GROUP BY artwork_id" +
+        having + " ORDER BY lastTs DESC, id DESC LIMIT ?"
+      ).all(...args, query.limit + 1);
+      const page = rows.slice(0, query.limit);
+      const last = page[page.length - 1];
+      return {
+        items: page.map((r) => ({
+          id: r.id, count: Number(r.count), lastTs: Number(r.lastTs),
+          reasons: selectReasons.all(r.id, MAX_REASONS).map((x) => x.reason),
+        })),
+        nextCursor: rows.length > page.length ? encodeCursor({ ts: Number(last.lastTs), id: last.id }) : null,
+      };
+    },
+    async clearReports(id) {
+      deleteReports.run(id);
+    },
+    async saveCollection(c) {
+      upsertCollection.run(c.slug, JSON.stringify(c));
+      return c;
+    },
+    async getCollection(slug) {
+      const row = selectCollection.get(slug);
+      return row ? JSON.parse(row.record) : null;
+    },
+    async listCollections(query) {
+      const after = query.cursor && typeof query.cursor.s === "string" ? query.cursor.s : "";
+      const rows = selectCollections.all(after, query.limit + 1);
+      const items = rows.slice(0, query.limit).map((row) => JSON.parse(row.record));
+      const last = items[items.length - 1];
+      return { items, nextCursor: rows.length > items.length ? encodeCursor({ s: last.slug }) : null };
+    },
+    async removeCollection(slug) {
+      return deleteCollection.run(slug).changes > 0;
+    },
+    async saveShortLink(link) {
+      insertLink.run(link.code, JSON.stringify(link));
+      return link;
+    },
+    async getShortLink(code) {
+      const row = selectLink.get(code);
+      return row ? JSON.parse(row.record) : null;
+    },
+  };
+}
@@ -6,78 +6,230 @@
    never touches the frontend.
 
    Routes (versioned):
-     POST /api/v1/publish            { png, patch, lab, labId, labUrl, title, parentId }
-     GET  /api/v1/gallery?limit=     -> { items: [...] }
+     POST /api/v1/session            -> { token, expiresAt }  anonymous publish session
+     POST /api/v1/publish            { png, patch, lab, labId, labUrl, title, parentId,
+                                       author?: { address, signature } }
+                                     or multipart/form-data: image (file) + meta (JSON of the
+                                        rest), streamed under the size cap (upload.js)
+                                     Authorization: Bearer <session token | API key>
+                                     -> { id, item, duplicate }  (duplicate: same image + patch
+                                        already published; that item comes back, status 200)
+                                     a new piece fires the artwork.published webhooks (webhooks.js)
+     GET  /api/v1/gallery?limit=&cursor=&sort=&labId=&parentId=&author=&featured=&before=&after=
+                                     -> { items: [...], nextCursor }
+                                        sort=new|remixed|liked|trending (ranking.js)
+     GET  /api/v1/search?q=&patch.<path>=<value | min..max>&labId=&author=&limit=&cursor=
+                                     -> { items, nextCursor }  newest first  (search.js)
+     GET  /api/v1/feed.json?labId=&author=&limit=&cursor=  -> JSON Feed 1.1   (feeds.js)
+     GET  /api/v1/feed.xml?labId=&author=&limit=          -> RSS 2.0
+     GET  /api/v1/oembed?url=&maxwidth=&maxheight=        -> oEmbed photo / rich  (oembed.js)
      GET  /api/v1/artwork/:id        -> { item }
-     GET  /api/v1/artwork/:id/image  -> image bytes (memory adapter; prod uses a CDN URL)
+     GET  /api/v1/artwork/:id/lineage?depth=  -> { id, ancestors, tree, truncated }  (lineage.js)
+     GET  /api/v1/artwork/:id/image  -> image bytes (memory/kv adapters; Pinata uses a CDN URL)
+     GET  /api/v1/artwork/:id/image/:rendition  -> a 320 / 640 rendition (record.renditions)
+     POST /api/v1/artwork/:id/like   -> { likes, added }  Bearer token; one like per token
+                                        identity (likes.js), added: false if already liked
+     POST /api/v1/artwork/:id/report { reason? }  -> { ok }   public, rate limited
+     GET  /api/v1/collections?limit=&cursor=  -> { items: [summary], nextCursor }  (collections.js)
+     GET  /api/v1/collections/:slug  -> { collection, items }  `featured` is built in
+     POST /api/v1/links  { labUrl, patch, parentId? }  -> { code, url }  public, rate limited;
+                                        a short link for a patch too long for ?patch= (links.js)
+     GET  /api/v1/links/:code        -> { code, labUrl, patch, parentId, createdAt }
+     GET  /api/v1/openapi.json       -> OpenAPI 3.1 document of this API  (openapi.js)
 
-   Responsibilities that live HERE (not in storage): validation, id generation,
-   permalink/image URL resolution, CORS, and later auth + rate limiting.
+   Share card (not under /api — this is the URL people paste):
+     GET  /a/:id                     -> HTML with Open Graph / Twitter tags, then on to
+                                        <siteUrl>/gallery.html?item=:id  (card.js)
+     GET  /p/:code                   -> 302 to <siteUrl><labUrl>?p=:code&from=<parentId>  (links.js)
+
+   Admin (Bearer token minted with `mint-token.mjs --admin`):
+     GET    /api/v1/admin/reports?limit=&cursor=   -> moderation queue { items, nextCursor }
+     GET    /api/v1/admin/artwork/:id              -> { item }  incl. hidden / tombstoned
+     POST   /api/v1/admin/artwork/:id/{hide|unhide|feature|unfeature|dismiss}
+     DELETE /api/v1/admin/artwork/:id              -> soft delete, { item: tombstone }
+     POST   /api/v1/collections   { slug, title, description?, items?, cover? } -> 201 { collection }
+     PATCH  /api/v1/collections/:slug   { title?, description?, items?, cover? } -> { collection }
+     DELETE /api/v1/collections/:slug              -> { ok }
+
+   Responsibilities that live HERE (not in storage): validation (publish.js),
+   content-addressed ids + dedup (content.js), image renditions (renditions.js),
+   permalink/image URL resolution, CORS, auth (auth.js) and per-client rate
+   limiting (ratelimit.js).
    ───────────────────────────────────────────────────────────────────────── */
+import { parseGalleryQuery } from "./query.js";
+import { parseSearchQuery } from "./search.js";
+import { verifyToken, issueSession, bearer } from "./auth.js";
+import { TokenBucket, MemoryBucketStore } from "./ratelimit.js";
+import { authorMessage, verifyAuthor } from "./kaspa.js";
+import { isPublic, MAX_REASON } from "./moderation.js";
+import { contentAddress, sha256Hex } from "./content.js";
+import { makeRenditions } from "./renditions.js";
+import { parseLineageQuery, buildLineage } from "./lineage.js";
+import { likerId } from "./likes.js";
+import { heat } from "./ranking.js";
+import { shareCardHtml, detailUrl } from "./card.js";
+import { sanitizeImage } from "./image.js";
+import { withRecipe } from "./recipe.js";
+import { parseOembedQuery, artworkIdFromUrl, oembedFor } from "./oembed.js";
+import { FEED_LIMIT, feedMeta, jsonFeed, rssFeed } from "./feeds.js";
+import {
+  FEATURED, parseCollection, applyCollection, collectionItems, featuredCollection, setFeatured, collectionSummary,
+} from "./collections.js";
+import { EVENT_PUBLISHED } from "./webhooks.js";
+import { MAX_TITLE } from "./publish.js";
+import { readPublish } from "./upload.js";
+import { openApiDocument } from "./openapi.js";
+import { LINK_CODE, parseShortLink, linkCode, linkTarget } from "./links.js";
 
 const CORS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Methods": "GET,POST,PATCH,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Expose-Headers": "Retry-After",
+};
+const DEFAULT_SITE = "https://pixel-on-kaspa.fyi";
+const PUBLISH_LIMIT = { capacity: 10, refillPerSec: 30 / 3600 };   // burst 10, then 30/hour
+const SESSION_LIMIT = { capacity: 5, refillPerSec: 20 / 3600 };    // anon tokens per IP
+const REPORT_LIMIT = { capacity: 5, refillPerSec: 20 / 3600 };     // reports per IP
+const LIKE_LIMIT = { capacity: 30, refillPerSec: 120 / 3600 };     // likes per IP
+const LINK_LIMIT = { capacity: 20, refillPerSec: 60 / 3600 };      // short links per IP
+const ADMIN_ACTIONS = {
+  hide: { hidden: true },
+  unhide: { hidden: false },
+  feature: { featured: true },
+  unfeature: { featured: false },
 };
-const MAX_IMAGE_BYTES = 8 * 1024 * 1024;   // 8 MB decoded
-const MAX_TITLE = 200;
 
-function json(data, status) {
+function json(data, status, headers) {
   return new Response(JSON.stringify(data), {
     status: status || 200,
-    headers: { "Content-Type": "application/json", ...CORS },
+    headers: { "Content-Type": "application/json", ...CORS, ...headers },
   });
 }
 
-function validatePublish(b) {
-  if (!b || typeof b !== "object") return "body required";
-  if (typeof b.png !== "string" || !b.png.startsWith("data:image/")) return "png data URL required";
-  if (b.patch != null && typeof b.patch !== "object") return "patch must be an object";
-  if (b.lab != null && typeof b.lab !== "string") return "lab must be a string";
-  if (b.labId != null && typeof b.labId !== "string") return "labId must be a string";
-  if (b.title != null && String(b.title).length > MAX_TITLE) return "title too long";
-  if (b.parentId != null && typeof b.parentId !== "string") return "parentId must be a string";
-  return null;
+function tooMany(retryAfter) {
+  return json({ error: "rate limited", retryAfter }, 429, { "Retry-After": String(retryAfter) });
 }
 
-function decodeDataUrl(dataUrl) {
-  const m = /^data:([^;,]+)(;base64)?,([\s\S]*)$/.exec(dataUrl);
-  if (!m) return null;
-  const contentType = m[1];
-  const bytes = m[2]
-    ? Uint8Array.from(atob(m[3]), (c) => c.charCodeAt(0))
-    : new TextEncoder().encode(decodeURIComponent(m[3]));
-  return { contentType, bytes };
-}
-
-function genId() {
-  return "art_" + Date.now().toString(36) + Math.random().toString(36).slice(2, 9);
+function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") ||
+    (request.headers.get("X-Forwarded-For") || "").split(",")[0].trim() ||
+    "unknown";
 }
 
 /**
  * Build the Worker request handler around a storage adapter.
- * adapter: { save(input) -> record, get(id), getImage(id), list({limit}) }
+ * adapter: { save(input) -> record, get(id), getImage(id, rendition?), list(query) -> { items, nextCursor },
+ *            update(id, changes), remove(id), report(id, entry), reports(query), clearReports(id),
+ *            like(id, who) -> { added, likes }, search(query) -> { items, nextCursor },
+ *            saveCollection(c), getCollection(slug), listCollections({ limit, cursor }),
+ *            removeCollection(slug) -> removed?, saveShortLink(link), getShortLink(code) }
+ * (the list query contract lives in query.js, search in search.js, moderation state in
+ * moderation.js, likes in likes.js, collections in collections.js, short links in links.js)
+ * secret:  AUTH_SECRET that signs session tokens and API keys
+ * buckets: rate-limit bucket store (ratelimit.js) — defaults to per-process memory
+ * renderer: makes the grid renditions (renditions.js) — optional
+ * siteUrl:  where gallery.html is hosted (share cards send browsers there)
+ * webhooks: outbound notifications (webhooks.js) — optional
+ * The handler takes (request, ctx); ctx.waitUntil, when there, keeps webhook
+ * deliveries running after the response is sent.
  */
-export function createApp({ adapter }) {
-  return async function handle(request) {
+export function createApp({ adapter, secret, buckets, renderer, siteUrl, webhooks }) {
+  if (!secret) throw new Error("AUTH_SECRET not configured");
+  const site = (siteUrl || DEFAULT_SITE).replace(/\/+$/, "");
+  const store = buckets || MemoryBucketStore();
+  const publishLimit = TokenBucket({ store, ...PUBLISH_LIMIT });
+  const sessionLimit = TokenBucket({ store, ...SESSION_LIMIT });
+  const reportLimit = TokenBucket({ store, ...REPORT_LIMIT });
+  const likeLimit = TokenBucket({ store, ...LIKE_LIMIT });
+  const linkLimit = TokenBucket({ store, ...LINK_LIMIT });
+
+  // null when the request carries an admin token, otherwise the 401/403 to send
+  async function adminDenied(request) {
+    const claims = await verifyToken(bearer(request), secret);
+    if (!claims) return json({ error: "unauthorized" }, 401, { "WWW-Authenticate": "Bearer" });
+    if (claims.kind !== "admin") return json({ error: "forbidden" }, 403);
+    return null;
+  }
+
+  // create (prev null) or edit a collection; every listed id must be live artwork
+  async function writeCollection(prev, fields, status) {
+    const { collection, error } = applyCollection(prev, fields);
+    if (error) return json({ error }, 400);
+    if (fields.items) {
+      const found = await Promise.all(fields.items.map((id) => adapter.get(id)));
+      const missing = fields.items.find((id, i) => !isPublic(found[i]));
+      if (missing) return json({ error: "unknown artwork: " + missing }, 400);
+    }
+    await adapter.saveCollection(collection);
+    return json({ collection }, status);
+  }
+
+  return async function handle(request, ctx) {
     if (request.method === "OPTIONS") return new Response(null, { status: 204, headers: CORS });
 
     const url = new URL(request.url);
     const origin = url.origin;
     const path = url.pathname.replace(/\/+$/, "") || "/";
+    const cardUrl = (id) => origin + "/a/" + encodeURIComponent(id);
 
     try {
+      if (request.method === "POST" && path === "/api/v1/session") {
+        const rl = await sessionLimit.take("session:" + clientIp(request));
+        if (!rl.ok) return tooMany(rl.retryAfter);
+        return json(await issueSession(secret));
+      }
+
       if (request.method === "POST" && path === "/api/v1/publish") {
-        const body = await request.json().catch(() => null);
-        const err = validatePublish(body);
-        if (err) return json({ error: err }, 400);
+        const claims = await verifyToken(bearer(request), secret);
+        if (!claims) return json({ error: "unauthorized" }, 401, { "WWW-Authenticate": "Bearer" });
+        // API keys get their own bucket; anonymous sessions are cheap to mint,
+        // so they share the bucket of the IP they come from.
+        const who = claims.kind === "key" ? "key:" + claims.sub : "ip:" + clientIp(request);
+        const rl = await publishLimit.take("publish:" + who);
+        if (!rl.ok) return tooMany(rl.retryAfter);
+
+        const upload = await readPublish(request);
+        if (upload.error) return json({ error: upload.error, code: upload.code }, upload.status);
+        const { body } = upload;
+        // the sniffed, metadata-free rebuild is what gets hashed and stored (image.js),
+        // a PNG with the recipe chunk added (recipe.js)
+        const clean = sanitizeImage(upload.image.bytes);
+        if (clean.error) return json({ error: clean.error, code: clean.code }, clean.status);
+        const image = { bytes: clean.bytes, contentType: clean.contentType };
+        if (image.contentType === "image/png") {
+          image.bytes = withRecipe(image.bytes, { labId: body.labId, parentId: body.parentId, patch: body.patch });
+        }
+
+        // Optional artist identity: the wallet signs authorMessage(address, hash
+        // of the exact image bytes uploaded), so a signature cannot be replayed
+        // onto a different artwork. Cleaning rarely changes a canvas export, but
+        // when it does the signature still covers what the artist sent — so that
+        // hash and the signature are kept with the record, where anyone can check
+        // them again. It is verified before the duplicate check: a bad signature
+        // is a 400 whether or not the piece exists.
+        let author = null, authorProof = null;
+        if (body.author) {
+          const signedHash = "sha256:" + await sha256Hex(upload.image.bytes);
+          const { address, signature } = body.author;
+          const bad = verifyAuthor(address, authorMessage(address, signedHash), signature);
+          if (bad) return json({ error: bad }, 400);
+          author = address.toLowerCase();
+          authorProof = { address, signature, signedHash };
+        }
 
-        const image = decodeDataUrl(body.png);
-        if (!image) return json({ error: "malformed png data URL" }, 400);
-        if (image.bytes.length > MAX_IMAGE_BYTES) return json({ error: "image too large" }, 413);
+        const { id, imageHash, contentHash } = await contentAddress(image.bytes, body.patch);
+        const existing = await adapter.get(id);
+        if (existing) {
+          if (!isPublic(existing)) return json({ error: "artwork was taken down" }, 410);
+          // a signed re-publish must not read as the signer's own piece
+          if (author && existing.author !== author) {
+            return json({ error: "artwork already published, not by this author", code: "author_conflict" }, 409);
+          }
+          return json({ id, item: existing, duplicate: true });
+        }
 
-        const id = genId();
+        const ts = Date.now();
         const record = {
           id,
           lab: body.lab || "Lab",
@@ -86,22 +238,104 @@ export function createApp({ adapter }) {
           title: (body.title || body.lab || "Untitled").slice(0, MAX_TITLE),
           patch: body.patch || null,
           parentId: body.parentId || null,
+          author,
+          authorProof,
+          imageHash,
+          contentHash,
+          width: clean.width,
+          height: clean.height,
           featured: false,
-          ts: Date.now(),
+          remixes: 0,
+          likes: 0,
+          trend: heat(ts),
+          ts,
         };
-        const saved = await adapter.save({ id, image, record, origin });
-        return json({ id, item: saved });
+        const renditions = await makeRenditions(renderer, image);
+        const saved = await adapter.save({ id, image, record, origin, renditions });
+        if (webhooks) {
+          const delivery = webhooks.notify(EVENT_PUBLISHED, { item: saved, url: cardUrl(id) });
+          if (ctx && ctx.waitUntil) ctx.waitUntil(delivery);
+        }
+        return json({ id, item: saved, duplicate: false });
+      }
+
+      if (request.method === "GET" && path === "/api/v1/openapi.json") {
+        return json(openApiDocument({ origin }), 200, { "Cache-Control": "public, max-age=3600" });
       }
 
       if (request.method === "GET" && path === "/api/v1/gallery") {
-        const limit = Math.min(100, parseInt(url.searchParams.get("limit") || "60", 10) || 60);
-        const items = await adapter.list({ limit });
-        return json({ items });
+        const { query, error } = parseGalleryQuery(url.searchParams);
+        if (error) return json({ error }, 400);
+        const { items, nextCursor } = await adapter.list(query);
+        return json({ items, nextCursor: nextCursor || null });
+      }
+
+      if (request.method === "GET" && path === "/api/v1/search") {
+        const { query, error } = parseSearchQuery(url.searchParams);
+        if (error) return json({ error }, 400);
+        const { items, nextCursor } = await adapter.search(query);
+        return json({ items, nextCursor: nextCursor || null });
       }
 
       let m;
-      if (request.method === "GET" && (m = /^\/api\/v1\/artwork\/([^/]+)\/image$/.exec(path))) {
-        const img = await adapter.getImage(decodeURIComponent(m[1]));
+      if (request.method === "GET" && (m = /^\/api\/v1\/feed\.(json|xml)$/.exec(path))) {
+        const { query, error } = parseGalleryQuery(url.searchParams);
+        if (error) return json({ error }, 400);
+        if (!url.searchParams.get("limit")) query.limit = FEED_LIMIT;
+        const { items, nextCursor } = await adapter.list(query);
+        const opts = { meta: feedMeta(query, items, site), link: cardUrl, feedUrl: url.href, site };
+        const headers = { ...CORS, "Cache-Control": "public, max-age=300" };
+        if (m[1] === "xml") {
+          return new Response(rssFeed(items, opts), { headers: { ...headers, "Content-Type": "application/rss+xml; charset=utf-8" } });
+        }
+        let nextUrl = null;
+        if (nextCursor) {
+          const next = new URL(url.href);
+          next.searchParams.set("cursor", nextCursor);
+          nextUrl = next.href;
+        }
+        return new Response(JSON.stringify(jsonFeed(items, { ...opts, nextUrl })), {
+          headers: { ...headers, "Content-Type": "application/feed+json; charset=utf-8" },
+        });
+      }
+
+      if (request.method === "GET" && path === "/api/v1/oembed") {
+        const q = parseOembedQuery(url.searchParams);
+        if (q.error) return json({ error: q.error }, q.status);
+        const id = artworkIdFromUrl(q.url, { origin, site });
+        const item = id ? await adapter.get(id) : null;
+        if (!isPublic(item)) return json({ error: "not found" }, 404);
+        return json(oembedFor(item, { link: cardUrl(id), site, maxwidth: q.maxwidth, maxheight: q.maxheight }));
+      }
+
+      if (request.method === "GET" && (m = /^\/a\/([^/]+)$/.exec(path))) {
+        const id = decodeURIComponent(m[1]);
+        const record = await adapter.get(id);
+        const item = isPublic(record) ? record : null;
+        const html = shareCardHtml({
+          item, url: cardUrl(id), target: detailUrl(site, id),
+          oembed: item ? origin + "/api/v1/oembed?url=" + encodeURIComponent(cardUrl(id)) : null,
+        });
+        return new Response(html, {
+          status: item ? 200 : record && record.deleted ? 410 : 404,
+          headers: { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "public, max-age=300" },
+        });
+      }
+
+      if (request.method === "GET" && (m = /^\/p\/([^/]+)$/.exec(path))) {
+        const code = decodeURIComponent(m[1]);
+        const link = LINK_CODE.test(code) ? await adapter.getShortLink(code) : null;
+        if (!link) return new Response("Link not found", { status: 404, headers: { "Content-Type": "text/plain; charset=utf-8" } });
+        return new Response(null, {
+          status: 302,
+          headers: { Location: linkTarget(site, link), "Cache-Control": "public, max-age=86400" },
+        });
+      }
+
+      if (request.method === "GET" && (m = /^\/api\/v1\/artwork\/([^/]+)\/image(?:\/([0-9a-z]+))?$/.exec(path))) {
+        const id = decodeURIComponent(m[1]);
+        if (!isPublic(await adapter.get(id))) return json({ error: "not found" }, 404);
+        const img = await adapter.getImage(id, m[2] || null);
         if (!img) return json({ error: "not found" }, 404);
         return new Response(img.bytes, {
           headers: { "Content-Type": img.contentType || "image/png", "Cache-Control": "public, max-age=31536000", ...CORS },
@@ -110,10 +344,146 @@ export function createApp({ adapter }) {
 
       if (request.method === "GET" && (m = /^\/api\/v1\/artwork\/([^/]+)$/.exec(path))) {
         const item = await adapter.get(decodeURIComponent(m[1]));
-        if (!item) return json({ error: "not found" }, 404);
+        if (item && item.deleted) return json({ error: "removed" }, 410);
+        if (!isPublic(item)) return json({ error: "not found" }, 404);
         return json({ item });
       }
 
+      if (request.method === "GET" && (m = /^\/api\/v1\/artwork\/([^/]+)\/lineage$/.exec(path))) {
+        const { depth, error } = parseLineageQuery(url.searchParams);
+        if (error) return json({ error }, 400);
+        const item = await adapter.get(decodeURIComponent(m[1]));
+        if (item && item.deleted) return json({ error: "removed" }, 410);
+        if (!isPublic(item)) return json({ error: "not found" }, 404);
+        return json(await buildLineage(adapter, item, { depth }));
+      }
+
+      if (request.method === "POST" && (m = /^\/api\/v1\/artwork\/([^/]+)\/like$/.exec(path))) {
+        const claims = await verifyToken(bearer(request), secret);
+        if (!claims) return json({ error: "unauthorized" }, 401, { "WWW-Authenticate": "Bearer" });
+        const rl = await likeLimit.take("like:" + clientIp(request));
+        if (!rl.ok) return tooMany(rl.retryAfter);
+        const id = decodeURIComponent(m[1]);
+        if (!isPublic(await adapter.get(id))) return json({ error: "not found" }, 404);
+        const res = await adapter.like(id, await likerId(claims));
+        if (!res) return json({ error: "not found" }, 404);
+        return json({ likes: res.likes, added: res.added });
+      }
+
+      if (request.method === "POST" && (m = /^\/api\/v1\/artwork\/([^/]+)\/report$/.exec(path))) {
+        const rl = await reportLimit.take("report:" + clientIp(request));
+        if (!rl.ok) return tooMany(rl.retryAfter);
+        const id = decodeURIComponent(m[1]);
+        const body = await request.json().catch(() => ({}));
+        const reason = body && body.reason != null ? String(body.reason).trim().slice(0, MAX_REASON) : "";
+        if (!isPublic(await adapter.get(id))) return json({ error: "not found" }, 404);
+        await adapter.report(id, { reason: reason || null, ts: Date.now() });
+        return json({ ok: true });
+      }
+
+      if (request.method === "GET" && path === "/api/v1/collections") {
+        const { query, error } = parseGalleryQuery(url.searchParams);
+        if (error) return json({ error }, 400);
+        const page = await adapter.listCollections({ limit: query.limit, cursor: query.cursor });
+        const stored = page.items.filter((c) => c.slug !== FEATURED);
+        const items = await Promise.all(stored.map((c) => collectionSummary(adapter, c)));
+        // the built-in one heads the first page once anything is featured
+        if (!query.cursor) {
+          const featured = await featuredCollection(adapter);
+          if (featured.items.length) items.unshift(await collectionSummary(adapter, featured));
+        }
+        return json({ items, nextCursor: page.nextCursor || null });
+      }
+
+      if (request.method === "GET" && (m = /^\/api\/v1\/collections\/([^/]+)$/.exec(path))) {
+        const slug = decodeURIComponent(m[1]);
+        const collection = slug === FEATURED ? await featuredCollection(adapter) : await adapter.getCollection(slug);
+        if (!collection) return json({ error: "not found" }, 404);
+        return json({ collection, items: await collectionItems(adapter, collection) });
+      }
+
+      if (request.method === "POST" && path === "/api/v1/links") {
+        const rl = await linkLimit.take("link:" + clientIp(request));
+        if (!rl.ok) return tooMany(rl.retryAfter);
+        const { link, error } = parseShortLink(await request.json().catch(() => null));
+        if (error) return json({ error }, 400);
+        const code = await linkCode(link);
+        // content-addressed: an existing code already holds exactly this link
+        if (!(await adapter.getShortLink(code))) {
+          await adapter.saveShortLink({ code, ...link, createdAt: Date.now() });
+        }
+        return json({ code, url: origin + "/p/" + code });
+      }
+
+      if (request.method === "GET" && (m = /^\/api\/v1\/links\/([^/]+)$/.exec(path))) {
+        const code = decodeURIComponent(m[1]);
+        const link = LINK_CODE.test(code) ? await adapter.getShortLink(code) : null;
+        if (!link) return json({ error: "not found" }, 404);
+        return json(link);
+      }
+
+      if (request.method === "POST" && path === "/api/v1/collections") {
+        const denied = await adminDenied(request);
+        if (denied) return denied;
+        const { fields, error } = parseCollection(await request.json().catch(() => null), { create: true });
+        if (error) return json({ error }, 400);
+        if (await adapter.getCollection(fields.slug)) return json({ error: "slug already taken" }, 409);
+        return writeCollection(null, fields, 201);
+      }
+
+      if ((request.method === "PATCH" || request.method === "DELETE") &&
+          (m = /^\/api\/v1\/collections\/([^/]+)$/.exec(path))) {
+        const denied = await adminDenied(request);
+        if (denied) return denied;
+        const slug = decodeURIComponent(m[1]);
+        if (slug === FEATURED) return json({ error: "the featured collection follows the featured flag" }, 400);
+        const prev = await adapter.getCollection(slug);
+        if (!prev) return json({ error: "not found" }, 404);
+        if (request.method === "DELETE") {
+          await adapter.removeCollection(slug);
+          return json({ ok: true });
+        }
+        const { fields, error } = parseCollection(await request.json().catch(() => null), { create: false });
+        if (error) return json({ error }, 400);
+        return writeCollection(prev, fields, 200);
+      }
+
+      if (path.startsWith("/api/v1/admin/")) {
+        const denied = await adminDenied(request);
+        if (denied) return denied;
+
+        if (request.method === "GET" && path === "/api/v1/admin/reports") {
+          const { query, error } = parseGalleryQuery(url.searchParams);
+          if (error) return json({ error }, 400);
+          const page = await adapter.reports({ limit: query.limit, cursor: query.cursor });
+          const items = await Promise.all(page.items.map(async (e) => ({ ...e, item: await adapter.get(e.id) })));
+          return json({ items, nextCursor: page.nextCursor || null });
+        }
+
+        if ((m = /^\/api\/v1\/admin\/artwork\/([^/]+)(?:\/([a-z]+))?$/.exec(path))) {
+          const id = decodeURIComponent(m[1]);
+          const action = m[2] || null;
+          if (request.method === "GET" && !action) {
+            const item = await adapter.get(id);
+            return item ? json({ item }) : json({ error: "not found" }, 404);
+          }
+          if (request.method === "DELETE" && !action) {
+            const item = await adapter.remove(id);
+            if (item) await setFeatured(adapter, id, false);
+            return item ? json({ item }) : json({ error: "not found" }, 404);
+          }
+          if (request.method === "POST" && action === "dismiss") {
+            await adapter.clearReports(id);
+            return json({ ok: true });
+          }
+          if (request.method === "POST" && ADMIN_ACTIONS[action]) {
+            const item = await adapter.update(id, ADMIN_ACTIONS[action]);
+            if (item && "featured" in ADMIN_ACTIONS[action]) await setFeatured(adapter, id, item.featured);
+            return item ? json({ item }) : json({ error: "not found" }, 404);
+          }
+        }
+      }
+
       return json({ error: "not found" }, 404);
     } catch (e) {
       return json({ error: "server error", detail: String((e && e.message) || e) }, 500);
@@ -0,0 +1,59 @@
+/* Publish auth — HMAC-signed bearer tokens.
+
+   token = base64url(payload) + "." + base64url(HMAC-SHA256(payload, AUTH_SECRET))
+   payload = { sub, kind, iat, exp? }
+     kind "key"  — long-lived API key for a known client (bot, pipeline), minted
+                   offline with worker/mint-token.mjs
+     kind "anon" — short-lived browser session the Worker hands out itself on
+                   POST /api/v1/session (the gallery frontend does this for you)
+     kind "admin" — moderation key for /api/v1/admin/*, minted with --admin
+
+   Nothing is stored server-side: a token is valid iff its signature checks and
+   it has not expired. */
+import { bytesToB64url, b64urlToBytes, encodeB64urlJson, decodeB64urlJson } from "./b64url.js";
+
+export const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const _keys = new Map();   // secret -> CryptoKey
+
+function hmacKey(secret) {
+  if (!_keys.has(secret)) {
+    _keys.set(secret, crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]
+    ));
+  }
+  return _keys.get(secret);
+}
+
+export async function signToken(payload, secret) {
+  const body = encodeB64urlJson(payload);
+  const sig = await crypto.subtle.sign("HMAC", await hmacKey(secret), new TextEncoder().encode(body));
+  return body + "." + bytesToB64url(new Uint8Array(sig));
+}
+
+/** The payload of a valid, unexpired token — otherwise null. */
+export async function verifyToken(token, secret, now = Date.now()) {
+  if (typeof token !== "string") return null;
+  const dot = token.indexOf(".");
+  if (dot < 1) return null;
+  const body = token.slice(0, dot);
+  let sig;
+  try { sig = b64urlToBytes(token.slice(dot + 1)); } catch (e) { return null; }
+  const ok = await crypto.subtle.verify("HMAC", await hmacKey(secret), sig, new TextEncoder().encode(body));
+  if (!ok) return null;
+  const payload = decodeB64urlJson(body);
+  if (!payload || typeof payload.sub !== "string") return null;
+  if (payload.exp != null && !(now < payload.exp)) return null;
+  return payload;
+}
+
+export function issueSession(secret, now = Date.now()) {
+  const sub = "anon_" + now.toString(36) + Math.random().toString(36).slice(2, 9);
+  const exp = now + SESSION_TTL_MS;
+  return signToken({ sub, kind: "anon", iat: now, exp }, secret).then((token) => ({ token, expiresAt: exp }));
+}
+
+export function bearer(request) {
+  const m = /^Bearer\s+(\S+)$/i.exec(request.headers.get("Authorization") || "");
+  return m ? m[1] : null;
+}
@@ -0,0 +1,29 @@
+/* base64url helpers (no padding) — cursors, tokens, content hashes. */
+
+export function bytesToB64url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function b64urlToBytes(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+export function encodeB64urlJson(obj) {
+  return bytesToB64url(new TextEncoder().encode(JSON.stringify(obj)));
+}
+
+/** Parsed JSON object, or null if `str` is not base64url JSON of an object. */
+export function decodeB64urlJson(str) {
+  if (typeof str !== "string" || !/^[A-Za-z0-9_-]+$/.test(str)) return null;
+  try {
+    const obj = JSON.parse(new TextDecoder().decode(b64urlToBytes(str)));
+    return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : null;
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,62 @@
+/* Share cards — the HTML behind GET /a/:id.
+
+   gallery.html renders client-side, so a crawler fetching a
+   `gallery.html?item=` link (X, Discord, Slack…) sees no image. /a/:id answers
+   with a tiny static document carrying Open Graph + Twitter card tags from the
+   stored record, and sends browsers on to the gallery detail view with a meta
+   refresh (crawlers read the tags and stop there). */
+import { escapeHtml as esc } from "./html.js";
+
+const SITE_NAME = "Pixel Art Lab";
+
+/** The gallery detail page an /a/:id link lands on. */
+export function detailUrl(siteUrl, id) {
+  return siteUrl + "/gallery.html?item=" + encodeURIComponent(id);
+}
+
+/**
+ * item:   the public record, or null for a missing / removed artwork
+ * url:    this card's own URL (og:url)
+ * target: where browsers are sent
+ * oembed: oEmbed URL for this card (discovery link), optional
+ */
+export function shareCardHtml({ item, url, target, oembed }) {
+  const title = item ? item.title || "Untitled" : "Pixel Art Lab Gallery";
+  const description = item
+    ? (item.lab || "Lab") + " · made in the Pixel Art Lab. Open it in its Lab and remix it."
+    : "Creations from the Pixel Art Lab. Open any piece back in its Lab and remix it.";
+  const tags = [
+    ["og:type", "website"],
+    ["og:site_name", SITE_NAME],
+    ["og:title", title],
+    ["og:description", description],
+    ["og:url", url],
+  ];
+  if (item && item.image) tags.push(["og:image", item.image], ["og:image:alt", title]);
+  if (item && item.image && item.width && item.height) {
+    tags.push(["og:image:width", String(item.width)], ["og:image:height", String(item.height)]);
+  }
+  const twitter = [
+    ["twitter:card", item && item.image ? "summary_large_image" : "summary"],
+    ["twitter:title", title],
+    ["twitter:description", description],
+  ];
+  if (item && item.image) twitter.push(["twitter:image", item.image]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${esc(title)} — ${SITE_NAME}</title>
+<meta name="description" content="${esc(description)}">
+${tags.map(([k, v]) => `<meta property="${k}" content="${esc(v)}">`).join("\n")}
+${twitter.map(([k, v]) => `<meta name="${k}" content="${esc(v)}">`).join("\n")}
+<link rel="canonical" href="${esc(target)}">
+${oembed ? `<link rel="alternate" type="application/json+oembed" href="${esc(oembed)}" title="${esc(title)}">\n` : ""}<meta http-equiv="refresh" content="0; url=${esc(target)}">
+</head>
+<body>
+<p><a href="${esc(target)}">${esc(title)}</a></p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,145 @@
+/* Collections — curated, ordered sets of artworks ("Sykora grid studies",
+   "Best of week 12").
+
+   Stored shape, the same in every adapter:
+
+     { slug, title, description, items: [id, …], cover, createdAt, updatedAt }
+
+   `items` is the display order; `cover` is one of them (null = the first).
+   Curators (admin tokens) create, edit and delete collections; anyone can
+   read them. Reads resolve the ids to records and leave out artwork that has
+   since been hidden or deleted, so a takedown never needs a collection edit.
+
+   The slug `featured` is built in and read-only: the artworks an admin has
+   featured (moderation.js), most recently featured first. It is stored like
+   any collection, so reading it is one lookup, and app.js keeps it in step
+   with the feature / unfeature / delete admin actions (`setFeatured`). Only
+   those admin actions write it: on a gallery that has none stored yet, reads
+   build it from the `featured` flag in memory, and the first admin action
+   stores that. Past MAX_ITEMS picks the oldest drops out of the set (its
+   flag, and /gallery?featured=true, keep it). Listings put it first.
+
+   Adapters list stored collections in slug order and page with a `{ s }`
+   cursor, the last slug seen (`pageCollections` is the in-process version). */
+import { encodeCursor, decodeCursor, MAX_LIMIT } from "./query.js";
+import { isPublic } from "./moderation.js";
+import { MAX_TITLE } from "./publish.js";
+
+export const FEATURED = "featured";
+export const MAX_ITEMS = 200;
+export const MAX_DESCRIPTION = 1000;
+export const SLUG = /^[a-z0-9](?:[a-z0-9-]{0,62}[a-z0-9])?$/;
+
+/**
+ * POST / PATCH body -> { fields } or { error }. A create needs slug and
+ * title; a patch changes only the fields present (slug cannot change).
+ */
+export function parseCollection(body, { create }) {
+  if (!body || typeof body !== "object") return { error: "body required" };
+  const fields = {};
+  if (create) {
+    if (typeof body.slug !== "string" || !SLUG.test(body.slug)) {
+      return { error: "slug must be 1-64 lowercase letters, digits or dashes" };
+    }
+    if (body.slug === FEATURED) return { error: "slug \"" + FEATURED + "\" is reserved" };
+    fields.slug = body.slug;
+  } else if (body.slug != null) {
+    return { error: "slug cannot be changed" };
+  }
+  if (body.title != null || create) {
+    if (typeof body.title !== "string" || !body.title.trim()) return { error: "title required" };
+    if (body.title.length > MAX_TITLE) return { error: "title too long" };
+    fields.title = body.title.trim();
+  }
+  if (body.description != null) {
+    if (typeof body.description !== "string") return { error: "description must be a string" };
+    if (body.description.length > MAX_DESCRIPTION) return { error: "description too long" };
+    fields.description = body.description.trim();
+  }
+  if (body.items != null) {
+    if (!Array.isArray(body.items) || body.items.some((id) => typeof id !== "string")) {
+      return { error: "items must be an array of artwork ids" };
+    }
+    fields.items = [...new Set(body.items)];
+    if (fields.items.length > MAX_ITEMS) return { error: "at most " + MAX_ITEMS + " items" };
+  }
+  if (body.cover !== undefined) {
+    if (body.cover !== null && typeof body.cover !== "string") return { error: "cover must be an artwork id" };
+    fields.cover = body.cover;
+  }
+  return { fields };
+}
+
+/** Stored collection (null for a create) + parsed fields -> the next one, or { error }. */
+export function applyCollection(prev, fields, now = Date.now()) {
+  const next = {
+    title: null, description: "", items: [], cover: null, createdAt: now,
+    ...prev,
+    ...fields,
+    slug: prev ? prev.slug : fields.slug,
+    updatedAt: now,
+  };
+  if (next.cover != null && !next.items.includes(next.cover)) return { error: "cover must be one of items" };
+  return { collection: next };
+}
+
+/** Slug order + `{ s }` cursor paging over in-process collections. */
+export function pageCollections(all, q) {
+  const after = q.cursor && typeof q.cursor.s === "string" ? q.cursor.s : null;
+  const rows = all.filter((c) => after == null || c.slug > after)
+    .sort((a, b) => (a.slug < b.slug ? -1 : a.slug > b.slug ? 1 : 0));
+  const items = rows.slice(0, q.limit);
+  const last = items[items.length - 1];
+  return { items, nextCursor: rows.length > items.length ? encodeCursor({ s: last.slug }) : null };
+}
+
+/** The public records of a collection, in its order. */
+export async function collectionItems(adapter, c) {
+  const records = await Promise.all(c.items.map((id) => adapter.get(id)));
+  return records.filter(isPublic);
+}
+
+// the stored featured set; on a gallery without one, what the flag says
+// (built in memory — reads never write it, setFeatured does)
+async function storedFeatured(adapter) {
+  const stored = await adapter.getCollection(FEATURED);
+  if (stored) return stored;
+  const ids = [];
+  let cursor = null;
+  do {
+    const page = await adapter.list({ featured: true, limit: Math.min(MAX_LIMIT, MAX_ITEMS - ids.length), cursor });
+    ids.push(...page.items.map((r) => r.id));
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor && ids.length < MAX_ITEMS);
+  return applyCollection(null, {
+    slug: FEATURED,
+    title: "Featured",
+    description: "Pieces picked by the gallery curators.",
+    items: ids,
+  }).collection;
+}
+
+/** The built-in `featured` collection (ids only; `collectionItems` resolves them). */
+export async function featuredCollection(adapter) {
+  return { ...(await storedFeatured(adapter)), builtIn: true };
+}
+
+/** Put `id` at the head of the featured set, or take it out. */
+export async function setFeatured(adapter, id, featured) {
+  const prev = await storedFeatured(adapter);
+  if (!featured && !prev.items.includes(id)) return;
+  const items = prev.items.filter((x) => x !== id);
+  if (featured) items.unshift(id);
+  const { collection } = applyCollection(prev, { items: items.slice(0, MAX_ITEMS) });
+  await adapter.saveCollection(collection);
+}
+
+/** Listing entry: the collection without its item list, plus a count and the cover card. */
+export async function collectionSummary(adapter, c) {
+  const id = c.cover || c.items[0];
+  const r = id ? await adapter.get(id) : null;
+  const summary = { ...c, count: c.items.length, cover: null };
+  delete summary.items;
+  if (isPublic(r)) summary.cover = { id: r.id, title: r.title, thumb: r.thumb || r.image };
+  return summary;
+}
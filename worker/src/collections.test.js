@@ -0,0 +1,93 @@
+/* The built-in `featured` collection: a stored set the admin actions keep up
+   to date, so reading it never scans the archive. */
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { ADAPTERS, SECRET, appClient, saveInput } from "./testkit.js";
+import { signToken } from "./auth.js";
+import { FEATURED } from "./collections.js";
+import { MAX_LIMIT } from "./query.js";
+
+const T0 = Date.UTC(2025, 5, 1);
+
+describe("featured collection", () => {
+  let adapter, call, admin, scans;
+
+  beforeEach(async () => {
+    adapter = ADAPTERS.memory();
+    const list = adapter.list;
+    scans = 0;
+    adapter.list = (q) => { scans++; return list(q); };
+    call = appClient(adapter);
+    admin = { headers: { Authorization: "Bearer " + await signToken({ sub: "curator", kind: "admin" }, SECRET) } };
+    for (const id of ["art_a", "art_b", "art_c"]) await adapter.save(saveInput({ id, ts: T0 }));
+  });
+
+  const ids = async () => (await call("GET", "/api/v1/collections/" + FEATURED)).body.items.map((r) => r.id);
+  const act = (id, action) => call(action === "delete" ? "DELETE" : "POST",
+    "/api/v1/admin/artwork/" + id + (action === "delete" ? "" : "/" + action), admin);
+
+  it("follows the admin actions, most recently featured first", async () => {
+    await act("art_a", "feature");
+    await act("art_c", "feature");
+    await act("art_b", "feature");
+    assert.deepEqual(await ids(), ["art_b", "art_c", "art_a"]);
+    await act("art_c", "unfeature");
+    assert.deepEqual(await ids(), ["art_b", "art_a"]);
+    await act("art_a", "delete");
+    assert.deepEqual(await ids(), ["art_b"]);
+    await act("art_b", "hide");
+    assert.deepEqual(await ids(), []);
+    await act("art_b", "unhide");
+    assert.deepEqual(await ids(), ["art_b"]);
+    const { collection } = (await call("GET", "/api/v1/collections/" + FEATURED)).body;
+    assert.equal(collection.builtIn, true);
+    assert.deepEqual(collection.items, ["art_b"]);
+  });
+
+  it("heads the first listing page without scanning the archive", async () => {
+    assert.deepEqual((await call("GET", "/api/v1/collections")).body.items, []);
+    await act("art_a", "feature");
+    await call("POST", "/api/v1/collections", { ...admin, body: { slug: "a-set", title: "A", items: ["art_c"] } });
+    scans = 0;
+    const first = (await call("GET", "/api/v1/collections")).body;
+    assert.deepEqual(first.items.map((c) => [c.slug, c.count]), [[FEATURED, 1], ["a-set", 1]]);
+    assert.equal(first.items[0].cover.id, "art_a");
+    assert.equal(scans, 0);
+    await ids();
+    assert.equal(scans, 0);
+  });
+
+  it("is read from the featured flag when a gallery has none stored, and stored by the next admin action", async () => {
+    await adapter.update("art_a", { featured: true });
+    await adapter.update("art_c", { featured: true });
+    assert.deepEqual((await ids()).sort(), ["art_a", "art_c"]);
+    await call("GET", "/api/v1/collections");
+    assert.equal(await adapter.getCollection(FEATURED), null, "a read never writes");
+    await act("art_b", "feature");
+    assert.equal((await adapter.getCollection(FEATURED)).items[0], "art_b");
+    scans = 0;
+    assert.deepEqual((await ids()).sort(), ["art_a", "art_b", "art_c"]);
+    assert.equal(scans, 0);
+  });
+
+  it("pages the flag scan within the list limit", async () => {
+    const limits = [];
+    const list = adapter.list;
+    adapter.list = (q) => { limits.push(q.limit); return list(q); };
+    for (let i = 0; i < MAX_LIMIT + 5; i++) {
+      const id = "art_f" + String(i).padStart(3, "0");
+      await adapter.save(saveInput({ id, ts: T0 + i }));
+      await adapter.update(id, { featured: true });
+    }
+    const items = (await call("GET", "/api/v1/collections/" + FEATURED)).body.collection.items;
+    assert.equal(items.length, MAX_LIMIT + 5);
+    assert.equal(items[0], "art_f" + String(MAX_LIMIT + 4).padStart(3, "0"));
+    assert.ok(limits.length === 2 && limits.every((n) => n <= MAX_LIMIT), String(limits));
+  });
+
+  it("stays read-only", async () => {
+    assert.equal((await call("PATCH", "/api/v1/collections/" + FEATURED, { ...admin, body: { title: "x" } })).status, 400);
+    assert.equal((await call("DELETE", "/api/v1/collections/" + FEATURED, admin)).status, 400);
+    assert.equal((await call("POST", "/api/v1/collections", { ...admin, body: { slug: FEATURED, title: "x" } })).status, 400);
+  });
+});
@@ -0,0 +1,35 @@
+/* Content addressing — stable ids and integrity hashes for published artwork.
+
+   imageHash   = sha256 of the stored image bytes (as image.js cleaned them).
+                 Anyone can fetch the image (e.g. from the Pinata gateway via
+                 `imageCid`) and check it.
+   contentHash = sha256 over imageHash + the canonicalised patch JSON (keys
+                 sorted at every depth), so the same pixels from the same recipe
+                 hash the same however the client ordered its keys.
+   id          = "art_" + the first 24 hex chars (96 bits) of contentHash.
+
+   Republishing identical work therefore lands on an existing id, which the
+   Worker turns into a `duplicate: true` answer instead of a second entry. */
+
+export async function sha256Hex(bytes) {
+  const d = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(d, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function canonicalJson(v) {
+  if (Array.isArray(v)) return "[" + v.map(canonicalJson).join(",") + "]";
+  if (v && typeof v === "object") {
+    return "{" + Object.keys(v).sort()
+      .filter((k) => v[k] !== undefined)
+      .map((k) => JSON.stringify(k) + ":" + canonicalJson(v[k]))
+      .join(",") + "}";
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+/** -> { id, imageHash, contentHash } */
+export async function contentAddress(imageBytes, patch) {
+  const imageHash = "sha256:" + (await sha256Hex(imageBytes));
+  const contentHex = await sha256Hex(new TextEncoder().encode(imageHash + "\n" + canonicalJson(patch == null ? null : patch)));
+  return { id: "art_" + contentHex.slice(0, 24), imageHash, contentHash: "sha256:" + contentHex };
+}
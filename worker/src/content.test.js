@@ -0,0 +1,87 @@
+/* Content addressing, and the publish dedup built on it. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { canonicalJson, contentAddress, sha256Hex } from "./content.js";
+import { ADAPTERS, SECRET, appClient, makePng, dataUrl, pngChunk } from "./testkit.js";
+import { signToken } from "./auth.js";
+
+describe("canonicalJson", () => {
+  it("sorts keys at every depth and keeps array order", () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [3, { f: 1, e: 2 }], c: null } }),
+      '{"a":{"c":null,"d":[3,{"e":2,"f":1}]},"b":1}');
+  });
+
+  it("drops undefined members and writes a bare undefined as null", () => {
+    assert.equal(canonicalJson({ a: undefined, b: "x" }), '{"b":"x"}');
+    assert.equal(canonicalJson([undefined]), "[null]");
+    assert.equal(canonicalJson(undefined), "null");
+  });
+});
+
+describe("contentAddress", () => {
+  const bytes = new Uint8Array([1, 2, 3]);
+
+  it("derives the id from the image and patch hashes", async () => {
+    const a = await contentAddress(bytes, { x: 1, y: [1, 2] });
+    assert.equal(a.imageHash, "sha256:" + await sha256Hex(bytes));
+    assert.match(a.contentHash, /^sha256:[0-9a-f]{64}$/);
+    assert.equal(a.id, "art_" + a.contentHash.slice(7, 31));
+  });
+
+  it("ignores key order but not values, arrays or pixels", async () => {
+    const { id } = await contentAddress(bytes, { x: 1, y: { p: 1, q: 2 } });
+    assert.equal((await contentAddress(bytes, { y: { q: 2, p: 1 }, x: 1 })).id, id);
+    assert.notEqual((await contentAddress(bytes, { x: 2, y: { p: 1, q: 2 } })).id, id);
+    assert.notEqual((await contentAddress(new Uint8Array([1, 2, 4]), { x: 1, y: { p: 1, q: 2 } })).id, id);
+    assert.notEqual((await contentAddress(bytes, [1, 2])).id, (await contentAddress(bytes, [2, 1])).id);
+  });
+
+  it("treats a missing patch as null", async () => {
+    assert.equal((await contentAddress(bytes)).id, (await contentAddress(bytes, null)).id);
+  });
+});
+
+describe("publish dedup", () => {
+  it("answers a republish with the existing piece", async () => {
+    const call = appClient(ADAPTERS.memory());
+    const png = dataUrl(await makePng());
+    const first = await call("POST", "/api/v1/publish", { body: { png, labId: "l", patch: { a: 1, b: { c: 2, d: 3 } } } });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.duplicate, false);
+
+    const again = await call("POST", "/api/v1/publish", { body: { png, labId: "l", patch: { b: { d: 3, c: 2 }, a: 1 } } });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.duplicate, true);
+    assert.equal(again.body.id, first.body.id);
+    assert.deepEqual(again.body.item, first.body.item);
+
+    // metadata chunks are stripped before hashing, so they do not make a new piece
+    const tagged = dataUrl(await makePng(16, 16, { before: [pngChunk("tEXt", new TextEncoder().encode("Software\0x"))] }));
+    const stripped = await call("POST", "/api/v1/publish", { body: { png: tagged, labId: "l", patch: { a: 1, b: { c: 2, d: 3 } } } });
+    assert.equal(stripped.body.id, first.body.id);
+    assert.equal(stripped.body.duplicate, true);
+
+    const other = await call("POST", "/api/v1/publish", { body: { png, labId: "l", patch: { a: 2 } } });
+    assert.equal(other.body.duplicate, false);
+    assert.notEqual(other.body.id, first.body.id);
+    assert.equal((await call("GET", "/api/v1/gallery")).body.items.length, 2);
+  });
+
+  it("refuses to bring back a removed or hidden piece", async () => {
+    const call = appClient(ADAPTERS.memory());
+    const admin = { Authorization: "Bearer " + await signToken({ sub: "curator", kind: "admin" }, SECRET) };
+    const removed = { png: dataUrl(await makePng(16, 16, { seed: 1 })), patch: { a: 1 } };
+    const hidden = { png: dataUrl(await makePng(16, 16, { seed: 2 })), patch: { a: 1 } };
+    const r = (await call("POST", "/api/v1/publish", { body: removed })).body;
+    const h = (await call("POST", "/api/v1/publish", { body: hidden })).body;
+    assert.equal((await call("DELETE", "/api/v1/admin/artwork/" + r.id, { headers: admin })).status, 200);
+    assert.equal((await call("POST", "/api/v1/admin/artwork/" + h.id + "/hide", { headers: admin })).status, 200);
+
+    for (const body of [removed, hidden]) {
+      const res = await call("POST", "/api/v1/publish", { body });
+      assert.equal(res.status, 410);
+      assert.equal(res.body.error, "artwork was taken down");
+    }
+    assert.equal((await call("GET", "/api/v1/gallery")).body.items.length, 0);
+  });
+});
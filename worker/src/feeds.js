@@ -0,0 +1,81 @@
+/* Feeds — the newest published items as JSON Feed 1.1 and RSS 2.0.
+
+   GET /api/v1/feed.json?labId=&author=&limit=&cursor=
+   GET /api/v1/feed.xml?labId=&author=&limit=
+
+   Both take the /gallery query (query.js) and come straight off
+   `adapter.list`, so `labId=` gives a per-Lab feed and `author=` a per-artist
+   one. Item links are the /a/:id share cards, which unfurl with the image and
+   forward browsers to the gallery. JSON Feed pages through `next_url`; RSS is
+   just the newest page. */
+import { escapeHtml as esc } from "./html.js";
+
+export const FEED_LIMIT = 30;
+const NAME = "Pixel Art Lab Gallery";
+
+/** Title + gallery page for a feed, from its query and first page of items. */
+export function feedMeta(query, items, site) {
+  if (query.labId) {
+    const lab = (items.find((x) => x.labId === query.labId) || {}).lab || query.labId;
+    return { title: NAME + " — " + lab, home: site + "/gallery.html?lab=" + encodeURIComponent(query.labId) };
+  }
+  if (query.author) {
+    return { title: NAME + " — " + query.author, home: site + "/gallery.html?author=" + encodeURIComponent(query.author) };
+  }
+  return { title: NAME, home: site + "/gallery.html" };
+}
+
+function itemHtml(it, link) {
+  return `<p><a href="${esc(link)}"><img src="${esc(it.image || it.thumb)}" alt="${esc(it.title)}"></a></p>` +
+    `<p>${esc(it.lab || "Lab")}${it.parentId ? " · a remix" : ""} — open it in its Lab and remix it.</p>`;
+}
+
+/**
+ * meta:    { title, home } from feedMeta
+ * link:    id -> the item's permalink
+ * feedUrl: this feed's URL; nextUrl: the next page, or null
+ * site:    where gallery.html is hosted
+ */
+export function jsonFeed(items, { meta, link, feedUrl, nextUrl, site }) {
+  const feed = {
+    version: "https://jsonfeed.org/version/1.1",
+    title: meta.title,
+    home_page_url: meta.home,
+    feed_url: feedUrl,
+    items: items.map((it) => ({
+      id: it.id,
+      url: link(it.id),
+      title: it.title,
+      content_html: itemHtml(it, link(it.id)),
+      image: it.image || it.thumb,
+      date_published: new Date(it.ts).toISOString(),
+      tags: it.lab ? [it.lab] : [],
+      ...(it.author ? { authors: [{ name: it.author, url: site + "/gallery.html?author=" + encodeURIComponent(it.author) }] } : {}),
+    })),
+  };
+  if (nextUrl) feed.next_url = nextUrl;
+  return feed;
+}
+
+export function rssFeed(items, { meta, link, feedUrl }) {
+  const updated = items.length ? new Date(items[0].ts).toUTCString() : new Date(0).toUTCString();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+<title>${esc(meta.title)}</title>
+<link>${esc(meta.home)}</link>
+<description>Creations from the Pixel Art Lab. Open any piece back in its Lab and remix it.</description>
+<atom:link href="${esc(feedUrl)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${updated}</lastBuildDate>
+${items.map((it) => `<item>
+<title>${esc(it.title)}</title>
+<link>${esc(link(it.id))}</link>
+<guid isPermaLink="true">${esc(link(it.id))}</guid>
+<pubDate>${new Date(it.ts).toUTCString()}</pubDate>
+${it.lab ? `<category>${esc(it.lab)}</category>\n` : ""}<description>${esc(itemHtml(it, link(it.id)))}</description>
+<media:content url="${esc(it.image || it.thumb)}" medium="image"/>
+</item>`).join("\n")}
+</channel>
+</rss>
+`;
+}
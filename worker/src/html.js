@@ -0,0 +1,8 @@
+/* HTML/XML text escaping for the documents the Worker renders itself
+   (share cards, oEmbed snippets, feeds). */
+
+const ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(s) {
+  return String(s == null ? "" : s).replace(/[&<>"']/g, (c) => ENTITIES[c]);
+}
@@ -0,0 +1,202 @@
+/* Image headers — pixel dimensions straight from the encoded bytes.
+
+   Publish records `width` / `height` so embeds (oEmbed, share cards) can state
+   a size without decoding the image. Only the header is read: PNG IHDR, the
+   JPEG SOFn marker, WebP's VP8 / VP8L / VP8X chunk — the formats
+   `sanitizeImage` below lets through. */
+
+function be16(b, i) { return (b[i] << 8) | b[i + 1]; }
+function be32(b, i) { return ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3]; }
+function le16(b, i) { return b[i] | (b[i + 1] << 8); }
+function le24(b, i) { return b[i] | (b[i + 1] << 8) | (b[i + 2] << 16); }
+
+function jpegSize(b) {
+  let i = 2;
+  while (i + 9 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marker = b[i + 1];
+    if (marker === 0xff) { i++; continue; }                  // fill byte
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { i += 2; continue; }
+    // SOF0-15, except DHT (c4), JPG (c8) and DAC (cc)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { width: be16(b, i + 7), height: be16(b, i + 5) };
+    }
+    i += 2 + be16(b, i + 2);
+  }
+  return null;
+}
+
+function webpSize(b) {
+  const chunk = String.fromCharCode(b[12], b[13], b[14], b[15]);
+  if (chunk === "VP8X" && b.length >= 30) return { width: le24(b, 24) + 1, height: le24(b, 27) + 1 };
+  if (chunk === "VP8 " && b.length >= 30) return { width: le16(b, 26) & 0x3fff, height: le16(b, 28) & 0x3fff };
+  if (chunk === "VP8L" && b.length >= 25) {
+    const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  return null;
+}
+
+/** -> { width, height } or null when the format is not recognised. */
+export function imageSize(b) {
+  if (!b || b.length < 24) return null;
+  if (b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) {
+    return { width: be32(b, 16), height: be32(b, 20) };
+  }
+  if (b[0] === 0xff && b[1] === 0xd8) return jpegSize(b);
+  if (b[0] === 0x52 && b[1] === 0x49 && b[2] === 0x46 && b[3] === 0x46 &&
+      b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50) return webpSize(b);
+  return null;
+}
+
+/* ── publish-time checks ────────────────────────────────────────────────
+   `sanitizeImage` is the gate every upload passes before it is hashed or
+   stored. The type comes from the magic bytes, never from what the client
+   claimed. Only PNG, JPEG and WebP pass; SVG, HTML and other markup are
+   refused outright, since a browser opening the stored file could run them.
+   The bytes are rebuilt from the chunks that draw the picture, plus colour
+   data (ICC profile, gamma, transparency). Text, EXIF/XMP (camera, GPS),
+   comments, animation (APNG frames, WebP ANIM / ANMF) and anything after the
+   end marker are dropped, so a polyglot file cannot ride along. An APNG still
+   shows its default image; an animated WebP has none and is refused. */
+
+export const MIN_EDGE = 16;
+export const MAX_EDGE = 8192;
+export const MAX_PIXELS = 16 * 1000 * 1000;
+
+const PNG_SIG = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const PNG_KEEP = new Set(["IHDR", "PLTE", "IDAT", "IEND", "tRNS", "gAMA", "cHRM", "sRGB", "iCCP", "sBIT"]);
+const WEBP_KEEP = new Set(["VP8 ", "VP8L", "VP8X", "ALPH", "ICCP"]);
+
+function fail(status, code, error) {
+  return { error, code, status };
+}
+const CORRUPT = fail(400, "image_corrupt", "image is truncated or malformed");
+const ANIMATED = fail(415, "image_animated", "animated WebP is not accepted");
+
+function ascii(b, i, n) {
+  return String.fromCharCode(...b.subarray(i, i + n));
+}
+function join(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let i = 0;
+  for (const p of parts) { out.set(p, i); i += p.length; }
+  return out;
+}
+
+/** -> "image/png" | "image/jpeg" | "image/webp" | "markup" | null, from the bytes alone. */
+export function sniffType(b) {
+  if (b.length >= 8 && PNG_SIG.every((v, i) => b[i] === v)) return "image/png";
+  if (b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) return "image/jpeg";
+  if (b.length >= 16 && ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 4) === "WEBP") return "image/webp";
+  // SVG, HTML, XML: text starting with "<" once a BOM and whitespace are skipped
+  let i = b[0] === 0xef && b[1] === 0xbb && b[2] === 0xbf ? 3 : 0;
+  while (i < b.length && i < 1024 && (b[i] === 0x20 || (b[i] >= 0x09 && b[i] <= 0x0d))) i++;
+  if (b[i] === 0x3c) return "markup";
+  return null;
+}
+
+function cleanPng(b) {
+  const parts = [b.subarray(0, 8)];
+  let i = 8, idat = false, first = true;
+  while (i + 12 <= b.length) {
+    const len = be32(b, i);
+    const type = ascii(b, i + 4, 4);
+    const end = i + 12 + len;
+    if (end > b.length) return null;
+    if (first && (type !== "IHDR" || len !== 13)) return null;
+    first = false;
+    if (type === "IDAT") idat = true;
+    if (PNG_KEEP.has(type)) parts.push(b.subarray(i, end));
+    i = end;
+    if (type === "IEND") return idat ? join(parts) : null;   // trailing bytes dropped
+  }
+  return null;
+}
+
+function cleanJpeg(b) {
+  const parts = [b.subarray(0, 2)];
+  let i = 2;
+  while (i + 1 < b.length) {
+    if (b[i] !== 0xff) return null;
+    const marker = b[i + 1];
+    if (marker === 0xff) { i++; continue; }
+    if (marker === 0xd9) { parts.push(b.subarray(i, i + 2)); return join(parts); }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+    if (i + 4 > b.length) return null;
+    const end = i + 2 + be16(b, i + 2);
+    if (end > b.length) return null;
+    const app = marker >= 0xe0 && marker <= 0xef;
+    const keep = marker === 0xfe ? false            // COM
+      : !app ? true
+      : (marker === 0xe0 && ascii(b, i + 4, 5) === "JFIF\0") ||
+        (marker === 0xe2 && ascii(b, i + 4, 12) === "ICC_PROFILE\0") ||
+        (marker === 0xee && ascii(b, i + 4, 5) === "Adobe");
+    if (keep) parts.push(b.subarray(i, end));
+    i = end;
+    if (marker === 0xda) {
+      // entropy-coded scan: runs to the next marker that is not a stuffed 0 or RSTn
+      let j = i;
+      while (j + 1 < b.length && !(b[j] === 0xff && b[j + 1] !== 0 && !(b[j + 1] >= 0xd0 && b[j + 1] <= 0xd7))) j++;
+      parts.push(b.subarray(i, j));
+      i = j;
+    }
+  }
+  return null;
+}
+
+function cleanWebp(b) {
+  const size = 8 + le16(b, 4) + (le16(b, 6) << 16);
+  if (size > b.length) return null;
+  const parts = [];
+  let i = 12, image = false, animated = false, vp8x = null;
+  while (i + 8 <= size) {
+    const type = ascii(b, i, 4);
+    const len = le16(b, i + 4) + (le16(b, i + 6) << 16);
+    const end = i + 8 + len + (len & 1);   // chunks are padded to even sizes
+    if (end > size) return null;
+    if (type === "VP8 " || type === "VP8L") image = true;
+    if (type === "ANMF") animated = true;
+    if (WEBP_KEEP.has(type)) {
+      const chunk = b.slice(i, end);
+      if (type === "VP8X") { chunk[8] &= ~0x0e; vp8x = chunk; }   // EXIF / XMP / animation flags off
+      parts.push(chunk);
+    }
+    i = end;
+  }
+  if (!image) return animated ? ANIMATED : null;
+  if (parts[0] && vp8x && parts[0] !== vp8x) return null;
+  const body = join(parts);
+  const head = new Uint8Array(12);
+  head.set(b.subarray(0, 12));
+  const riff = body.length + 4;
+  head[4] = riff & 0xff; head[5] = (riff >> 8) & 0xff; head[6] = (riff >> 16) & 0xff; head[7] = (riff >>> 24) & 0xff;
+  return join([head, body]);
+}
+
+// bytes -> the rebuilt bytes, null when malformed, or a refusal of its own
+const CLEAN = { "image/png": cleanPng, "image/jpeg": cleanJpeg, "image/webp": cleanWebp };
+
+/**
+ * Uploaded bytes -> { bytes, contentType, width, height } rebuilt without
+ * metadata, or { error, code, status } saying why the upload is refused.
+ */
+export function sanitizeImage(raw) {
+  const type = sniffType(raw);
+  if (type === "markup") return fail(415, "image_active_content", "SVG, HTML and other markup images are not accepted");
+  if (!type) return fail(415, "image_type", "image must be a PNG, JPEG or WebP file");
+  let bytes;
+  try { bytes = CLEAN[type](raw); } catch (e) { bytes = null; }
+  if (bytes && bytes.error) return bytes;
+  const size = bytes && imageSize(bytes);
+  if (!size || !size.width || !size.height) return CORRUPT;
+  const { width, height } = size;
+  if (width < MIN_EDGE || height < MIN_EDGE) {
+    return fail(422, "image_too_small", "image must be at least " + MIN_EDGE + "×" + MIN_EDGE + " px");
+  }
+  if (width > MAX_EDGE || height > MAX_EDGE || width * height > MAX_PIXELS) {
+    return fail(422, "image_too_many_pixels",
+      "image must be at most " + MAX_EDGE + " px a side and " + MAX_PIXELS / 1e6 + " megapixels");
+  }
+  return { bytes, contentType: type, width, height };
+}
@@ -0,0 +1,137 @@
+/* The upload gate: type sniffing, size limits, and what the rebuild keeps. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { sniffType, sanitizeImage, imageSize, MIN_EDGE, MAX_EDGE } from "./image.js";
+import { makePng, pngChunk } from "./testkit.js";
+
+const text = (s) => new TextEncoder().encode(s);
+const bytes = (...parts) => Uint8Array.from(parts.flatMap((p) => [...(typeof p === "string" ? text(p) : p)]));
+const has = (haystack, needle) => Buffer.from(haystack).includes(Buffer.from(text(needle)));
+
+// JPEG marker segment: FF <marker> <length incl. itself> <data>
+function segment(marker, data) {
+  const d = typeof data === "string" ? text(data) : data;
+  return bytes([0xff, marker, (d.length + 2) >> 8, (d.length + 2) & 0xff], d);
+}
+
+function makeJpeg(width, height) {
+  const sof = [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 1, 1, 0x11, 0];
+  return bytes([0xff, 0xd8], segment(0xe0, "JFIF\0\x01\x01\0\0\x01\0\x01\0\0"),
+    segment(0xe1, "Exif\0\0GPS 52.1N"), segment(0xfe, "made with a camera"),
+    segment(0xc0, sof), segment(0xda, [1, 1, 0, 0, 0x3f, 0]),
+    [0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56], [0xff, 0xd9], "<script>trailing</script>");
+}
+
+function le32(n) { return [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff, (n >>> 24) & 0xff]; }
+function le24(n) { return [n & 0xff, (n >> 8) & 0xff, (n >> 16) & 0xff]; }
+
+function riffChunk(type, data) {
+  return bytes(type, le32(data.length), data, data.length & 1 ? [0] : []);
+}
+
+// VP8X (flags) + VP8L still image, plus any extra chunks
+function makeWebp(width, height, { flags = 0, extra = [], still = true } = {}) {
+  const bits = (width - 1) | ((height - 1) << 14);
+  const chunks = [
+    riffChunk("VP8X", bytes([flags, 0, 0, 0], le24(width - 1), le24(height - 1))),
+    ...(still ? [riffChunk("VP8L", bytes([0x2f], le32(bits), [0, 0, 0]))] : []),
+    ...extra,
+  ];
+  const body = bytes("WEBP", ...chunks);
+  return bytes("RIFF", le32(body.length), body);
+}
+
+describe("sniffType", () => {
+  it("goes by the magic bytes", async () => {
+    assert.equal(sniffType(await makePng()), "image/png");
+    assert.equal(sniffType(makeJpeg(16, 16)), "image/jpeg");
+    assert.equal(sniffType(makeWebp(16, 16)), "image/webp");
+    assert.equal(sniffType(text("GIF89a\x10\0\x10\0")), null);
+    assert.equal(sniffType(text("﻿ \n <svg xmlns='http://www.w3.org/2000/svg'/>")), "markup");
+    assert.equal(sniffType(text("<!doctype html>")), "markup");
+    assert.equal(sniffType(text("hello")), null);
+  });
+});
+
+describe("sanitizeImage", () => {
+  it("keeps a clean PNG as it is", async () => {
+    const png = await makePng(20, 30);
+    const out = sanitizeImage(png);
+    assert.deepEqual([out.contentType, out.width, out.height], ["image/png", 20, 30]);
+    assert.deepEqual(out.bytes, png);
+  });
+
+  it("drops PNG text, EXIF, APNG control and trailing bytes, keeps colour data", async () => {
+    const gama = pngChunk("gAMA", new Uint8Array([0, 0, 0xb1, 0x8f]));
+    const png = await makePng(16, 16, {
+      before: [pngChunk("tEXt", text("Comment\0GPS 52.1N")), pngChunk("acTL", new Uint8Array(8)), gama],
+      after: [pngChunk("eXIf", text("MM\0*")), pngChunk("iTXt", text("XML:com.adobe.xmp\0\0\0\0\0<x/>"))],
+      trailing: [...text("<script>alert(1)</script>")],
+    });
+    const out = sanitizeImage(png);
+    assert.deepEqual(out.bytes, await makePng(16, 16, { before: [gama] }));
+    for (const s of ["tEXt", "acTL", "eXIf", "iTXt", "script"]) assert.ok(!has(out.bytes, s), s);
+  });
+
+  it("drops JPEG EXIF, comments and trailing bytes", () => {
+    const out = sanitizeImage(makeJpeg(40, 24));
+    assert.deepEqual([out.contentType, out.width, out.height], ["image/jpeg", 40, 24]);
+    assert.ok(has(out.bytes, "JFIF"));
+    for (const s of ["Exif", "GPS", "camera", "script"]) assert.ok(!has(out.bytes, s), s);
+    assert.deepEqual([...out.bytes.slice(-2)], [0xff, 0xd9]);
+    // the scan, stuffed bytes and restart marker included, survives whole
+    assert.ok(Buffer.from(out.bytes).includes(Buffer.from([0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56])));
+  });
+
+  it("drops WebP EXIF / XMP and their VP8X flags", () => {
+    const webp = makeWebp(64, 48, {
+      flags: 0x0c | 0x10,
+      extra: [riffChunk("EXIF", text("MM\0*GPS")), riffChunk("XMP ", text("<x/>"))],
+    });
+    const out = sanitizeImage(webp);
+    assert.deepEqual([out.contentType, out.width, out.height], ["image/webp", 64, 48]);
+    assert.equal(out.bytes[20], 0x10);   // alpha flag kept
+    assert.ok(!has(out.bytes, "EXIF") && !has(out.bytes, "XMP "));
+    assert.equal(out.bytes.length, 8 + (out.bytes[4] | (out.bytes[5] << 8)));
+  });
+
+  it("refuses an animated WebP, which has no still image to keep", () => {
+    const anmf = riffChunk("ANMF", new Uint8Array(24));
+    const res = sanitizeImage(makeWebp(32, 32, { flags: 0x02, still: false, extra: [riffChunk("ANIM", new Uint8Array(6)), anmf] }));
+    assert.deepEqual([res.status, res.code], [415, "image_animated"]);
+    // with a still image beside the frames, the frames go and the flag with them
+    const mixed = sanitizeImage(makeWebp(32, 32, { flags: 0x02, extra: [anmf] }));
+    assert.equal(mixed.bytes[20], 0);
+    assert.ok(!has(mixed.bytes, "ANMF"));
+  });
+
+  it("refuses other types, markup and broken files with a code", async () => {
+    const code = (b) => { const r = sanitizeImage(b); return [r.status, r.code]; };
+    assert.deepEqual(code(text("GIF89a\x10\0\x10\0\0\0\0;")), [415, "image_type"]);
+    assert.deepEqual(code(text("<svg onload='alert(1)'/>")), [415, "image_active_content"]);
+    const png = await makePng();
+    assert.deepEqual(code(png.subarray(0, png.length - 20)), [400, "image_corrupt"]);
+    assert.deepEqual(code(makeJpeg(16, 16).subarray(0, 30)), [400, "image_corrupt"]);
+    assert.deepEqual(code(makeWebp(16, 16, { still: false })), [400, "image_corrupt"]);
+  });
+
+  it("enforces the edge and pixel limits", async () => {
+    const code = async (w, h) => sanitizeImage(await makePng(w, h)).code;
+    assert.equal(await code(MIN_EDGE, MIN_EDGE), undefined);
+    assert.equal(await code(MIN_EDGE - 1, 64), "image_too_small");
+    // only the header is read, so a huge size needs no huge image
+    const header = (w, h) => makeWebp(w, h);
+    assert.equal(sanitizeImage(header(MAX_EDGE, 16)).width, MAX_EDGE);
+    assert.equal(sanitizeImage(header(MAX_EDGE + 1, 16)).code, "image_too_many_pixels");
+    assert.equal(sanitizeImage(header(5000, 5000)).code, "image_too_many_pixels");
+  });
+});
+
+describe("imageSize", () => {
+  it("reads only the formats the gate accepts", async () => {
+    assert.deepEqual(imageSize(await makePng(17, 18)), { width: 17, height: 18 });
+    assert.deepEqual(imageSize(makeJpeg(19, 20)), { width: 19, height: 20 });
+    assert.deepEqual(imageSize(makeWebp(21, 22)), { width: 21, height: 22 });
+    assert.equal(imageSize(text("GIF89a\x10\0\x10\0\0\0\0\0\0\0\0\0\0\0\0\0\0\0")), null);
+  });
+});
@@ -3,19 +3,30 @@
 import { createApp } from "./app.js";
 import { MemoryAdapter } from "./adapters/memory.js";
 import { PinataAdapter } from "./adapters/pinata.js";
+import { KvAdapter } from "./adapters/kv.js";
+import { MemoryBucketStore, KvBucketStore } from "./ratelimit.js";
+import { ImagesBindingRenderer } from "./renditions.js";
+import { Webhooks, parseTargets } from "./webhooks.js";
 
 let _handle = null;
 
 function handlerFor(env) {
   if (_handle) return _handle;
   const backend = (env.STORAGE || "pinata").toLowerCase();
-  const adapter = backend === "memory" ? MemoryAdapter() : PinataAdapter(env);
-  _handle = createApp({ adapter });
+  const adapter =
+    backend === "memory" ? MemoryAdapter() :
+    backend === "kv" ? KvAdapter({ kv: env.GALLERY_KV, bucket: env.GALLERY_R2, publicUrl: env.R2_PUBLIC_URL }) :
+    PinataAdapter(env);
+  // RATE_KV shares rate-limit buckets across isolates; without it each isolate counts alone
+  const buckets = env.RATE_KV ? KvBucketStore(env.RATE_KV) : MemoryBucketStore();
+  const renderer = env.IMAGES ? ImagesBindingRenderer(env.IMAGES) : null;
+  const webhooks = Webhooks({ targets: parseTargets(env.WEBHOOK_URLS), secret: env.WEBHOOK_SECRET });
+  _handle = createApp({ adapter, secret: env.AUTH_SECRET, buckets, renderer, siteUrl: env.SITE_URL, webhooks });
   return _handle;
 }
 
 export default {
-  fetch(request, env) {
-    return handlerFor(env)(request);
+  fetch(request, env, ctx) {
+    return handlerFor(env)(request, ctx);
   },
 };
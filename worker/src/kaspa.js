@@ -0,0 +1,92 @@
+/* Kaspa identity — verify a wallet's signature over a published artwork.
+
+   The artist signs a message that binds their address to the artwork hash
+   (`authorMessage`), with the Kaspa wallet "sign message" flow — the same one
+   kaspa-wasm's `signMessage` implements:
+
+     hash = blake2b-256(message, key = "PersonalMessageSigningHash")
+     sig  = BIP340 Schnorr over hash (64 bytes, hex)
+
+   A `kaspa:q…` (P2PK Schnorr) address IS the x-only public key, so no lookup
+   is needed: decode the address, check the signature. ECDSA and script-hash
+   addresses cannot produce these signatures and are rejected. */
+import { schnorr } from "@noble/curves/secp256k1";
+import { blake2b } from "@noble/hashes/blake2b";
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const PREFIXES = ["kaspa", "kaspatest", "kaspasim", "kaspadev"];
+const VERSION_PUBKEY = 0;    // Schnorr, 32-byte x-only key
+const SIGNING_KEY = new TextEncoder().encode("PersonalMessageSigningHash");
+
+/** The exact text an artist signs for one artwork. */
+export function authorMessage(address, artworkHash) {
+  return "Pixel Art Lab — I made this artwork.\nartwork: " + artworkHash + "\nartist: " + address;
+}
+
+function polymod(values) {
+  const GEN = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+  let c = 1n;
+  for (const d of values) {
+    const c0 = c >> 35n;
+    c = ((c & 0x07ffffffffn) << 5n) ^ BigInt(d);
+    for (let i = 0; i < 5; i++) if ((c0 >> BigInt(i)) & 1n) c ^= GEN[i];
+  }
+  return c ^ 1n;
+}
+
+/** -> { prefix, version, payload } or null if not a well-formed Kaspa address. */
+export function decodeAddress(address) {
+  if (typeof address !== "string" || address.length > 120) return null;
+  const lower = address.toLowerCase();
+  if (address !== lower && address !== address.toUpperCase()) return null;
+  const sep = lower.indexOf(":");
+  const prefix = lower.slice(0, sep);
+  if (sep < 0 || !PREFIXES.includes(prefix)) return null;
+
+  const data = [];
+  for (const ch of lower.slice(sep + 1)) {
+    const v = CHARSET.indexOf(ch);
+    if (v < 0) return null;
+    data.push(v);
+  }
+  if (data.length < 9) return null;
+  const body = data.slice(0, -8);
+  let checksum = 0n;
+  for (const v of data.slice(-8)) checksum = (checksum << 5n) | BigInt(v);
+  const pre = [...prefix].map((ch) => ch.charCodeAt(0) & 0x1f);
+  if (polymod([...pre, 0, ...body, 0, 0, 0, 0, 0, 0, 0, 0]) !== checksum) return null;
+
+  // 5-bit groups -> bytes (no padding)
+  const bytes = [];
+  let acc = 0, bits = 0;
+  for (const v of body) {
+    acc = (acc << 5) | v;
+    bits += 5;
+    if (bits >= 8) { bits -= 8; bytes.push((acc >> bits) & 0xff); }
+  }
+  if (bits >= 5 || (acc & ((1 << bits) - 1))) return null;
+  return { prefix, version: bytes[0], payload: Uint8Array.from(bytes.slice(1)) };
+}
+
+function hexToBytes(hex) {
+  if (typeof hex !== "string" || !/^(?:[0-9a-fA-F]{2})+$/.test(hex)) return null;
+  return Uint8Array.from(hex.match(/../g), (b) => parseInt(b, 16));
+}
+
+/**
+ * Verify `signature` (hex) by `address` over `message`.
+ * -> null when valid, otherwise a short reason for the 400 response.
+ */
+export function verifyAuthor(address, message, signature) {
+  const addr = decodeAddress(address);
+  if (!addr) return "invalid Kaspa address";
+  if (addr.version !== VERSION_PUBKEY || addr.payload.length !== 32) {
+    return "only Schnorr (kaspa:q…) addresses can sign";
+  }
+  const sig = hexToBytes(signature);
+  if (!sig || sig.length !== 64) return "signature must be 64 bytes hex";
+  const hash = blake2b(new TextEncoder().encode(message), { key: SIGNING_KEY, dkLen: 32 });
+  let ok = false;
+  try { ok = schnorr.verify(sig, hash, addr.payload); } catch (e) { ok = false; }
+  return ok ? null : "author signature does not match";
+}
@@ -0,0 +1,131 @@
+/* Kaspa author signatures. The vectors were made with kaspa-wasm (the
+   wallet's own `signMessage` and `Address`), so a drift in the hashing key,
+   the message text or the address decoding shows up as a mismatch here. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { schnorr } from "@noble/curves/secp256k1";
+import { blake2b } from "@noble/hashes/blake2b";
+import { authorMessage, decodeAddress, verifyAuthor } from "./kaspa.js";
+import { sha256Hex } from "./content.js";
+import { ADAPTERS, appClient, makePng, dataUrl } from "./testkit.js";
+
+const HASH = "sha256:" + "ab".repeat(32);
+const MAINNET = "kaspa:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jkdskewva";
+const TESTNET = "kaspatest:qr0lr4ml9fn3chekrqmjdkergxl93l4wrk3dankcgvjq776s9wn9jhtkdksae";
+const SIG_MAINNET = "f38826becda16c3de7ecfcaba4891c8c518b582f241a0c79a4e054c0a39df85a"
+  + "945684efa18c4cc43b4bd2a3bfa4997f611193c5218bc37982d1da0a0d13df26";
+const SIG_TESTNET = "7c1697d42a4e7006baa9669576f709fd8571d660d45f94aeb50d303125cce8fa"
+  + "ce8c98e5e5b37a526db58f8023360c78584f1cff09eab1912646af8f1b17d842";
+// x-only key of secret b7e15162…90cfef (BIP340 test vector 1's key)
+const SECRET_KEY = "b7e151628aed2a6abf7158809cf4f3c762e7160f38b4da56a784d9045190cfef";
+const XONLY = "dff1d77f2a671c5f36183726db2341be58feae1da2deced843240f7b502ba659";
+const P2SH = "kaspa:pqrswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswpc8qurswsj22q8rp";
+const ECDSA = "kaspa:qypqzqsrqszsvpcgpy9qkrqdpc83qygjzv2p29shrqv35xcur50p7gqvvtymlh4";
+
+const hex = (bytes) => Buffer.from(bytes).toString("hex");
+
+describe("decodeAddress", () => {
+  it("decodes a Schnorr address to its x-only key", () => {
+    const addr = decodeAddress(MAINNET);
+    assert.equal(addr.prefix, "kaspa");
+    assert.equal(addr.version, 0);
+    assert.equal(hex(addr.payload), XONLY);
+    assert.equal(decodeAddress(TESTNET).prefix, "kaspatest");
+    assert.equal(hex(decodeAddress(TESTNET).payload), XONLY);
+  });
+
+  it("reads the version of ECDSA and script-hash addresses", () => {
+    assert.equal(decodeAddress(ECDSA).version, 1);
+    assert.equal(decodeAddress(ECDSA).payload.length, 33);
+    assert.equal(decodeAddress(P2SH).version, 8);
+  });
+
+  it("accepts all-uppercase but not mixed case", () => {
+    assert.equal(hex(decodeAddress(MAINNET.toUpperCase()).payload), XONLY);
+    assert.equal(decodeAddress("Kaspa:" + MAINNET.slice(6)), null);
+  });
+
+  it("rejects a bad checksum, prefix or character", () => {
+    const last = MAINNET.slice(-1);
+    assert.equal(decodeAddress(MAINNET.slice(0, -1) + (last === "q" ? "p" : "q")), null);
+    assert.equal(decodeAddress("bitcoin:" + MAINNET.slice(6)), null);
+    assert.equal(decodeAddress(MAINNET.slice(6)), null);
+    assert.equal(decodeAddress(MAINNET.replace("qr0", "qb0")), null);
+    assert.equal(decodeAddress("kaspa:qq"), null);
+    assert.equal(decodeAddress(null), null);
+  });
+});
+
+describe("verifyAuthor", () => {
+  it("accepts a wallet signature over the author message", () => {
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, HASH), SIG_MAINNET), null);
+    assert.equal(verifyAuthor(TESTNET, authorMessage(TESTNET, HASH), SIG_TESTNET), null);
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, HASH), SIG_MAINNET.toUpperCase()), null);
+  });
+
+  it("rejects a signature over anything else", () => {
+    const mismatch = "author signature does not match";
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, "sha256:" + "cd".repeat(32)), SIG_MAINNET), mismatch);
+    // signed as the testnet address, so the message names a different artist
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, HASH), SIG_TESTNET), mismatch);
+    const tampered = SIG_MAINNET.slice(0, -2) + (SIG_MAINNET.endsWith("00") ? "01" : "00");
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, HASH), tampered), mismatch);
+    assert.equal(verifyAuthor(MAINNET, authorMessage(MAINNET, HASH), "00".repeat(64)), mismatch);
+  });
+
+  it("says what is wrong with a malformed input", () => {
+    const msg = authorMessage(MAINNET, HASH);
+    assert.equal(verifyAuthor("kaspa:nope", msg, SIG_MAINNET), "invalid Kaspa address");
+    assert.equal(verifyAuthor(ECDSA, msg, SIG_MAINNET), "only Schnorr (kaspa:q…) addresses can sign");
+    assert.equal(verifyAuthor(P2SH, msg, SIG_MAINNET), "only Schnorr (kaspa:q…) addresses can sign");
+    assert.equal(verifyAuthor(MAINNET, msg, SIG_MAINNET.slice(2)), "signature must be 64 bytes hex");
+    assert.equal(verifyAuthor(MAINNET, msg, SIG_MAINNET.slice(1)), "signature must be 64 bytes hex");
+    assert.equal(verifyAuthor(MAINNET, msg, "zz" + SIG_MAINNET.slice(2)), "signature must be 64 bytes hex");
+    assert.equal(verifyAuthor(MAINNET, msg, undefined), "signature must be 64 bytes hex");
+  });
+});
+
+describe("signed publish", () => {
+  // the wallet's signMessage, for bytes the test makes up
+  const sign = async (address, bytes) => {
+    const message = authorMessage(address, "sha256:" + await sha256Hex(bytes));
+    const hash = blake2b(new TextEncoder().encode(message), { key: new TextEncoder().encode("PersonalMessageSigningHash"), dkLen: 32 });
+    return hex(schnorr.sign(hash, SECRET_KEY));
+  };
+  const publish = async (call, png, author) =>
+    call("POST", "/api/v1/publish", { body: { png: dataUrl(png), labId: "l", patch: { a: 1 }, author } });
+
+  it("stores the signature and the hash it covers, so the author can be checked again", async () => {
+    const call = appClient(ADAPTERS.memory());
+    const png = await makePng();
+    const signature = await sign(MAINNET, png);
+    const res = await publish(call, png, { address: MAINNET, signature });
+    assert.equal(res.status, 200);
+    const { item } = (await call("GET", "/api/v1/artwork/" + res.body.id)).body;
+    assert.equal(item.author, MAINNET);
+    assert.deepEqual(item.authorProof, { address: MAINNET, signature, signedHash: "sha256:" + await sha256Hex(png) });
+    const { address, signedHash } = item.authorProof;
+    assert.equal(verifyAuthor(address, authorMessage(address, signedHash), item.authorProof.signature), null);
+  });
+
+  it("checks the signature before answering a duplicate", async () => {
+    const call = appClient(ADAPTERS.memory());
+    const png = await makePng();
+    const signature = await sign(MAINNET, png);
+    assert.equal((await publish(call, png, { address: MAINNET, signature })).status, 200);
+
+    const forged = await publish(call, png, { address: MAINNET, signature: "00".repeat(64) });
+    assert.deepEqual([forged.status, forged.body.error], [400, "author signature does not match"]);
+    const same = await publish(call, png, { address: MAINNET, signature });
+    assert.deepEqual([same.status, same.body.duplicate], [200, true]);
+    assert.equal((await publish(call, png)).body.duplicate, true);
+
+    // a valid signature from a different address is not told the piece is theirs
+    const other = await publish(call, png, { address: TESTNET, signature: await sign(TESTNET, png) });
+    assert.deepEqual([other.status, other.body.code], [409, "author_conflict"]);
+    const unsigned = await makePng(16, 16, { seed: 1 });
+    await publish(call, unsigned);
+    const late = await publish(call, unsigned, { address: MAINNET, signature: await sign(MAINNET, unsigned) });
+    assert.deepEqual([late.status, late.body.code], [409, "author_conflict"]);
+  });
+});
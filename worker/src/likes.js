@@ -0,0 +1,25 @@
+/* Likes — one per identity, counted by the adapter.
+
+   POST /api/v1/artwork/:id/like needs the same bearer token as publishing; the
+   liker is a hash of the token's kind + subject (an API key, or the browser's
+   anonymous session), so no raw client id is ever stored.
+
+   `adapter.like(id, who) -> { added, likes }` (null for an unknown / removed
+   id). Every adapter keeps one marker per (artwork, liker) as the source of
+   truth and carries a `likes` count on the record it returns:
+
+     memory  — a Set per artwork, updated in place
+     sqlite  — likes(artwork_id, who) primary key + INSERT OR IGNORE; the
+               `likes` column is recounted from those rows
+     kv      — lk:<id>:<who> keys; lc:<id> is recounted from a prefix list
+     pinata  — one small marker file per like; the meta file's `likes`
+               keyvalue is recounted from the distinct likers
+
+   A recount can only be stale, never lose a like: the next like recounts
+   again, so counts converge however writes interleave. */
+import { sha256Hex } from "./content.js";
+
+/** Claims of a verified token -> the stable liker hash adapters store. */
+export async function likerId(claims) {
+  return (await sha256Hex(new TextEncoder().encode(claims.kind + ":" + claims.sub))).slice(0, 32);
+}
@@ -0,0 +1,90 @@
+/* Remix lineage — ancestors up to the root plus the descendant tree.
+
+   Only `parentId` is stored. Walking up is one `adapter.get` per hop; walking
+   down is `adapter.list({ parentId })`, which every adapter serves from a
+   parentId index (MemoryAdapter's byParent map, KV idx:parent:*, the SQLite
+   artworks_parent index, Pinata's parentId keyvalue), so a subtree costs one
+   list per expanded node rather than a scan of the gallery.
+
+   GET /api/v1/artwork/:id/lineage?depth=  ->
+
+     { id,
+       ancestors: [node, …],   root first, the direct parent last
+       tree: node & { children: [node & { children }, …] | null },
+       truncated }             true when the node budget cut expansion short
+
+   A node is the small card the family tree draws (`lineageNode`). Hidden or
+   deleted ancestors stay in the chain as `{ id, removed: true }` — the walk
+   continues through their parentId (tombstones keep it) — while hidden or
+   deleted descendants are left out with their subtrees, as on /gallery.
+   `children: null` means "not expanded": the depth limit or the node budget was
+   reached there, and asking for that node's own lineage continues the tree. */
+import { MAX_LIMIT, decodeCursor } from "./query.js";
+import { isPublic } from "./moderation.js";
+
+export const DEFAULT_DEPTH = 3;
+export const MAX_DEPTH = 8;
+export const MAX_ANCESTORS = 64;    // also the cycle guard for hand-made parentIds
+export const MAX_NODES = 300;       // descendants per response (Worker subrequest budget)
+
+/** URLSearchParams -> { depth } or { error } */
+export function parseLineageQuery(sp) {
+  const v = sp.get("depth");
+  if (v == null || v === "") return { depth: DEFAULT_DEPTH };
+  if (!/^\d{1,2}$/.test(v)) return { error: "depth must be an integer 0-" + MAX_DEPTH };
+  return { depth: Math.min(MAX_DEPTH, Number(v)) };
+}
+
+export function lineageNode(r) {
+  if (!isPublic(r)) return { id: r.id, removed: true };
+  return {
+    id: r.id, title: r.title, lab: r.lab, labId: r.labId || null, thumb: r.thumb,
+    author: r.author || null, parentId: r.parentId || null, ts: r.ts,
+  };
+}
+
+async function allChildren(adapter, parentId, budget) {
+  const out = [];
+  let cursor = null;
+  do {
+    const page = await adapter.list({ parentId, limit: Math.min(MAX_LIMIT, budget - out.length), cursor });
+    out.push(...page.items);
+    cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+  } while (cursor && out.length < budget);
+  return { items: out, complete: !cursor };
+}
+
+/** `record` is the (public) artwork the lineage is asked for. */
+export async function buildLineage(adapter, record, { depth = DEFAULT_DEPTH } = {}) {
+  const ancestors = [];
+  const seen = new Set([record.id]);
+  let parentId = record.parentId;
+  while (parentId && !seen.has(parentId) && ancestors.length < MAX_ANCESTORS) {
+    seen.add(parentId);
+    const p = await adapter.get(parentId);
+    if (!p) { ancestors.push({ id: parentId, removed: true }); break; }
+    ancestors.push(lineageNode(p));
+    parentId = p.parentId;
+  }
+  ancestors.reverse();
+
+  // breadth-first, so a tight budget still shows every direct remix first
+  const tree = { ...lineageNode(record), children: null };
+  let level = [tree], budget = MAX_NODES, truncated = false;
+  for (let d = 0; d < depth && level.length; d++) {
+    const next = [];
+    for (const node of level) {
+      if (budget <= 0) { truncated = true; break; }
+      const { items, complete } = await allChildren(adapter, node.id, budget);
+      // a partial list stays unexpanded; the node's own lineage picks it up
+      if (!complete) { truncated = true; break; }
+      const kids = items.filter((c) => !seen.has(c.id));
+      kids.forEach((c) => seen.add(c.id));
+      budget -= kids.length;
+      node.children = kids.map((c) => ({ ...lineageNode(c), children: null }));
+      next.push(...node.children);
+    }
+    level = next;
+  }
+  return { id: record.id, ancestors, tree, truncated };
+}
@@ -0,0 +1,51 @@
+/* Short links — /p/:code for patches too long to ride in a URL.
+
+   The Labs put a patch in the permalink itself (?patch=, compressed by
+   js/gallery.js). A big one (an AKS sequence, a Yohei shader) can still come
+   out past what chat apps and QR codes take, so the page asks the Worker to
+   keep it instead:
+
+     POST /api/v1/links { labUrl, patch, parentId? }  -> { code, url }
+     GET  /p/:code        -> 302 to <siteUrl><labUrl>?p=<code>&from=<parentId>
+     GET  /api/v1/links/:code  -> the stored link, which the Lab then restores
+
+   Stored shape, the same in every adapter:
+
+     { code, labUrl, patch, parentId, createdAt }
+
+   `code` is content-addressed (the first 10 base64url chars of a sha256 over
+   the canonical link), so asking twice for the same patch gives the same code
+   and a link is never edited. `labUrl` must be a path on the site — the
+   redirect can only ever land there. */
+import { canonicalJson } from "./content.js";
+import { bytesToB64url } from "./b64url.js";
+
+export const MAX_LINK_PATCH = 64 * 1024;   // bytes of patch JSON
+export const LINK_CODE = /^[A-Za-z0-9_-]{10}$/;
+
+/** POST body -> { link } (without code / createdAt) or { error }. */
+export function parseShortLink(body) {
+  if (!body || typeof body !== "object") return { error: "body required" };
+  const { labUrl, patch, parentId } = body;
+  if (typeof labUrl !== "string" || !/^\/(?![/\\])[^\s?#]*$/.test(labUrl)) {
+    return { error: "labUrl must be a path on the site, e.g. /sykora-lab.html" };
+  }
+  if (!patch || typeof patch !== "object" || Array.isArray(patch)) return { error: "patch must be an object" };
+  if (new TextEncoder().encode(JSON.stringify(patch)).length > MAX_LINK_PATCH) return { error: "patch too large" };
+  if (parentId != null && typeof parentId !== "string") return { error: "parentId must be a string" };
+  return { link: { labUrl, patch, parentId: parentId || null } };
+}
+
+/** The link's code: the same labUrl + patch + parentId always give the same one. */
+export async function linkCode(link) {
+  const text = canonicalJson({ labUrl: link.labUrl, patch: link.patch, parentId: link.parentId });
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+  return bytesToB64url(digest).slice(0, 10);
+}
+
+/** Where /p/:code sends the browser: the Lab, which fetches the patch by code. */
+export function linkTarget(siteUrl, link) {
+  let url = siteUrl + link.labUrl + "?p=" + encodeURIComponent(link.code);
+  if (link.parentId) url += "&from=" + encodeURIComponent(link.parentId);
+  return url;
+}
@@ -0,0 +1,48 @@
+/* Moderation state shared by the Worker and every StorageAdapter.
+
+   Records carry two admin flags — `featured` and `hidden` — changed through
+   `adapter.update(id, changes)`. Deleting is soft: `adapter.remove(id)` swaps
+   the record for a tombstone (and drops the image bytes where the backend
+   can), so a permalink answers 410 instead of quietly serving content that is
+   still reachable elsewhere — on IPFS a pinned CID outlives an unpin.
+
+   Reports feed the moderation queue. Each adapter keeps one summary per
+   reported artwork: { id, count, reasons (newest first, capped), lastTs }. */
+import { encodeCursor } from "./query.js";
+
+export const MAX_REASON = 500;
+export const MAX_REASONS = 10;
+
+/** What survives a delete: enough to keep lineage links and answer 410. */
+export function tombstone(r, now = Date.now()) {
+  return {
+    id: r.id, ts: r.ts, labId: r.labId || null, parentId: r.parentId || null,
+    deleted: true, deletedAt: now,
+  };
+}
+
+/** Is a stored record visible on the public API? */
+export function isPublic(r) {
+  return !!r && !r.hidden && !r.deleted;
+}
+
+/** Fold one report into a queue summary (prev may be null). */
+export function addReport(prev, id, { reason, ts }) {
+  const reasons = ((prev && prev.reasons) || []).slice();
+  if (reason) reasons.unshift(reason);
+  return { id, count: ((prev && prev.count) || 0) + 1, reasons: reasons.slice(0, MAX_REASONS), lastTs: ts };
+}
+
+/** Queue order (most recently reported first) + `{ ts, id }` cursor paging. */
+export function pageReports(entries, q) {
+  const c = q.cursor;
+  const hasCursor = c && typeof c.ts === "number" && typeof c.id === "string";
+  const cmp = (a, b) => (b.lastTs - a.lastTs) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+  const rows = entries
+    .filter((e) => !hasCursor || cmp({ lastTs: c.ts, id: c.id }, e) < 0)
+    .sort(cmp);
+  const items = rows.slice(0, q.limit);
+  const last = items[items.length - 1];
+  const nextCursor = rows.length > items.length ? encodeCursor({ ts: last.lastTs, id: last.id }) : null;
+  return { items, nextCursor };
+}
@@ -0,0 +1,98 @@
+/* oEmbed — lets other sites and chat bots embed a creation from its link.
+
+   GET /api/v1/oembed?url=<permalink>&maxwidth=&maxheight=&format=json
+
+   Accepted permalinks: the Worker's own /a/:id share card,
+   <site>/gallery.html?item=:id and /api/v1/artwork/:id. Records that know their
+   pixel size answer `type: "photo"` with the largest copy (320 / 640 rendition
+   or the full image) that fits maxwidth × maxheight; older records without
+   width/height answer `type: "rich"` with an <img> snippet instead. Only JSON
+   is offered — `format=xml` is 501, as the spec asks. */
+import { escapeHtml as esc } from "./html.js";
+
+const PROVIDER = "Pixel Art Lab";
+
+/** The artwork id a permalink points at, or null if it is not one of ours. */
+export function artworkIdFromUrl(raw, { origin, site }) {
+  let u;
+  try { u = new URL(raw); } catch (e) { return null; }
+  const hosts = [new URL(origin).host, new URL(site).host];
+  if (!hosts.includes(u.host)) return null;
+  const path = u.pathname.replace(/\/+$/, "");
+  let m;
+  if ((m = /^\/a\/([^/]+)$/.exec(path))) return decodeURIComponent(m[1]);
+  if ((m = /^\/api\/v1\/artwork\/([^/]+)$/.exec(path))) return decodeURIComponent(m[1]);
+  if (/^\/gallery(\.html)?$/.test(path) && u.searchParams.get("item")) return u.searchParams.get("item");
+  return null;
+}
+
+/** URLSearchParams -> { url, maxwidth, maxheight } or { error, status } */
+export function parseOembedQuery(sp) {
+  const url = sp.get("url");
+  if (!url) return { error: "url required", status: 400 };
+  const format = sp.get("format");
+  if (format && format !== "json") return { error: "only format=json is supported", status: 501 };
+  const out = { url };
+  for (const k of ["maxwidth", "maxheight"]) {
+    const v = sp.get(k);
+    if (v == null || v === "") continue;
+    if (!/^\d{1,5}$/.test(v) || Number(v) === 0) return { error: k + " must be a positive integer", status: 400 };
+    out[k] = Number(v);
+  }
+  return out;
+}
+
+// every stored copy with its size, smallest first
+function copies(item) {
+  const list = [];
+  for (const [name, url] of Object.entries(item.renditions || {})) {
+    const w = Math.min(Number(name), item.width);
+    list.push({ url, width: w, height: Math.round((item.height * w) / item.width) });
+  }
+  list.push({ url: item.image, width: item.width, height: item.height });
+  return list.sort((a, b) => a.width - b.width);
+}
+
+function fit(c, maxwidth, maxheight) {
+  const s = Math.min(1, maxwidth ? maxwidth / c.width : 1, maxheight ? maxheight / c.height : 1);
+  return { url: c.url, width: Math.max(1, Math.round(c.width * s)), height: Math.max(1, Math.round(c.height * s)) };
+}
+
+/** oEmbed response for a public record. `link` is what the embed points back to. */
+export function oembedFor(item, { link, site, maxwidth, maxheight }) {
+  const base = {
+    version: "1.0",
+    title: item.title || "Untitled",
+    author_name: item.author || item.lab || PROVIDER,
+    author_url: item.author ? site + "/gallery.html?author=" + encodeURIComponent(item.author) : site + "/gallery.html",
+    provider_name: PROVIDER,
+    provider_url: site,
+    cache_age: 86400,
+  };
+  if (item.thumb) {
+    base.thumbnail_url = item.thumb;
+    if (item.width && item.renditions && item.renditions["320"]) {
+      const w = Math.min(320, item.width);
+      base.thumbnail_width = w;
+      base.thumbnail_height = Math.round((item.height * w) / item.width);
+    }
+  }
+
+  if (item.width && item.height) {
+    const all = copies(item);
+    const fitting = all.filter((c) => (!maxwidth || c.width <= maxwidth) && (!maxheight || c.height <= maxheight));
+    const pick = fitting.length ? fitting[fitting.length - 1] : fit(all[0], maxwidth, maxheight);
+    return { ...base, type: "photo", url: pick.url, width: pick.width, height: pick.height };
+  }
+
+  // no stored size: assume the square canvas most Labs draw
+  const side = Math.min(640, maxwidth || 640, maxheight || 640);
+  return {
+    ...base,
+    type: "rich",
+    width: side,
+    height: side,
+    html: `<a href="${esc(link)}"><img src="${esc(item.image || item.thumb)}" alt="${esc(base.title)}" ` +
+      `width="${side}" height="${side}" style="object-fit:contain"></a>`,
+  };
+}
@@ -0,0 +1,547 @@
+/* OpenAPI document for /api/v1 — served at GET /api/v1/openapi.json.
+
+   Built at request time from the modules that enforce the rules: the publish
+   body from publish.js, limits and sorts from query.js / ranking.js, lineage
+   depth, search and collection caps from their own modules. Change a limit
+   there and the spec follows. The share card (/a/:id) is HTML for people and
+   crawlers, not API, so it is left out, and so is the /p/:code redirect. */
+import { DEFAULT_LIMIT, MAX_LIMIT } from "./query.js";
+import { SORTS } from "./ranking.js";
+import { DEFAULT_DEPTH, MAX_DEPTH } from "./lineage.js";
+import { MAX_REASON } from "./moderation.js";
+import { FEED_LIMIT } from "./feeds.js";
+import { MAX_WORDS, MAX_FILTERS } from "./search.js";
+import { FEATURED, MAX_ITEMS, MAX_DESCRIPTION, SLUG } from "./collections.js";
+import { RENDITIONS } from "./renditions.js";
+import { MIN_EDGE, MAX_EDGE, MAX_PIXELS } from "./image.js";
+import { MAX_IMAGE_BYTES, MAX_TITLE, publishSchema, publishFormSchema } from "./publish.js";
+import { MAX_LINK_PATCH, LINK_CODE } from "./links.js";
+
+const ref = (name) => ({ $ref: "#/components/schemas/" + name });
+const nullable = (type) => ({ type: [type, "null"] });
+const body = (schema, description) => ({ description, content: { "application/json": { schema } } });
+const failure = (description) => ({ $ref: "#/components/responses/" + description });
+const query = (name, schema, description) => ({ name, in: "query", schema, description });
+const pathParam = (name) => ({ name, in: "path", required: true, schema: { type: "string" } });
+const BEARER = [{ bearer: [] }];
+
+const LIMIT = query("limit", { type: "integer", minimum: 1, default: DEFAULT_LIMIT },
+  "Page size; larger values are capped at " + MAX_LIMIT + ".");
+const CURSOR = query("cursor", { type: "string" }, "nextCursor of the previous page.");
+const FILTERS = [
+  query("labId", { type: "string" }, "Only this Lab."),
+  query("author", { type: "string" }, "Only this kaspa: address (case-insensitive)."),
+];
+
+function schemas() {
+  const artwork = {
+    type: "object",
+    required: ["id", "lab", "title", "image", "ts"],
+    properties: {
+      id: { type: "string", description: "Content address of image + patch (content.js)." },
+      lab: { type: "string" },
+      labId: nullable("string"),
+      labUrl: { type: "string" },
+      title: { type: "string" },
+      patch: { type: ["object", "null"], description: "{ labId, schemaVersion, state }, or the bare state on older items." },
+      parentId: nullable("string"),
+      author: nullable("string"),
+      authorProof: {
+        type: ["object", "null"],
+        description: "What `author` was verified from: the address and signature as sent, and signedHash, the " +
+          "sha256 of the image bytes uploaded — re-check with authorMessage(address, signedHash) (kaspa.js).",
+        properties: { address: { type: "string" }, signature: { type: "string" }, signedHash: { type: "string" } },
+      },
+      imageHash: { type: "string" },
+      contentHash: { type: "string" },
+      width: nullable("integer"),
+      height: nullable("integer"),
+      image: { type: "string", format: "uri" },
+      thumb: { type: "string", format: "uri" },
+      renditions: {
+        type: "object",
+        description: "Rendition name -> URL: " + RENDITIONS.map((r) => r.name).join(", ") + ".",
+        additionalProperties: { type: "string", format: "uri" },
+      },
+      featured: { type: "boolean" },
+      hidden: { type: "boolean", description: "Admin reads only; hidden artwork is 404 elsewhere." },
+      remixes: { type: "integer", minimum: 0 },
+      likes: { type: "integer", minimum: 0 },
+      trend: { type: "number" },
+      ts: { type: "integer", description: "Publish time, ms since the epoch." },
+      backend: { type: "string" },
+    },
+  };
+  const node = {
+    type: "object",
+    required: ["id"],
+    properties: {
+      id: { type: "string" },
+      removed: { type: "boolean", description: "Present (true) when the artwork is gone; no other fields." },
+      title: { type: "string" },
+      lab: { type: "string" },
+      labId: nullable("string"),
+      thumb: { type: "string" },
+      author: nullable("string"),
+      parentId: nullable("string"),
+      ts: { type: "integer" },
+    },
+  };
+  const collection = {
+    type: "object",
+    required: ["slug", "title", "items"],
+    properties: {
+      slug: { type: "string", pattern: SLUG.source },
+      title: { type: "string" },
+      description: { type: "string", maxLength: MAX_DESCRIPTION },
+      items: { type: "array", items: { type: "string" }, maxItems: MAX_ITEMS },
+      cover: nullable("string"),
+      createdAt: { type: "integer" },
+      updatedAt: { type: "integer" },
+      builtIn: { type: "boolean", description: "Only on `" + FEATURED + "`." },
+    },
+  };
+  const summary = { ...collection.properties };
+  delete summary.items;
+  return {
+    Error: {
+      type: "object",
+      required: ["error"],
+      properties: {
+        error: { type: "string", description: "Human-readable; fine to show as is." },
+        code: { type: "string", description: "Stable machine code on upload / image rejections." },
+        retryAfter: { type: "integer" },
+        detail: { type: "string" },
+      },
+    },
+    PublishRequest: publishSchema(),
+    PublishForm: publishFormSchema(),
+    PublishResult: {
+      type: "object",
+      required: ["id", "item", "duplicate"],
+      properties: {
+        id: { type: "string" },
+        item: ref("Artwork"),
+        duplicate: { type: "boolean", description: "The same image + patch was already published." },
+      },
+    },
+    Session: {
+      type: "object",
+      required: ["token", "expiresAt"],
+      properties: { token: { type: "string" }, expiresAt: { type: "integer" } },
+    },
+    Artwork: artwork,
+    ArtworkPage: {
+      type: "object",
+      required: ["items", "nextCursor"],
+      properties: { items: { type: "array", items: ref("Artwork") }, nextCursor: nullable("string") },
+    },
+    Tombstone: {
+      type: "object",
+      required: ["id", "deleted", "deletedAt"],
+      description: "What an admin read returns after a delete (moderation.js).",
+      properties: {
+        id: { type: "string" },
+        ts: { type: "integer" },
+        labId: nullable("string"),
+        parentId: nullable("string"),
+        deleted: { const: true },
+        deletedAt: { type: "integer" },
+      },
+    },
+    LineageNode: node,
+    LineageTree: {
+      allOf: [ref("LineageNode"), {
+        type: "object",
+        properties: {
+          children: {
+            type: ["array", "null"],
+            items: ref("LineageTree"),
+            description: "null: not expanded; ask for that node's own lineage.",
+          },
+        },
+      }],
+    },
+    Lineage: {
+      type: "object",
+      required: ["id", "ancestors", "tree", "truncated"],
+      properties: {
+        id: { type: "string" },
+        ancestors: { type: "array", items: ref("LineageNode"), description: "Root first." },
+        tree: ref("LineageTree"),
+        truncated: { type: "boolean" },
+      },
+    },
+    Collection: collection,
+    CollectionInput: {
+      type: "object",
+      properties: {
+        slug: { ...collection.properties.slug, not: { const: FEATURED } },
+        title: { type: "string", maxLength: MAX_TITLE },
+        description: collection.properties.description,
+        items: { ...collection.properties.items, description: "Artwork ids in display order; each must be live." },
+        cover: { ...collection.properties.cover, description: "One of items; null = the first." },
+      },
+    },
+    CollectionSummary: {
+      type: "object",
+      required: ["slug", "title", "count", "cover"],
+      properties: {
+        ...summary,
+        count: { type: "integer" },
+        cover: {
+          type: ["object", "null"],
+          properties: { id: { type: "string" }, title: { type: "string" }, thumb: { type: "string" } },
+        },
+      },
+    },
+    ShortLinkInput: {
+      type: "object",
+      required: ["labUrl", "patch"],
+      properties: {
+        labUrl: { type: "string", pattern: "^/(?![/\\\\])", description: "Path of the Lab page on the site." },
+        patch: { type: "object", description: "At most " + MAX_LINK_PATCH + " bytes of JSON." },
+        parentId: nullable("string"),
+      },
+    },
+    ShortLink: {
+      type: "object",
+      required: ["code", "labUrl", "patch", "parentId", "createdAt"],
+      properties: {
+        code: { type: "string", pattern: LINK_CODE.source },
+        labUrl: { type: "string" },
+        patch: { type: "object" },
+        parentId: nullable("string"),
+        createdAt: { type: "integer" },
+      },
+    },
+    Report: {
+      type: "object",
+      required: ["id", "count", "reasons", "lastTs"],
+      properties: {
+        id: { type: "string" },
+        count: { type: "integer" },
+        reasons: { type: "array", items: { type: "string" }, description: "Newest first." },
+        lastTs: { type: "integer" },
+        item: { oneOf: [ref("Artwork"), ref("Tombstone"), { type: "null" }] },
+      },
+    },
+  };
+}
+
+function paths() {
+  const artworkPage = body(ref("ArtworkPage"), "A page of public artwork.");
+  const item = body({ type: "object", required: ["item"], properties: { item: ref("Artwork") } }, "The artwork.");
+  const adminItem = body({
+    type: "object",
+    required: ["item"],
+    properties: { item: { oneOf: [ref("Artwork"), ref("Tombstone")] } },
+  }, "The artwork, or its tombstone.");
+  const ok = body({ type: "object", properties: { ok: { const: true } } }, "Done.");
+  const admin = (op) => ({ tags: ["admin"], security: BEARER, ...op });
+  const adminFailures = { 401: failure("Unauthorized"), 403: failure("Forbidden"), 404: failure("NotFound") };
+  return {
+    "/api/v1/session": {
+      post: {
+        summary: "Mint an anonymous publish session token",
+        responses: { 200: body(ref("Session"), "A session token."), 429: failure("RateLimited") },
+      },
+    },
+    "/api/v1/publish": {
+      post: {
+        summary: "Publish an artwork",
+        security: BEARER,
+        requestBody: {
+          required: true,
+          content: {
+            "multipart/form-data": { schema: ref("PublishForm") },
+            "application/json": { schema: ref("PublishRequest") },
+          },
+        },
+        responses: {
+          200: body(ref("PublishResult"), "Published, or the existing record when duplicate is true."),
+          400: body(ref("Error"), "Invalid body, or a truncated / malformed image (image_corrupt)."),
+          401: failure("Unauthorized"),
+          409: body(ref("Error"), "This image + patch was already published, unsigned or by another author " +
+            "(author_conflict)."),
+          410: body(ref("Error"), "This image + patch was published and taken down."),
+          413: body(ref("Error"), "Image over " + MAX_IMAGE_BYTES + " bytes (image_too_large), or the whole body " +
+            "over its cap (upload_too_large)."),
+          415: body(ref("Error"), "Not PNG, JPEG or WebP by its magic bytes (image_type), or SVG / HTML " +
+            "markup (image_active_content)."),
+          422: body(ref("Error"), "Under " + MIN_EDGE + " px a side (image_too_small), or over " + MAX_EDGE +
+            " px a side or " + MAX_PIXELS + " pixels (image_too_many_pixels)."),
+          429: failure("RateLimited"),
+        },
+      },
+    },
+    "/api/v1/gallery": {
+      get: {
+        summary: "List public artwork",
+        parameters: [
+          LIMIT, CURSOR,
+          query("sort", { type: "string", enum: SORTS, default: SORTS[0] }, "Ranking (ranking.js)."),
+          ...FILTERS,
+          query("parentId", { type: "string" }, "Only remixes of this artwork."),
+          query("featured", { type: "boolean" }, "true / false (or 1 / 0)."),
+          query("before", { type: "integer" }, "Published before this ms timestamp (exclusive)."),
+          query("after", { type: "integer" }, "Published after this ms timestamp (exclusive)."),
+        ],
+        responses: { 200: artworkPage, 400: failure("BadRequest") },
+      },
+    },
+    "/api/v1/search": {
+      get: {
+        summary: "Search titles, Lab names and patch parameters",
+        description: "At least one of q or a patch.<path> filter. `patch.<path>=<value>` matches a value, " +
+          "`patch.<path>=min..max` an inclusive numeric range (either end optional). Newest first.",
+        parameters: [
+          query("q", { type: "string" }, "Up to " + MAX_WORDS + " words, each matched as a word prefix."),
+          {
+            name: "patch", in: "query", style: "deepObject", explode: true,
+            schema: { type: "object", additionalProperties: { type: "string" }, maxProperties: MAX_FILTERS },
+            description: "patch.<dotted path>=<value | min..max>, inside the Lab state; array indices are left out of paths.",
+          },
+          ...FILTERS, LIMIT, CURSOR,
+        ],
+        responses: { 200: artworkPage, 400: failure("BadRequest") },
+      },
+    },
+    "/api/v1/feed.json": {
+      get: {
+        summary: "JSON Feed 1.1 of new artwork",
+        parameters: [...FILTERS, { ...LIMIT, schema: { ...LIMIT.schema, default: FEED_LIMIT } }, CURSOR],
+        responses: { 200: { description: "JSON Feed.", content: { "application/feed+json": { schema: { type: "object" } } } } },
+      },
+    },
+    "/api/v1/feed.xml": {
+      get: {
+        summary: "RSS 2.0 feed of new artwork",
+        parameters: [...FILTERS, { ...LIMIT, schema: { ...LIMIT.schema, default: FEED_LIMIT } }],
+        responses: { 200: { description: "RSS.", content: { "application/rss+xml": { schema: { type: "string" } } } } },
+      },
+    },
+    "/api/v1/oembed": {
+      get: {
+        summary: "oEmbed for an artwork permalink",
+        parameters: [
+          { ...query("url", { type: "string", format: "uri" }, "/a/:id, gallery.html?item=:id or /api/v1/artwork/:id."), required: true },
+          query("maxwidth", { type: "integer", minimum: 1 }),
+          query("maxheight", { type: "integer", minimum: 1 }),
+          query("format", { type: "string", enum: ["json"] }),
+        ],
+        responses: {
+          200: body({ type: "object", required: ["version", "type"] }, "oEmbed photo or rich response."),
+          400: failure("BadRequest"),
+          404: failure("NotFound"),
+          501: body(ref("Error"), "format other than json."),
+        },
+      },
+    },
+    "/api/v1/artwork/{id}": {
+      get: {
+        summary: "One artwork",
+        parameters: [pathParam("id")],
+        responses: { 200: item, 404: failure("NotFound"), 410: failure("Gone") },
+      },
+    },
+    "/api/v1/artwork/{id}/lineage": {
+      get: {
+        summary: "Ancestors and remix tree",
+        parameters: [
+          pathParam("id"),
+          query("depth", { type: "integer", minimum: 0, maximum: MAX_DEPTH, default: DEFAULT_DEPTH }),
+        ],
+        responses: { 200: body(ref("Lineage"), "The lineage."), 400: failure("BadRequest"), 404: failure("NotFound"), 410: failure("Gone") },
+      },
+    },
+    "/api/v1/artwork/{id}/image": {
+      get: {
+        summary: "Image bytes (adapters that store them; Pinata records point at a CDN instead)",
+        parameters: [pathParam("id")],
+        responses: { 200: { description: "The image.", content: { "image/*": {} } }, 404: failure("NotFound") },
+      },
+    },
+    "/api/v1/artwork/{id}/image/{rendition}": {
+      get: {
+        summary: "A smaller rendition",
+        parameters: [pathParam("id"), { ...pathParam("rendition"), schema: { type: "string", enum: RENDITIONS.map((r) => r.name) } }],
+        responses: { 200: { description: "The rendition.", content: { "image/*": {} } }, 404: failure("NotFound") },
+      },
+    },
+    "/api/v1/artwork/{id}/like": {
+      post: {
+        summary: "Like an artwork (once per token identity)",
+        security: BEARER,
+        parameters: [pathParam("id")],
+        responses: {
+          200: body({
+            type: "object",
+            required: ["likes", "added"],
+            properties: { likes: { type: "integer" }, added: { type: "boolean", description: "false if already liked." } },
+          }, "The new count."),
+          401: failure("Unauthorized"),
+          404: failure("NotFound"),
+          429: failure("RateLimited"),
+        },
+      },
+    },
+    "/api/v1/artwork/{id}/report": {
+      post: {
+        summary: "Report an artwork to the moderators",
+        parameters: [pathParam("id")],
+        requestBody: {
+          content: { "application/json": { schema: { type: "object", properties: { reason: { type: "string", maxLength: MAX_REASON } } } } },
+        },
+        responses: { 200: ok, 404: failure("NotFound"), 429: failure("RateLimited") },
+      },
+    },
+    "/api/v1/links": {
+      post: {
+        summary: "Short link for a patch too long for a ?patch= URL",
+        description: "The code is content-addressed: the same link always gets the same one. " +
+          "GET <origin>/p/{code} redirects to the Lab.",
+        requestBody: { required: true, content: { "application/json": { schema: ref("ShortLinkInput") } } },
+        responses: {
+          200: body({
+            type: "object",
+            required: ["code", "url"],
+            properties: { code: { type: "string" }, url: { type: "string", format: "uri" } },
+          }, "The short link."),
+          400: failure("BadRequest"),
+          429: failure("RateLimited"),
+        },
+      },
+    },
+    "/api/v1/links/{code}": {
+      get: {
+        summary: "The patch behind a short link",
+        parameters: [pathParam("code")],
+        responses: { 200: body(ref("ShortLink"), "The stored link."), 404: failure("NotFound") },
+      },
+    },
+    "/api/v1/collections": {
+      get: {
+        summary: "List collections (the built-in `" + FEATURED + "` one first)",
+        parameters: [LIMIT, CURSOR],
+        responses: {
+          200: body({
+            type: "object",
+            required: ["items", "nextCursor"],
+            properties: { items: { type: "array", items: ref("CollectionSummary") }, nextCursor: nullable("string") },
+          }, "A page of collections."),
+          400: failure("BadRequest"),
+        },
+      },
+      post: admin({
+        summary: "Create a collection",
+        requestBody: { required: true, content: { "application/json": { schema: ref("CollectionInput") } } },
+        responses: {
+          201: body({ type: "object", properties: { collection: ref("Collection") } }, "Created."),
+          400: failure("BadRequest"),
+          401: failure("Unauthorized"),
+          403: failure("Forbidden"),
+          409: body(ref("Error"), "Slug already taken."),
+        },
+      }),
+    },
+    "/api/v1/collections/{slug}": {
+      get: {
+        summary: "A collection and its public artwork, in order",
+        parameters: [pathParam("slug")],
+        responses: {
+          200: body({
+            type: "object",
+            required: ["collection", "items"],
+            properties: { collection: ref("Collection"), items: { type: "array", items: ref("Artwork") } },
+          }, "The collection."),
+          404: failure("NotFound"),
+        },
+      },
+      patch: admin({
+        summary: "Edit a collection (not `" + FEATURED + "`)",
+        parameters: [pathParam("slug")],
+        requestBody: { required: true, content: { "application/json": { schema: ref("CollectionInput") } } },
+        responses: {
+          200: body({ type: "object", properties: { collection: ref("Collection") } }, "Updated."),
+          400: failure("BadRequest"),
+          ...adminFailures,
+        },
+      }),
+      delete: admin({
+        summary: "Delete a collection (not `" + FEATURED + "`)",
+        parameters: [pathParam("slug")],
+        responses: { 200: ok, 400: failure("BadRequest"), ...adminFailures },
+      }),
+    },
+    "/api/v1/admin/reports": {
+      get: admin({
+        summary: "Moderation queue, most recently reported first",
+        parameters: [LIMIT, CURSOR],
+        responses: {
+          200: body({
+            type: "object",
+            required: ["items", "nextCursor"],
+            properties: { items: { type: "array", items: ref("Report") }, nextCursor: nullable("string") },
+          }, "A page of reports."),
+          ...adminFailures,
+        },
+      }),
+    },
+    "/api/v1/admin/artwork/{id}": {
+      get: admin({
+        summary: "Any artwork, hidden and tombstoned included",
+        parameters: [pathParam("id")],
+        responses: { 200: adminItem, ...adminFailures },
+      }),
+      delete: admin({
+        summary: "Soft delete: the record becomes a tombstone",
+        parameters: [pathParam("id")],
+        responses: { 200: adminItem, ...adminFailures },
+      }),
+    },
+    "/api/v1/admin/artwork/{id}/{action}": {
+      post: admin({
+        summary: "Moderate an artwork",
+        parameters: [
+          pathParam("id"),
+          { ...pathParam("action"), schema: { type: "string", enum: ["hide", "unhide", "feature", "unfeature", "dismiss"] } },
+        ],
+        responses: { 200: body({ type: "object" }, "{ item }, or { ok } for dismiss."), ...adminFailures },
+      }),
+    },
+  };
+}
+
+/** The OpenAPI 3.1 document, with `origin` as its server. */
+export function openApiDocument({ origin }) {
+  const error = (description) => body(ref("Error"), description);
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "PixelGallery API",
+      version: "1",
+      description: "The gallery platform boundary: publish, browse, remix lineage, search, collections, short links, moderation.",
+    },
+    servers: [{ url: origin }],
+    paths: paths(),
+    components: {
+      schemas: schemas(),
+      securitySchemes: {
+        bearer: { type: "http", scheme: "bearer", description: "Session token, API key or admin token (auth.js)." },
+      },
+      responses: {
+        BadRequest: error("Invalid parameters or body; `error` says which."),
+        Unauthorized: error("Missing or invalid bearer token."),
+        Forbidden: error("Needs an admin token."),
+        NotFound: error("No such artwork (or it is hidden)."),
+        Gone: error("The artwork was removed."),
+        RateLimited: {
+          description: "Rate limited; retry after the given seconds.",
+          headers: { "Retry-After": { schema: { type: "integer" } } },
+          content: { "application/json": { schema: ref("Error") } },
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,116 @@
+/* Contract tests: the Worker's answers against its own OpenAPI document.
+
+   Drives createApp (MemoryAdapter) through every documented route and checks
+   that each status is listed for that operation and each JSON body validates
+   against the declared schema. A route added without its spec entry, or a
+   response that drifts from it, fails here. */
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import Ajv2020 from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+import { ADAPTERS, appClient, makePng, dataUrl, SECRET } from "./testkit.js";
+import { signToken } from "./auth.js";
+
+describe("OpenAPI contract", () => {
+  let call, spec, ajv, png, admin;
+  const exercised = new Set();
+
+  before(async () => {
+    call = appClient(ADAPTERS.memory());
+    png = dataUrl(await makePng(32, 32));
+    admin = { Authorization: "Bearer " + await signToken({ sub: "curator", kind: "admin" }, SECRET) };
+    spec = (await call("GET", "/api/v1/openapi.json")).body;
+    ajv = new Ajv2020({ strict: false });
+    addFormats(ajv);
+    ajv.addSchema({ $id: "spec", components: spec.components });
+  });
+
+  // local refs resolve against the components registered as "spec"
+  function validator(schema) {
+    return ajv.compile(JSON.parse(JSON.stringify(schema).replace(/"#\/components/g, '"spec#/components')));
+  }
+
+  // call a route and hold the answer to the operation `template` documents
+  async function check(method, path, template, opts) {
+    const res = await call(method, path, opts);
+    const op = spec.paths[template] && spec.paths[template][method.toLowerCase()];
+    assert.ok(op, method + " " + template + " is not documented");
+    exercised.add(method.toLowerCase() + " " + template);
+    let doc = op.responses[res.status];
+    assert.ok(doc, method + " " + path + " answered an undocumented " + res.status + ": " + JSON.stringify(res.body));
+    if (doc.$ref) doc = spec.components.responses[doc.$ref.split("/").pop()];
+    const schema = doc.content && doc.content["application/json"] && doc.content["application/json"].schema;
+    if (schema) {
+      const valid = validator(schema);
+      assert.ok(valid(res.body), method + " " + path + " " + res.status + ": " + ajv.errorsText(valid.errors));
+    }
+    return res;
+  }
+
+  it("is an OpenAPI 3.1 document", () => {
+    assert.equal(spec.openapi, "3.1.0");
+    assert.ok(spec.paths["/api/v1/publish"]);
+    assert.equal(spec.servers[0].url, "http://gallery.test");
+  });
+
+  it("describes the publish body the Worker accepts", () => {
+    const valid = validator({ $ref: "#/components/schemas/PublishRequest" });
+    assert.ok(valid({ png, patch: { a: 1 }, title: "T", lab: "L", labId: "l" }));
+    assert.ok(!valid({ png: "x" }));
+    assert.ok(!valid({ png, author: { address: "kaspa:q" } }));
+  });
+
+  it("matches every response", async () => {
+    await check("POST", "/api/v1/session", "/api/v1/session");
+    const a = (await check("POST", "/api/v1/publish", "/api/v1/publish", { body: { png, patch: { a: 1 }, title: "Root", labId: "l" } })).body;
+    const b = (await check("POST", "/api/v1/publish", "/api/v1/publish", { body: { png, patch: { a: 2 }, parentId: a.id } })).body;
+    await check("POST", "/api/v1/publish", "/api/v1/publish", { body: { png, patch: { a: 2 }, parentId: a.id } });
+    await check("POST", "/api/v1/publish", "/api/v1/publish", { body: { png: 5 } });
+    await check("POST", "/api/v1/publish", "/api/v1/publish", { body: { png }, headers: { Authorization: "Bearer x" } });
+
+    await check("GET", "/api/v1/gallery?limit=1", "/api/v1/gallery");
+    await check("GET", "/api/v1/gallery?sort=bogus", "/api/v1/gallery");
+    await check("GET", "/api/v1/search?q=root", "/api/v1/search");
+    await check("GET", "/api/v1/search", "/api/v1/search");
+    await check("GET", "/api/v1/feed.json", "/api/v1/feed.json");
+    await check("GET", "/api/v1/oembed?url=" + encodeURIComponent("http://gallery.test/a/" + a.id), "/api/v1/oembed");
+    await check("GET", "/api/v1/oembed?url=" + encodeURIComponent("http://elsewhere.test/"), "/api/v1/oembed");
+    await check("GET", "/api/v1/artwork/" + a.id, "/api/v1/artwork/{id}");
+    await check("GET", "/api/v1/artwork/art_nope", "/api/v1/artwork/{id}");
+    await check("GET", "/api/v1/artwork/" + b.id + "/lineage", "/api/v1/artwork/{id}/lineage");
+    await check("GET", "/api/v1/artwork/" + a.id + "/lineage?depth=x", "/api/v1/artwork/{id}/lineage");
+    const session = (await call("POST", "/api/v1/session")).body.token;
+    await check("POST", "/api/v1/artwork/" + a.id + "/like", "/api/v1/artwork/{id}/like", { headers: { Authorization: "Bearer " + session } });
+    await check("POST", "/api/v1/artwork/" + a.id + "/like", "/api/v1/artwork/{id}/like");
+    await check("POST", "/api/v1/artwork/" + a.id + "/report", "/api/v1/artwork/{id}/report", { body: { reason: "x" } });
+    await check("POST", "/api/v1/artwork/art_nope/report", "/api/v1/artwork/{id}/report", { body: {} });
+
+    const link = (await check("POST", "/api/v1/links", "/api/v1/links", { body: { labUrl: "/sykora-lab.html", patch: { a: 1 } } })).body;
+    await check("POST", "/api/v1/links", "/api/v1/links", { body: { labUrl: "https://elsewhere.test/", patch: {} } });
+    await check("GET", "/api/v1/links/" + link.code, "/api/v1/links/{code}");
+    await check("GET", "/api/v1/links/AAAAAAAAAA", "/api/v1/links/{code}");
+
+    await check("POST", "/api/v1/admin/artwork/" + a.id + "/feature", "/api/v1/admin/artwork/{id}/{action}", { headers: admin });
+    await check("POST", "/api/v1/collections", "/api/v1/collections", { body: { slug: "c1", title: "C", items: [a.id, b.id] }, headers: admin });
+    await check("POST", "/api/v1/collections", "/api/v1/collections", { body: { slug: "c1", title: "C" }, headers: admin });
+    await check("POST", "/api/v1/collections", "/api/v1/collections", { body: { slug: "c2", title: "C" } });
+    await check("GET", "/api/v1/collections", "/api/v1/collections");
+    await check("GET", "/api/v1/collections/c1", "/api/v1/collections/{slug}");
+    await check("GET", "/api/v1/collections/featured", "/api/v1/collections/{slug}");
+    await check("GET", "/api/v1/collections/nope", "/api/v1/collections/{slug}");
+    await check("PATCH", "/api/v1/collections/c1", "/api/v1/collections/{slug}", { body: { cover: b.id }, headers: admin });
+    await check("GET", "/api/v1/admin/reports", "/api/v1/admin/reports", { headers: admin });
+    await check("GET", "/api/v1/admin/reports", "/api/v1/admin/reports");
+    await check("GET", "/api/v1/admin/artwork/" + a.id, "/api/v1/admin/artwork/{id}", { headers: admin });
+    await check("DELETE", "/api/v1/admin/artwork/" + b.id, "/api/v1/admin/artwork/{id}", { headers: admin });
+    await check("GET", "/api/v1/artwork/" + b.id, "/api/v1/artwork/{id}");
+    await check("DELETE", "/api/v1/collections/c1", "/api/v1/collections/{slug}", { headers: admin });
+  });
+
+  it("has a test call for every JSON operation it documents", () => {
+    const binary = new Set(["get /api/v1/feed.xml", "get /api/v1/artwork/{id}/image", "get /api/v1/artwork/{id}/image/{rendition}"]);
+    const documented = Object.entries(spec.paths).flatMap(([path, ops]) => Object.keys(ops).map((m) => m + " " + path));
+    const missing = documented.filter((op) => !exercised.has(op) && !binary.has(op));
+    assert.deepEqual(missing, []);
+  });
+});
@@ -0,0 +1,113 @@
+/* Publish body rules — one table, read two ways.
+
+   `validatePublish` checks a POST /api/v1/publish body against PUBLISH_FIELDS,
+   and `publishSchema` / `publishFormSchema` turn the same table into the JSON
+   Schemas that openapi.js serves, so the spec cannot drift from what the
+   Worker accepts. Reading the body itself is upload.js.
+
+   A rule is { type, required?, pattern?, maxLength?, error?, description,
+   properties? } — `properties` holds the rules of an object's own fields,
+   `error` replaces the generated message. */
+
+export const MAX_IMAGE_BYTES = 8 * 1024 * 1024;   // 8 MB decoded
+export const MAX_TITLE = 200;
+
+export const PUBLISH_FIELDS = {
+  png: {
+    type: "string", required: true, pattern: "^data:image/", error: "png data URL required",
+    description: "The artwork as a data: URL, at most 8 MB decoded.",
+  },
+  patch: {
+    type: "object",
+    description: "The Lab state that made it, as { labId, schemaVersion, state }; a remix loads it back. " +
+      "Older clients send the bare state.",
+  },
+  lab: { type: "string", description: "Lab display name (default \"Lab\")." },
+  labId: { type: "string", description: "Stable Lab id, used for filtering." },
+  labUrl: { type: "string", description: "Page that opens the Lab (default \"/\")." },
+  title: { type: "string", maxLength: MAX_TITLE, description: "Defaults to the Lab name." },
+  parentId: { type: "string", description: "Id of the artwork this one remixes." },
+  author: {
+    type: "object",
+    description: "Optional Kaspa wallet signature over the image hash (kaspa.js).",
+    properties: {
+      address: { type: "string", required: true, description: "kaspa:q… address." },
+      signature: { type: "string", required: true, description: "Hex Schnorr signature of authorMessage." },
+    },
+  },
+};
+
+/**
+ * The Lab state inside a stored patch. Labs send an envelope { labId,
+ * schemaVersion, state } (js/gallery.js upgrades old ones on load); patches
+ * from before it are the bare state.
+ */
+export function patchState(patch) {
+  const envelope = patch && typeof patch === "object" && typeof patch.schemaVersion === "number" && "state" in patch;
+  return envelope ? patch.state : patch;
+}
+
+function article(type) {
+  return type === "object" ? "an object" : "a " + type;
+}
+
+function check(name, rule, v) {
+  const bad = rule.error || name + " must be " + article(rule.type);
+  if (v == null) return rule.required ? bad : null;
+  if (typeof v !== rule.type) return bad;
+  if (rule.pattern && !new RegExp(rule.pattern).test(v)) return bad;
+  if (rule.maxLength && v.length > rule.maxLength) return rule.error || name + " too long";
+  for (const [k, r] of Object.entries(rule.properties || {})) {
+    const err = check(name + "." + k, r, v[k]);
+    if (err) return err;
+  }
+  return null;
+}
+
+/**
+ * Publish body -> null, or the 400 error message. `binary`: the image came as
+ * its own multipart part (upload.js), so there is no `png` field to check.
+ */
+export function validatePublish(b, { binary = false } = {}) {
+  if (!b || typeof b !== "object") return "body required";
+  for (const [k, rule] of Object.entries(PUBLISH_FIELDS)) {
+    if (binary && k === "png") continue;
+    const err = check(k, rule, b[k]);
+    if (err) return err;
+  }
+  return null;
+}
+
+function schemaFor(rule) {
+  const s = { type: rule.type, description: rule.description };
+  if (rule.pattern) s.pattern = rule.pattern;
+  if (rule.maxLength) s.maxLength = rule.maxLength;
+  if (rule.properties) Object.assign(s, objectSchema(rule.properties));
+  return s;
+}
+
+function objectSchema(fields) {
+  const properties = {};
+  for (const [k, rule] of Object.entries(fields)) properties[k] = schemaFor(rule);
+  const required = Object.keys(fields).filter((k) => fields[k].required);
+  return required.length ? { required, properties } : { properties };
+}
+
+/** PUBLISH_FIELDS as a JSON Schema object (OpenAPI 3.1 dialect). */
+export function publishSchema() {
+  return { type: "object", ...objectSchema(PUBLISH_FIELDS) };
+}
+
+/** The multipart/form-data form: an `image` part plus the other fields as `meta` JSON. */
+export function publishFormSchema() {
+  const rest = { ...PUBLISH_FIELDS };
+  delete rest.png;
+  return {
+    type: "object",
+    required: ["image"],
+    properties: {
+      image: { type: "string", contentMediaType: "image/*", description: "The artwork, at most 8 MB." },
+      meta: { type: "string", contentMediaType: "application/json", contentSchema: { type: "object", ...objectSchema(rest) } },
+    },
+  };
+}
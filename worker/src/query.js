@@ -0,0 +1,138 @@
+/* Gallery query contract — shared by the Worker and every StorageAdapter.
+
+   The Worker parses /api/v1/gallery params into a plain query object and hands
+   it to `adapter.list(query)`, which returns `{ items, nextCursor }`:
+
+     { limit, cursor, sort, labId, parentId, author, featured, before, after }
+
+   Items are newest-first (ts desc, id desc as the tie-break) unless `sort`
+   ranks them by remixes, likes or trend (ranking.js) — ties then fall back to
+   newest-first. `before`/`after` are exclusive ms timestamps. A cursor is
+   opaque to the browser: base64url JSON whose shape belongs to the adapter
+   that issued it (MemoryAdapter keeps the last `{ ts, id }` seen — plus the
+   rank value `k` on a ranked sort —, PinataAdapter keeps Pinata's page token). */
+import { encodeB64urlJson, decodeB64urlJson } from "./b64url.js";
+import { SORTS, rankValue } from "./ranking.js";
+
+export const DEFAULT_LIMIT = 60;
+export const MAX_LIMIT = 100;
+
+export function encodeCursor(obj) {
+  return encodeB64urlJson(obj);
+}
+
+/** Returns the cursor object, or null if the string is not one of ours. */
+export function decodeCursor(str) {
+  return decodeB64urlJson(str);
+}
+
+function parseTs(v) {
+  if (!/^\d{1,15}$/.test(v)) return NaN;
+  return Number(v);
+}
+
+/**
+ * URLSearchParams -> { query } or { error }. Unknown params are ignored so the
+ * frontend can carry its own view state (sort, …) on the same URL.
+ */
+export function parseGalleryQuery(sp) {
+  const query = { limit: DEFAULT_LIMIT };
+
+  const limit = sp.get("limit");
+  if (limit != null && limit !== "") {
+    const n = parseInt(limit, 10);
+    if (!(n > 0)) return { error: "limit must be a positive integer" };
+    query.limit = Math.min(MAX_LIMIT, n);
+  }
+
+  const sort = sp.get("sort");
+  if (sort) {
+    if (!SORTS.includes(sort)) return { error: "sort must be one of " + SORTS.join(", ") };
+    if (sort !== "new") query.sort = sort;
+  }
+
+  const cursor = sp.get("cursor");
+  if (cursor) {
+    query.cursor = decodeCursor(cursor);
+    if (!query.cursor) return { error: "invalid cursor" };
+  }
+
+  for (const k of ["labId", "parentId", "author"]) {
+    const v = sp.get(k);
+    if (v) query[k] = k === "author" ? v.toLowerCase() : v;
+  }
+
+  const featured = sp.get("featured");
+  if (featured != null && featured !== "") {
+    if (featured === "true" || featured === "1") query.featured = true;
+    else if (featured === "false" || featured === "0") query.featured = false;
+    else return { error: "featured must be true or false" };
+  }
+
+  for (const k of ["before", "after"]) {
+    const v = sp.get(k);
+    if (v == null || v === "") continue;
+    const ts = parseTs(v);
+    if (Number.isNaN(ts)) return { error: k + " must be a ms timestamp" };
+    query[k] = ts;
+  }
+
+  return { query };
+}
+
+/** Does a record pass the query's filters (cursor excluded)? Hidden and
+    deleted records never do — the public list only shows live artwork. */
+export function matchesQuery(r, q) {
+  if (r.hidden || r.deleted) return false;
+  if (q.labId && r.labId !== q.labId) return false;
+  if (q.parentId && r.parentId !== q.parentId) return false;
+  if (q.author && r.author !== q.author) return false;
+  if (q.featured != null && !!r.featured !== q.featured) return false;
+  if (q.before != null && !(r.ts < q.before)) return false;
+  if (q.after != null && !(r.ts > q.after)) return false;
+  return true;
+}
+
+/** Newest-first ordering used by every adapter. */
+export function compareNewest(a, b) {
+  return (b.ts - a.ts) || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+/** The query's ordering: ranked by `sort` (ranking.js), newest-first on ties. */
+export function compareFor(sort) {
+  if (!sort) return compareNewest;
+  return (a, b) => (rankValue(b, sort) - rankValue(a, sort)) || compareNewest(a, b);
+}
+
+/** Position of a record in the query's order — what a cursor resumes after. */
+export function cursorFor(r, sort) {
+  return sort ? { k: rankValue(r, sort), ts: r.ts, id: r.id } : { ts: r.ts, id: r.id };
+}
+
+/** Does `r` come after cursor position `c` in the query's order? */
+export function isAfterCursor(r, c, sort) {
+  if (sort) {
+    const k = rankValue(r, sort);
+    if (k !== c.k) return k < c.k;
+  }
+  return compareNewest(c, r) < 0;
+}
+
+/**
+ * Reference implementation of `list(query)` over an in-process set of records:
+ * filter, order, resume after the cursor, slice one page.
+ */
+export function pageRecords(records, q) {
+  const c = q.cursor;
+  const cmp = compareFor(q.sort);
+  const hasCursor = c && typeof c.ts === "number" && typeof c.id === "string" &&
+    (!q.sort || typeof c.k === "number");
+  const rows = records
+    .filter((r) => matchesQuery(r, q))
+    .filter((r) => !hasCursor || isAfterCursor(r, c, q.sort))
+    .sort(cmp);
+  const items = rows.slice(0, q.limit);
+  const last = items[items.length - 1];
+  const nextCursor = rows.length > items.length ? encodeCursor(cursorFor(last, q.sort)) : null;
+  return { items, nextCursor };
+}
@@ -0,0 +1,65 @@
+/* Ranking — remix counts and the trending score, kept by the adapters.
+
+   /api/v1/gallery?sort= orders the whole archive server-side:
+
+     new       ts desc (the default)
+     remixed   record.remixes desc — remixes published with this as parentId
+     liked     record.likes desc
+     trending  record.trend desc — time-decayed activity
+
+   Ties fall back to newest first. `trend` is log2 of a sum of events, each
+   worth its weight halved every HALF_LIFE_MS since it happened:
+
+     publish 1 · each remix REMIX_WEIGHT · each like LIKE_WEIGHT
+
+   Every score decays at the same rate, so instead of decaying stored scores we
+   grow new events: an event at time t adds weight × 2^((t − EPOCH) / HALF_LIFE)
+   and the order between any two artworks is the same as if all of them had
+   been decayed to "now". Kept in log2 form, scores never overflow and a new
+   event is one `addHeat` — no recompute job. Adapters update `remixes` and
+   `trend` on save (the parent's) and on a new like. */
+
+export const SORTS = ["new", "remixed", "liked", "trending"];
+export const HALF_LIFE_MS = 2 * 24 * 60 * 60 * 1000;
+export const EPOCH = Date.UTC(2024, 0, 1);
+export const PUBLISH_WEIGHT = 1;
+export const REMIX_WEIGHT = 3;
+export const LIKE_WEIGHT = 1;
+
+/** log2 of one event's weight, grown from EPOCH to its time. */
+export function heat(ts, weight = PUBLISH_WEIGHT) {
+  return Math.log2(weight) + (ts - EPOCH) / HALF_LIFE_MS;
+}
+
+/** log2(2^a + 2^b), without leaving log space. */
+export function addHeat(a, b) {
+  if (a == null) return b;
+  const hi = Math.max(a, b), lo = Math.min(a, b);
+  return hi + Math.log2(1 + Math.pow(2, lo - hi));
+}
+
+/** Changes to a parent's ranking when a remix of it is published at `ts`. */
+export function remixedAt(parent, ts) {
+  return { remixes: (parent.remixes || 0) + 1, trend: addHeat(rankValue(parent, "trending"), heat(ts, REMIX_WEIGHT)) };
+}
+
+/** Change to an artwork's trend when it gets a new like at `ts`. */
+export function likedAt(r, ts) {
+  return { trend: addHeat(rankValue(r, "trending"), heat(ts, LIKE_WEIGHT)) };
+}
+
+/** Score from scratch, for adapters that recount instead of adding. */
+export function trendScore(ts, remixTs = [], likeTs = []) {
+  let s = heat(ts, PUBLISH_WEIGHT);
+  for (const t of remixTs) s = addHeat(s, heat(t, REMIX_WEIGHT));
+  for (const t of likeTs) s = addHeat(s, heat(t, LIKE_WEIGHT));
+  return s;
+}
+
+/** The value a ranked sort orders by (null for "new"). */
+export function rankValue(r, sort) {
+  if (sort === "remixed") return r.remixes || 0;
+  if (sort === "liked") return r.likes || 0;
+  if (sort === "trending") return r.trend != null ? r.trend : heat(r.ts);
+  return null;
+}
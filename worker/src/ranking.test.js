@@ -0,0 +1,86 @@
+/* Ranking math: heat grows with time instead of decaying, so orders only
+   need to agree with a score decayed to "now". */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  heat, addHeat, trendScore, rankValue, remixedAt, likedAt,
+  EPOCH, HALF_LIFE_MS, REMIX_WEIGHT, LIKE_WEIGHT,
+} from "./ranking.js";
+import { compareFor } from "./query.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, a + " ≉ " + b);
+
+// what the log2 score stands for: the events' weights, decayed to `now`
+function decayed(events, now) {
+  return events.reduce((sum, [ts, w]) => sum + w * Math.pow(2, (ts - now) / HALF_LIFE_MS), 0);
+}
+
+describe("heat", () => {
+  it("is log2 of the weight, grown by one per half-life since EPOCH", () => {
+    assert.equal(heat(EPOCH), 0);
+    close(heat(EPOCH + HALF_LIFE_MS), 1);
+    close(heat(EPOCH, REMIX_WEIGHT), Math.log2(REMIX_WEIGHT));
+  });
+
+  it("adds in log space", () => {
+    close(addHeat(3, 3), 4);
+    close(addHeat(0, Math.log2(3)), 2);
+    assert.equal(addHeat(null, 5), 5);
+    close(addHeat(1000, 1), 1000);   // no overflow far from EPOCH
+  });
+});
+
+describe("trendScore", () => {
+  it("equals the decayed sum of its events", () => {
+    const t0 = EPOCH + 30 * DAY, now = t0 + 10 * DAY;
+    const remixes = [t0 + DAY, t0 + 3 * DAY], likes = [t0 + 2 * DAY, t0 + 9 * DAY, t0 + 9 * DAY];
+    const events = [[t0, 1], ...remixes.map((t) => [t, REMIX_WEIGHT]), ...likes.map((t) => [t, LIKE_WEIGHT])];
+    // log2 of the grown sum = log2 of the sum decayed to now, plus (now − EPOCH) half-lives
+    close(trendScore(t0, remixes, likes), Math.log2(decayed(events, now)) + (now - EPOCH) / HALF_LIFE_MS);
+  });
+
+  it("lets a like lose half its weight per half-life", () => {
+    const t0 = EPOCH + 100 * DAY;
+    const fresh = trendScore(t0, [], [t0 + HALF_LIFE_MS]);
+    const old = trendScore(t0, [], [t0]);
+    // seen from the publish, a like one half-life later weighs twice as much
+    close(Math.pow(2, old - heat(t0)), 1 + 1);
+    close(Math.pow(2, fresh - heat(t0)), 1 + 2);
+  });
+
+  it("puts new activity ahead of an older, busier piece", () => {
+    const old = trendScore(EPOCH, [], Array(8).fill(EPOCH + DAY));
+    const recent = trendScore(EPOCH + 10 * DAY, [], [EPOCH + 10 * DAY]);
+    assert.ok(recent > old);
+    assert.ok(trendScore(EPOCH, [EPOCH]) > trendScore(EPOCH, [], [EPOCH]));   // a remix outweighs a like
+  });
+
+  it("agrees with the incremental updates", () => {
+    const t0 = EPOCH + 5 * DAY;
+    let r = { ts: t0, remixes: 0, likes: 0, trend: heat(t0) };
+    r = { ...r, ...remixedAt(r, t0 + DAY) };
+    r = { ...r, ...likedAt(r, t0 + 2 * DAY) };
+    assert.equal(r.remixes, 1);
+    close(r.trend, trendScore(t0, [t0 + DAY], [t0 + 2 * DAY]));
+  });
+});
+
+describe("rankValue", () => {
+  it("reads the sort's field, defaulting a missing one", () => {
+    const r = { ts: EPOCH + DAY, remixes: 2, likes: 5, trend: 7 };
+    assert.equal(rankValue(r, "remixed"), 2);
+    assert.equal(rankValue(r, "liked"), 5);
+    assert.equal(rankValue(r, "trending"), 7);
+    assert.equal(rankValue(r, "new"), null);
+    assert.equal(rankValue({ ts: r.ts }, "liked"), 0);
+    assert.equal(rankValue({ ts: r.ts }, "trending"), heat(r.ts));
+  });
+
+  it("orders ties newest first", () => {
+    const rows = [
+      { id: "art_a", ts: 1, likes: 3 }, { id: "art_b", ts: 2, likes: 3 }, { id: "art_c", ts: 3, likes: 1 },
+    ];
+    assert.deepEqual(rows.sort(compareFor("liked")).map((r) => r.id), ["art_b", "art_a", "art_c"]);
+  });
+});
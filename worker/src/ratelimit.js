@@ -0,0 +1,58 @@
+/* Token-bucket rate limiting with pluggable bucket state.
+
+   A bucket holds up to `capacity` tokens and refills at `refillPerSec`; each
+   request takes one. An empty bucket yields `retryAfter` (whole seconds) for
+   the 429 response. Bucket state lives in a store:
+
+     { get(key) -> { tokens, ts } | null, set(key, state, ttlSec) }
+
+   MemoryBucketStore — per-process (dev, tests; per-isolate in a Worker).
+   KvBucketStore     — shared across isolates via Workers KV. KV is eventually
+                       consistent, so under a burst this is best-effort, which
+                       is enough to stop a client hammering publish. */
+
+export function MemoryBucketStore() {
+  const buckets = new Map();   // key -> { tokens, ts, expires }
+  return {
+    async get(key) {
+      const b = buckets.get(key);
+      if (!b) return null;
+      if (b.expires <= Date.now()) { buckets.delete(key); return null; }
+      return { tokens: b.tokens, ts: b.ts };
+    },
+    async set(key, state, ttlSec) {
+      buckets.set(key, { ...state, expires: Date.now() + ttlSec * 1000 });
+    },
+  };
+}
+
+export function KvBucketStore(kv) {
+  return {
+    async get(key) {
+      return kv.get("rl:" + key, { type: "json" });
+    },
+    async set(key, state, ttlSec) {
+      // KV rejects TTLs under 60s
+      await kv.put("rl:" + key, JSON.stringify(state), { expirationTtl: Math.max(60, ttlSec) });
+    },
+  };
+}
+
+export function TokenBucket({ store, capacity, refillPerSec }) {
+  // a full refill from empty — after that an untouched bucket is just "full"
+  const ttlSec = Math.ceil(capacity / refillPerSec);
+
+  return {
+    /** -> { ok: true } or { ok: false, retryAfter } */
+    async take(key, now = Date.now()) {
+      const prev = await store.get(key);
+      let tokens = capacity;
+      if (prev) tokens = Math.min(capacity, prev.tokens + ((now - prev.ts) / 1000) * refillPerSec);
+      if (tokens < 1) {
+        return { ok: false, retryAfter: Math.max(1, Math.ceil((1 - tokens) / refillPerSec)) };
+      }
+      await store.set(key, { tokens: tokens - 1, ts: now }, ttlSec);
+      return { ok: true };
+    },
+  };
+}
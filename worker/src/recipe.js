@@ -0,0 +1,84 @@
+/* Recipe chunk — the patch travels inside the published PNG.
+
+   A stored PNG gets one iTXt chunk right after IHDR, keyword "pixel-recipe",
+   holding UTF-8 JSON:
+
+     { "v": 1, "labId": "sykora-lab", "parentId": "art_…" | null, "patch": { … } }
+
+   A downloaded file therefore still knows how it was made: dropping it on a
+   Lab page restores it (js/gallery.js reads and writes the same chunk for
+   local PNG exports). image.js strips every text chunk a client sends, so the
+   only recipe in a stored image is the one the Worker wrote from the
+   validated publish body. The chunk is added before hashing, so imageHash
+   covers it; its JSON is canonical (content.js), so the same patch sent with
+   its keys in another order still lands on the same id. JPEG and WebP
+   uploads are stored without one. */
+import { canonicalJson } from "./content.js";
+
+export const RECIPE_KEYWORD = "pixel-recipe";
+export const RECIPE_VERSION = 1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(b) {
+  let c = 0xffffffff;
+  for (let i = 0; i < b.length; i++) c = CRC_TABLE[(c ^ b[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function be32(b, i) { return ((b[i] << 24) >>> 0) + (b[i + 1] << 16) + (b[i + 2] << 8) + b[i + 3]; }
+
+// iTXt: keyword \0, compression flag 0, method 0, language "" \0, translated keyword "" \0, text
+function itxtChunk(keyword, text) {
+  const data = new Uint8Array([
+    ...new TextEncoder().encode(keyword), 0, 0, 0, 0, 0,
+    ...new TextEncoder().encode(text),
+  ]);
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(new TextEncoder().encode("iTXt"), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/** PNG bytes + { labId, parentId, patch } -> new PNG bytes carrying the recipe chunk. */
+export function withRecipe(png, { labId = null, parentId = null, patch = null }) {
+  const text = canonicalJson({ v: RECIPE_VERSION, labId, parentId, patch });
+  const chunk = itxtChunk(RECIPE_KEYWORD, text);
+  const ihdrEnd = 8 + 12 + be32(png, 8);
+  const out = new Uint8Array(png.length + chunk.length);
+  out.set(png.subarray(0, ihdrEnd));
+  out.set(chunk, ihdrEnd);
+  out.set(png.subarray(ihdrEnd), ihdrEnd + chunk.length);
+  return out;
+}
+
+/** PNG bytes -> the recipe object, or null when there is none (or it is not JSON). */
+export function readRecipe(png) {
+  let i = 8;
+  while (i + 12 <= png.length) {
+    const len = be32(png, i);
+    const type = String.fromCharCode(png[i + 4], png[i + 5], png[i + 6], png[i + 7]);
+    if (type === "IEND") return null;
+    if (type === "iTXt") {
+      const data = png.subarray(i + 8, i + 8 + len);
+      const kwEnd = data.indexOf(0);
+      if (new TextDecoder().decode(data.subarray(0, kwEnd)) === RECIPE_KEYWORD && data[kwEnd + 1] === 0) {
+        // skip the flag, method, language tag and translated keyword
+        let j = kwEnd + 3;
+        j = data.indexOf(0, j) + 1;
+        j = data.indexOf(0, j) + 1;
+        try { return JSON.parse(new TextDecoder().decode(data.subarray(j))); }
+        catch (e) { return null; }
+      }
+    }
+    i += 12 + len;
+  }
+  return null;
+}
@@ -0,0 +1,64 @@
+/* The recipe iTXt chunk: written after IHDR, read back, and on publish only
+   ever the Worker's own. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { withRecipe, readRecipe, RECIPE_KEYWORD, RECIPE_VERSION } from "./recipe.js";
+import { sanitizeImage } from "./image.js";
+import { ADAPTERS, appClient, makePng, dataUrl, pngChunk } from "./testkit.js";
+
+const recipe = { labId: "sykora-lab", parentId: "art_0123", patch: { motif: "syk-diag", title: "Ŝtudo ✦", grid: [1, 2] } };
+
+function itxt(keyword, text) {
+  return pngChunk("iTXt", new Uint8Array([...new TextEncoder().encode(keyword), 0, 0, 0, 0, 0, ...new TextEncoder().encode(text)]));
+}
+
+describe("recipe chunk", () => {
+  it("round-trips through the PNG", async () => {
+    const png = withRecipe(await makePng(), recipe);
+    assert.deepEqual(readRecipe(png), { v: RECIPE_VERSION, ...recipe });
+    assert.deepEqual(readRecipe(withRecipe(await makePng(), {})), { v: RECIPE_VERSION, labId: null, parentId: null, patch: null });
+  });
+
+  it("writes one well-formed chunk right after IHDR", async () => {
+    const plain = await makePng();
+    const png = withRecipe(plain, recipe);
+    const text = JSON.stringify({ labId: recipe.labId, parentId: recipe.parentId, patch: { grid: [1, 2], motif: "syk-diag", title: "Ŝtudo ✦" }, v: 1 });
+    // the same bytes testkit's independent chunk writer (and its CRC) produces
+    const chunk = itxt(RECIPE_KEYWORD, text);
+    assert.deepEqual(png.subarray(33, 33 + chunk.length), chunk);
+    assert.deepEqual(png.subarray(0, 33), plain.subarray(0, 33));
+    assert.deepEqual(png.subarray(33 + chunk.length), plain.subarray(33));
+    // and it is a chunk the image gate would have stripped, were a client to send it
+    assert.deepEqual(sanitizeImage(png).bytes, plain);
+  });
+
+  it("is canonical JSON, so key order does not change the bytes", async () => {
+    const png = await makePng();
+    const a = withRecipe(png, { labId: "l", parentId: null, patch: { a: 1, b: { c: 2, d: 3 } } });
+    const b = withRecipe(png, { parentId: null, patch: { b: { d: 3, c: 2 }, a: 1 }, labId: "l" });
+    assert.deepEqual(a, b);
+  });
+
+  it("reads null without a recipe, from another keyword or from broken JSON", async () => {
+    assert.equal(readRecipe(await makePng()), null);
+    assert.equal(readRecipe(await makePng(16, 16, { before: [itxt("Comment", '{"patch":1}')] })), null);
+    assert.equal(readRecipe(await makePng(16, 16, { before: [itxt(RECIPE_KEYWORD, "{nope")] })), null);
+    // after IEND is not part of the image
+    assert.equal(readRecipe(await makePng(16, 16, { trailing: [...itxt(RECIPE_KEYWORD, "{}")] })), null);
+  });
+});
+
+describe("recipe on publish", () => {
+  it("stores the recipe from the publish body, not the one uploaded", async () => {
+    const adapter = ADAPTERS.memory();
+    const call = appClient(adapter);
+    const forged = await makePng(16, 16, { before: [itxt(RECIPE_KEYWORD, JSON.stringify({ v: 1, patch: { evil: true } }))] });
+    const { id } = (await call("POST", "/api/v1/publish", {
+      body: { png: dataUrl(forged), labId: recipe.labId, parentId: recipe.parentId, patch: recipe.patch },
+    })).body;
+    const { bytes, contentType } = await adapter.getImage(id);
+    assert.equal(contentType, "image/png");
+    assert.deepEqual(readRecipe(bytes), { v: RECIPE_VERSION, ...recipe });
+    assert.deepEqual(bytes, withRecipe(await makePng(), recipe));
+  });
+});
@@ -0,0 +1,47 @@
+/* Image renditions — smaller copies made at publish time for the gallery grid.
+
+   The Worker renders each RENDITIONS width through a renderer and hands the
+   results to `adapter.save({ …, renditions })`; the adapter stores them next to
+   the full image and records their URLs:
+
+     record.renditions = { "320": url, "640": url }   record.thumb = the 320 URL
+
+   A renderer is `{ render(image, { width }) -> { bytes, contentType } }`.
+   Production uses the Cloudflare Images binding (wrangler.toml `[images]`,
+   binding IMAGES). With no renderer — local dev, tests — or when rendering
+   fails, the record keeps `thumb = image` and an empty map, as before. */
+
+export const RENDITIONS = [
+  { name: "320", width: 320 },
+  { name: "640", width: 640 },
+];
+
+/** Cloudflare Images binding: scale down (never up) and re-encode as WebP. */
+export function ImagesBindingRenderer(images, { format = "image/webp", quality = 82 } = {}) {
+  return {
+    async render(image, { width }) {
+      const out = await images
+        .input(new Blob([image.bytes]).stream())
+        .transform({ width, fit: "scale-down" })
+        .output({ format, quality });
+      return { bytes: new Uint8Array(await out.response().arrayBuffer()), contentType: out.contentType() };
+    },
+  };
+}
+
+/** -> [{ name, width, bytes, contentType }] — empty if there is nothing to render with. */
+export async function makeRenditions(renderer, image) {
+  if (!renderer) return [];
+  try {
+    return await Promise.all(RENDITIONS.map(async (r) => ({ ...r, ...(await renderer.render(image, r)) })));
+  } catch (e) {
+    console.warn("[gallery] renditions failed, publishing without them:", (e && e.message) || e);
+    return [];
+  }
+}
+
+/** Fold stored rendition URLs into a record (urls: { name: url }). */
+export function withRenditions(record, urls) {
+  const renditions = urls || {};
+  return { ...record, renditions, thumb: renditions["320"] || renditions["640"] || record.image };
+}
@@ -0,0 +1,173 @@
+/* Search — GET /api/v1/search over titles, Lab names and patch parameters.
+
+     /api/v1/search?q=lissajous&patch.osc.fr=200..400&labId=&author=&limit=&cursor=
+
+   `q` is free text: every word must start a word of the title, the Lab name or
+   the labId ("liss" finds "SYNTHI Lissajous"), case and accents ignored.
+   `patch.<path>=<value>` filters on a patch field: `patch.motif=syk-diag`
+   matches the value exactly (case-insensitive), `patch.osc.fr=200..400` is an
+   inclusive numeric range, open at either end with `200..` or `..400`. Array
+   indices drop out of a path, so `osc.fr` matches when any oscillator's `fr`
+   does. The other /gallery filters apply as well; results are newest-first and
+   page with the same cursors (query.js).
+
+   Adapters keep an inverted index, term -> artwork ids, written on save and
+   dropped on delete. A record's terms come from `searchTerms`:
+
+     t/<word>            each word of title, lab and labId
+     p/<path>            each scalar patch field
+     p/<path>=<value>    its value (numbers normalised: "12.0" -> 12)
+
+   Paths are inside the Lab state, so a versioned patch ({ labId,
+   schemaVersion, state }, publish.js) and an older bare one index alike.
+   Paths and values are URI-encoded, so a term never holds ":" or a space.
+   `indexLookups(query)` lists the terms to intersect (words by prefix, the
+   rest exactly); `matchesTerms` then checks a candidate's own terms, which is
+   where numeric ranges are applied.
+
+   A record is indexed under at most MAX_TERMS terms (one KV key each): title
+   words, then patch paths, then their values. A large SYNTHI or GLSL patch can
+   have more, so its last slot goes to the PARTIAL term instead, and every
+   lookup also returns the ids under PARTIAL. Those candidates are checked
+   against all of their terms (`matchesSearch` recomputes them from the
+   record), so a filter never misses a value the index had no room for. */
+import { parseGalleryQuery, matchesQuery } from "./query.js";
+import { patchState } from "./publish.js";
+
+export const MAX_WORDS = 8;
+export const MAX_FILTERS = 8;
+export const MAX_TERMS = 64;      // indexed per record, PARTIAL included
+export const PARTIAL = "x/partial";   // "indexed under only some of its terms"
+const MAX_VALUE = 64;             // longer patch strings are encoded blobs, not parameters
+const MAX_DEPTH = 4;
+const NUMBER = /^-?\d+(\.\d+)?$/;
+
+/** Lowercased, accent-free words of a text. */
+export function words(text) {
+  return String(text || "")
+    .normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function scalar(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? String(v) : null;
+  if (typeof v === "boolean") return String(v);
+  if (typeof v !== "string" || !v || v.length > MAX_VALUE) return null;
+  return NUMBER.test(v.trim()) ? String(Number(v)) : v.toLowerCase();
+}
+
+function pathTerm(path) {
+  return "p/" + path.map((s) => encodeURIComponent(String(s).toLowerCase())).join(".");
+}
+
+// [path segments, value] for every scalar in a patch; array indices dropped
+function flatten(v, path, out) {
+  if (Array.isArray(v)) {
+    if (path.length <= MAX_DEPTH) for (const x of v) flatten(x, path, out);
+  } else if (v && typeof v === "object") {
+    if (path.length < MAX_DEPTH) for (const k of Object.keys(v)) flatten(v[k], path.concat(k), out);
+  } else if (path.length) {
+    const s = scalar(v);
+    if (s != null) out.push([path, s]);
+  }
+  return out;
+}
+
+// every term of a record: title words, patch paths, then their values
+function allTerms(r) {
+  const terms = new Set();
+  for (const w of words([r.title, r.lab, r.labId].join(" "))) terms.add("t/" + w);
+  const fields = flatten(patchState(r.patch), [], []).map(([path, value]) => [pathTerm(path), value]);
+  for (const [p] of fields) terms.add(p);
+  for (const [p, value] of fields) terms.add(p + "=" + encodeURIComponent(value));
+  return [...terms];
+}
+
+/** The terms a record is indexed under (see the header). */
+export function searchTerms(r) {
+  const terms = allTerms(r);
+  return terms.length > MAX_TERMS ? [...terms.slice(0, MAX_TERMS - 1), PARTIAL] : terms;
+}
+
+function parseFilter(key, raw) {
+  const path = key.slice("patch.".length).split(".");
+  if (path.some((s) => !s)) return { error: key + " is not a patch path" };
+  const v = raw.trim();
+  const range = /^(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/.exec(v);
+  if (range && (range[1] || range[2])) {
+    return {
+      filter: {
+        term: pathTerm(path),
+        range: [range[1] != null ? Number(range[1]) : null, range[2] != null ? Number(range[2]) : null],
+      },
+    };
+  }
+  const s = scalar(v);
+  if (s == null) return { error: key + " needs a value or a min..max range" };
+  return { filter: { term: pathTerm(path) + "=" + encodeURIComponent(s) } };
+}
+
+/**
+ * URLSearchParams -> { query } or { error }: the /gallery query (query.js,
+ * without `sort`) plus `words` and patch `filters`.
+ */
+export function parseSearchQuery(sp) {
+  const { query, error } = parseGalleryQuery(sp);
+  if (error) return { error };
+  delete query.sort;
+  query.words = [...new Set(words(sp.get("q")))];
+  if (query.words.length > MAX_WORDS) return { error: "q is limited to " + MAX_WORDS + " words" };
+  query.filters = [];
+  for (const [k, v] of sp) {
+    if (!k.startsWith("patch.")) continue;
+    const { filter, error: bad } = parseFilter(k, v);
+    if (bad) return { error: bad };
+    query.filters.push(filter);
+  }
+  if (query.filters.length > MAX_FILTERS) return { error: "at most " + MAX_FILTERS + " patch filters" };
+  if (!query.words.length && !query.filters.length) return { error: "q or a patch.* filter required" };
+  return { query };
+}
+
+/**
+ * Terms whose ids must all hold a candidate: [{ term, prefix }]. Each lookup
+ * also takes the ids indexed under PARTIAL (see the header).
+ */
+export function indexLookups(q) {
+  return [
+    ...q.words.map((w) => ({ term: "t/" + w, prefix: true })),
+    ...q.filters.map((f) => ({ term: f.term, prefix: false })),
+  ];
+}
+
+function inRange([min, max], value) {
+  if (!NUMBER.test(value)) return false;
+  const n = Number(value);
+  return (min == null || n >= min) && (max == null || n <= max);
+}
+
+/**
+ * Do a record's terms satisfy the query's words and filters? Indexed terms
+ * (searchTerms) that end in PARTIAL cannot tell, and pass.
+ */
+export function matchesTerms(terms, q) {
+  const has = new Set(terms);
+  if (has.has(PARTIAL)) return true;
+  for (const w of q.words) {
+    if (!terms.some((t) => t.startsWith("t/" + w))) return false;
+  }
+  for (const f of q.filters) {
+    if (!f.range) {
+      if (!has.has(f.term)) return false;
+      continue;
+    }
+    const head = f.term + "=";
+    if (!terms.some((t) => t.startsWith(head) && inRange(f.range, decodeURIComponent(t.slice(head.length))))) return false;
+  }
+  return true;
+}
+
+/** Full check of a stored record against a search query (cursor excluded). */
+export function matchesSearch(r, q) {
+  return matchesQuery(r, q) && matchesTerms(allTerms(r), q);
+}
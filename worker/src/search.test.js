@@ -0,0 +1,130 @@
+/* Search: the terms a record is indexed under, the query parser, and the
+   per-candidate check where ranges are applied. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  words, searchTerms, parseSearchQuery, indexLookups, matchesTerms, matchesSearch, MAX_WORDS, MAX_FILTERS,
+  MAX_TERMS, PARTIAL,
+} from "./search.js";
+
+const parse = (qs) => parseSearchQuery(new URLSearchParams(qs));
+
+const synthi = {
+  id: "art_s", ts: 1, title: "Élan — Lissajous #3", lab: "SYNTHI", labId: "synthi-lab",
+  patch: { osc: [{ fr: 220, wave: "Sine" }, { fr: "440.0" }], zoom: 1.5, on: true, blob: "x".repeat(65) },
+};
+
+describe("words", () => {
+  it("lowercases, strips accents and splits on anything not a letter or digit", () => {
+    assert.deepEqual(words("Élan — Lissajous #3"), ["elan", "lissajous", "3"]);
+    assert.deepEqual(words("koma-p5_v2"), ["koma", "p5", "v2"]);
+    assert.deepEqual(words(""), []);
+    assert.deepEqual(words(null), []);
+  });
+});
+
+describe("searchTerms", () => {
+  it("indexes title, lab and labId words and every scalar patch field", () => {
+    const terms = searchTerms(synthi);
+    for (const t of ["t/elan", "t/lissajous", "t/3", "t/synthi", "t/lab",
+      "p/osc.fr", "p/osc.fr=220", "p/osc.fr=440", "p/osc.wave=sine", "p/zoom=1.5", "p/on=true"]) {
+      assert.ok(terms.includes(t), t);
+    }
+    assert.ok(!terms.some((t) => t.startsWith("p/blob")), "long strings are not parameters");
+    assert.equal(new Set(terms).size, terms.length);
+  });
+
+  it("reads a versioned patch's state like a bare one", () => {
+    const bare = searchTerms({ title: "t", patch: { zoom: 2 } });
+    const versioned = searchTerms({ title: "t", patch: { labId: "l", schemaVersion: 3, state: { zoom: 2 } } });
+    assert.deepEqual(versioned.filter((t) => t.startsWith("p/")), bare.filter((t) => t.startsWith("p/")));
+  });
+
+  it("indexes paths before values, and marks a record cut short with PARTIAL", () => {
+    const knobs = Object.fromEntries(Array.from({ length: MAX_TERMS }, (_, i) => ["k" + i, i]));
+    const big = { title: "Patch bay", patch: knobs };
+    const terms = searchTerms(big);
+    assert.equal(terms.length, MAX_TERMS);
+    assert.deepEqual(terms.slice(0, 3), ["t/patch", "t/bay", "p/k0"]);
+    assert.ok(!terms.some((t) => t.startsWith("p/k0=")), "no room left for values");
+    assert.equal(terms[terms.length - 1], PARTIAL);
+    assert.ok(!searchTerms(synthi).includes(PARTIAL));
+    // the index cannot rule it out; the record's own terms can
+    const query = (qs) => parse(qs).query;
+    assert.ok(matchesTerms(terms, query("patch.k60=1")));
+    assert.ok(matchesSearch(big, query("patch.k60=60")));
+    assert.ok(!matchesSearch(big, query("patch.k60=1")));
+  });
+
+  it("encodes paths and values so a term has no ':' or space", () => {
+    const terms = searchTerms({ title: "", patch: { "a:b": "c d" } });
+    assert.deepEqual(terms, ["p/a%3Ab", "p/a%3Ab=c%20d"]);
+  });
+});
+
+describe("parseSearchQuery", () => {
+  it("splits q into unique words and patch.* params into filters", () => {
+    const { query } = parse("q=Liss+liss+élan&patch.osc.wave=SINE&patch.zoom=12.0&limit=5");
+    assert.deepEqual(query.words, ["liss", "elan"]);
+    assert.deepEqual(query.filters, [{ term: "p/osc.wave=sine" }, { term: "p/zoom=12" }]);
+    assert.equal(query.limit, 5);
+    assert.equal(query.sort, undefined);
+    assert.deepEqual(indexLookups(query), [
+      { term: "t/liss", prefix: true }, { term: "t/elan", prefix: true },
+      { term: "p/osc.wave=sine", prefix: false }, { term: "p/zoom=12", prefix: false },
+    ]);
+  });
+
+  it("reads closed and open ranges", () => {
+    const range = (v) => parse("patch.osc.fr=" + v).query.filters[0];
+    assert.deepEqual(range("200..400"), { term: "p/osc.fr", range: [200, 400] });
+    assert.deepEqual(range("-1.5.."), { term: "p/osc.fr", range: [-1.5, null] });
+    assert.deepEqual(range("..400"), { term: "p/osc.fr", range: [null, 400] });
+  });
+
+  it("rejects what it cannot search for", () => {
+    assert.equal(parse("").error, "q or a patch.* filter required");
+    assert.equal(parse("q=%20-%20").error, "q or a patch.* filter required");
+    assert.equal(parse("patch.a..b=1").error, "patch.a..b is not a patch path");
+    assert.equal(parse("patch.a=").error, "patch.a needs a value or a min..max range");
+    assert.equal(parse("q=" + Array.from({ length: MAX_WORDS + 1 }, (_, i) => "w" + i).join("+")).error,
+      "q is limited to " + MAX_WORDS + " words");
+    const many = Array.from({ length: MAX_FILTERS + 1 }, (_, i) => "patch.p" + i + "=1").join("&");
+    assert.equal(parse(many).error, "at most " + MAX_FILTERS + " patch filters");
+    assert.ok(parse("q=x&limit=0").error);
+  });
+});
+
+describe("matchesTerms", () => {
+  const terms = searchTerms(synthi);
+  const matches = (qs) => matchesTerms(terms, parse(qs).query);
+
+  it("matches words as prefixes of indexed words", () => {
+    assert.ok(matches("q=liss"));
+    assert.ok(matches("q=ELAN+synth"));
+    assert.ok(!matches("q=issa"));
+    assert.ok(!matches("q=liss+koma"));
+  });
+
+  it("matches exact values case-insensitively and numbers by value", () => {
+    assert.ok(matches("patch.osc.wave=sine"));
+    assert.ok(matches("patch.osc.fr=440"));
+    assert.ok(matches("patch.zoom=1.50"));
+    assert.ok(!matches("patch.osc.wave=square"));
+    assert.ok(!matches("patch.fr=220"));
+  });
+
+  it("applies inclusive ranges to any element of an array", () => {
+    assert.ok(matches("patch.osc.fr=200..220"));
+    assert.ok(matches("patch.osc.fr=430.."));
+    assert.ok(matches("patch.osc.fr=..220"));
+    assert.ok(!matches("patch.osc.fr=221..439"));
+    assert.ok(!matches("patch.osc.wave=0..10"), "a string is never in a range");
+    assert.ok(!matches("patch.missing=0.."));
+  });
+
+  it("applies the gallery filters too in matchesSearch", () => {
+    assert.ok(matchesSearch(synthi, parse("q=liss&labId=synthi-lab").query));
+    assert.ok(!matchesSearch(synthi, parse("q=liss&labId=koma-p5").query));
+  });
+});
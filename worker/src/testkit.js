@@ -0,0 +1,127 @@
+/* Test kit — fixtures shared by the *.test.js files next to the modules.
+
+   Never imported by the Worker itself. `ADAPTERS` builds each storage adapter
+   against an in-process backend: LocalKV / LocalR2 for the KV adapter, an
+   in-memory better-sqlite3 database for the SQLite one. Pinata needs the real
+   service and is not in the list. */
+import Database from "better-sqlite3";
+import { MemoryAdapter } from "./adapters/memory.js";
+import { KvAdapter } from "./adapters/kv.js";
+import { LocalKV, LocalR2 } from "./adapters/kv-local.js";
+import { SqliteAdapter } from "./adapters/sqlite.js";
+import { createApp } from "./app.js";
+import { heat } from "./ranking.js";
+import { bytesToB64url } from "./b64url.js";
+
+export const ADAPTERS = {
+  memory: () => MemoryAdapter(),
+  kv: () => KvAdapter({ kv: LocalKV(), bucket: LocalR2() }),
+  sqlite: () => SqliteAdapter({ db: new Database(":memory:") }),
+};
+
+export const SECRET = "test-secret";
+export const ORIGIN = "http://gallery.test";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(b) {
+  let c = 0xffffffff;
+  for (let i = 0; i < b.length; i++) c = CRC_TABLE[(c ^ b[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** One PNG chunk: length, type, data, CRC. */
+export function pngChunk(type, data = new Uint8Array(0)) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(new TextEncoder().encode(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let i = 0;
+  for (const p of parts) { out.set(p, i); i += p.length; }
+  return out;
+}
+
+/**
+ * A valid RGB PNG. `seed` changes the pixels (so the content address), `before`
+ * / `after` are extra chunks around IDAT, `trailing` bytes go after IEND.
+ */
+export async function makePng(width = 16, height = 16, { seed = 0, before = [], after = [], trailing = [] } = {}) {
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;   // bit depth
+  ihdr[9] = 2;   // truecolour
+  const row = 1 + width * 3;
+  const raw = new Uint8Array(height * row);
+  for (let i = 0; i < raw.length; i++) raw[i] = i % row === 0 ? 0 : (i * 7 + seed) & 0xff;
+  const idat = new Uint8Array(await new Response(new Blob([raw]).stream()
+    .pipeThrough(new CompressionStream("deflate"))).arrayBuffer());
+  return concat([
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", ihdr), ...before, pngChunk("IDAT", idat), ...after, pngChunk("IEND"),
+    new Uint8Array(trailing),
+  ]);
+}
+
+export function dataUrl(bytes, type = "image/png") {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return "data:" + type + ";base64," + btoa(bin);
+}
+
+/** What app.js hands adapter.save for a fresh publish; `fields` override the record. */
+export function saveInput(fields = {}, { renditions = [] } = {}) {
+  const ts = fields.ts || Date.now();
+  const id = fields.id || "art_" + bytesToB64url(crypto.getRandomValues(new Uint8Array(9)));
+  const record = {
+    id, lab: "Lab", labId: null, labUrl: "/", title: "Untitled", patch: null, parentId: null, author: null,
+    imageHash: "sha256:0", contentHash: "sha256:0", width: 16, height: 16,
+    featured: false, remixes: 0, likes: 0, trend: heat(ts), ts,
+    ...fields,
+  };
+  return {
+    id, record, origin: ORIGIN, renditions,
+    image: { bytes: new Uint8Array([1, 2, 3]), contentType: "image/png" },
+  };
+}
+
+/**
+ * createApp around `adapter`, wrapped as call(method, path, { body, headers })
+ * -> { status, headers, body } (JSON parsed when the answer is JSON); `ctx` is
+ * handed to the handler as the Worker's execution context. Publishes
+ * get a session token unless headers carry their own Authorization, and each
+ * call a fresh client IP unless `ip` is given, so the rate limits stay out of
+ * the way of tests that are not about them.
+ */
+export function appClient(adapter, options = {}) {
+  const handle = createApp({ adapter, secret: SECRET, ...options });
+  let token = null;
+  let clients = 0;
+  async function call(method, path, { body, headers = {}, ip, ctx } = {}) {
+    headers = { "X-Forwarded-For": ip || "10.0." + (clients >> 8 & 255) + "." + (++clients & 255), ...headers };
+    if (method === "POST" && path === "/api/v1/publish" && !("Authorization" in headers)) {
+      if (!token) token = (await call("POST", "/api/v1/session")).body.token;
+      headers.Authorization = "Bearer " + token;
+    }
+    if (body != null && typeof body !== "string" && !(body instanceof FormData)) {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify(body);
+    }
+    const res = await handle(new Request(ORIGIN + path, { method, headers, body }), ctx);
+    const type = res.headers.get("Content-Type") || "";
+    return { status: res.status, headers: res.headers, body: type.includes("json") ? await res.json() : await res.text() };
+  }
+  return call;
+}
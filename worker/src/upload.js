@@ -0,0 +1,100 @@
+/* Publish upload — reads the POST /api/v1/publish body, in either of two forms.
+
+     application/json      { png: "data:image/…;base64,…", patch, lab, … }
+     multipart/form-data   image: the image file (binary)
+                           meta:  JSON text of the other fields { patch, lab, … }
+
+   Multipart is what the gallery frontend sends (a canvas.toBlob Blob): no
+   base64 step, so about a third fewer bytes on the wire and no decoded copy.
+   JSON stays for scripts and older clients. The type either form claims is
+   only a hint: image.js sniffs and cleans the bytes next.
+
+   Either way the body is counted as it streams in and cut off past the cap
+   (MAX_IMAGE_BYTES plus room for the fields), so an oversized upload is a 413
+   without ever being held in memory whole. A declared Content-Length over the
+   cap is refused before reading anything. Every rejection carries a `code`
+   (worker/README.md lists them), whichever form the body came in. */
+import { MAX_IMAGE_BYTES, validatePublish } from "./publish.js";
+
+export const MAX_META_BYTES = 256 * 1024;   // patch + fields, and the multipart framing
+const MAX_MULTIPART_BYTES = MAX_IMAGE_BYTES + MAX_META_BYTES;
+const MAX_JSON_BYTES = Math.ceil(MAX_IMAGE_BYTES / 3) * 4 + MAX_META_BYTES;   // base64 grows 4/3
+
+const TOO_LARGE = { error: "upload too large", code: "upload_too_large", status: 413 };
+const IMAGE_TOO_LARGE = { error: "image too large", code: "image_too_large", status: 413 };
+
+function invalid(code, error) {
+  return { error, code, status: 400 };
+}
+
+// -> { contentType, bytes }, or null when the URL or its payload does not decode
+function decodeDataUrl(dataUrl) {
+  const m = /^data:([^;,]+)(;base64)?,([\s\S]*)$/.exec(dataUrl);
+  if (!m) return null;
+  const contentType = m[1];
+  try {
+    const bytes = m[2]
+      ? Uint8Array.from(atob(m[3]), (c) => c.charCodeAt(0))
+      : new TextEncoder().encode(decodeURIComponent(m[3]));
+    return { contentType, bytes };
+  } catch (e) {
+    return null;   // atob: bad base64, decodeURIComponent: a broken %-escape
+  }
+}
+
+function fromJson(body) {
+  if (!body || typeof body !== "object") return invalid("invalid_body", "body required");
+  const err = validatePublish(body);
+  if (err) return invalid("invalid_field", err);
+  const image = decodeDataUrl(body.png);
+  if (!image) return invalid("malformed_data_url", "malformed png data URL");
+  if (image.bytes.length > MAX_IMAGE_BYTES) return IMAGE_TOO_LARGE;
+  return { body, image };
+}
+
+async function fromForm(form) {
+  const file = form.get("image");
+  if (!file || typeof file === "string") return invalid("image_missing", "image part required");
+  if (file.size > MAX_IMAGE_BYTES) return IMAGE_TOO_LARGE;
+  const meta = form.get("meta");
+  let body = {};
+  if (meta != null) {
+    try { body = JSON.parse(typeof meta === "string" ? meta : await meta.text()); }
+    catch (e) { return invalid("invalid_body", "meta must be JSON"); }
+    if (!body || typeof body !== "object") return invalid("invalid_body", "meta must be a JSON object");
+  }
+  const err = validatePublish(body, { binary: true });
+  if (err) return invalid("invalid_field", err);
+  return { body, image: { contentType: file.type, bytes: new Uint8Array(await file.arrayBuffer()) } };
+}
+
+/** Request -> { body, image: { contentType, bytes } } or { error, code, status }. */
+export async function readPublish(request) {
+  const type = request.headers.get("Content-Type") || "";
+  const multipart = /^multipart\/form-data/i.test(type);
+  const max = multipart ? MAX_MULTIPART_BYTES : MAX_JSON_BYTES;
+  if (Number(request.headers.get("Content-Length")) > max) return TOO_LARGE;
+  if (!request.body) return fromJson(null);
+
+  let seen = 0, over = false;
+  const counted = request.body.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      seen += chunk.byteLength;
+      if (seen > max) {
+        over = true;
+        controller.error(new Error("upload too large"));
+        return;
+      }
+      controller.enqueue(chunk);
+    },
+  }));
+  const capped = new Response(counted, { headers: { "Content-Type": type } });
+  let parsed = null;
+  try {
+    parsed = multipart ? await capped.formData() : await capped.json();
+  } catch (e) {
+    if (over) return TOO_LARGE;
+    if (multipart) return invalid("invalid_body", "malformed multipart body");
+  }
+  return multipart ? fromForm(parsed) : fromJson(parsed);
+}
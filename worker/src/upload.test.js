@@ -0,0 +1,78 @@
+/* Publish uploads: both body forms, and the coded rejections. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readPublish } from "./upload.js";
+import { MAX_IMAGE_BYTES } from "./publish.js";
+
+const URL = "http://gallery.test/api/v1/publish";
+
+function jsonRequest(body, raw) {
+  return new Request(URL, {
+    method: "POST", headers: { "Content-Type": "application/json" }, body: raw != null ? raw : JSON.stringify(body),
+  });
+}
+
+function formRequest(parts) {
+  const form = new FormData();
+  for (const [k, v] of Object.entries(parts)) form.append(k, v);
+  return new Request(URL, { method: "POST", body: form });
+}
+
+const rejection = (res) => [res.status, res.code];
+
+describe("readPublish (JSON)", () => {
+  it("decodes base64 and percent-encoded data URLs", async () => {
+    const b64 = await readPublish(jsonRequest({ png: "data:image/png;base64,AQID" }));
+    assert.deepEqual([...b64.image.bytes], [1, 2, 3]);
+    assert.equal(b64.image.contentType, "image/png");
+    const pct = await readPublish(jsonRequest({ png: "data:image/svg+xml,%3Csvg%3E" }));
+    assert.equal(new TextDecoder().decode(pct.image.bytes), "<svg>");
+  });
+
+  it("answers a data URL that does not decode with 400 malformed_data_url", async () => {
+    for (const png of ["data:image/png;base64,@@@@", "data:image/png;base64,AQIDB", "data:image/png,%E0%A4%A", "data:image/png"]) {
+      const res = await readPublish(jsonRequest({ png }));
+      assert.equal(res.status, 400, png);
+      assert.equal(res.code, "malformed_data_url", png);
+    }
+  });
+
+  it("gives every other rejection a code too", async () => {
+    assert.deepEqual(rejection(await readPublish(jsonRequest(null, "{not json"))), [400, "invalid_body"]);
+    assert.deepEqual(rejection(await readPublish(jsonRequest(null, "[]"))), [400, "invalid_field"]);
+    assert.deepEqual(rejection(await readPublish(jsonRequest(null, "7"))), [400, "invalid_body"]);
+    assert.deepEqual(rejection(await readPublish(new Request(URL, { method: "POST" }))), [400, "invalid_body"]);
+    assert.deepEqual(rejection(await readPublish(jsonRequest({ png: "x" }))), [400, "invalid_field"]);
+    const field = await readPublish(jsonRequest({ png: "data:image/png;base64,AQID", title: 5 }));
+    assert.deepEqual([...rejection(field), field.error], [400, "invalid_field", "title must be a string"]);
+    const big = "data:image/png;base64," + "A".repeat(Math.ceil(MAX_IMAGE_BYTES / 3) * 4 + 4);
+    assert.deepEqual(rejection(await readPublish(jsonRequest({ png: big }))), [413, "image_too_large"]);
+  });
+});
+
+describe("readPublish (multipart)", () => {
+  const image = () => new Blob([new Uint8Array([1, 2, 3])], { type: "image/png" });
+
+  it("reads the image part and the meta fields", async () => {
+    const res = await readPublish(formRequest({ image: image(), meta: JSON.stringify({ title: "T" }) }));
+    assert.deepEqual([...res.image.bytes], [1, 2, 3]);
+    assert.equal(res.body.title, "T");
+  });
+
+  it("codes each rejection", async () => {
+    assert.deepEqual(rejection(await readPublish(formRequest({ meta: "{}" }))), [400, "image_missing"]);
+    assert.deepEqual(rejection(await readPublish(formRequest({ image: "text" }))), [400, "image_missing"]);
+    assert.deepEqual(rejection(await readPublish(formRequest({ image: image(), meta: "{" }))), [400, "invalid_body"]);
+    assert.deepEqual(rejection(await readPublish(formRequest({ image: image(), meta: "null" }))), [400, "invalid_body"]);
+    assert.deepEqual(rejection(await readPublish(formRequest({ image: image(), meta: '{"lab":1}' }))), [400, "invalid_field"]);
+    const broken = new Request(URL, {
+      method: "POST", headers: { "Content-Type": "multipart/form-data; boundary=x" }, body: "--x\r\nnope",
+    });
+    assert.deepEqual(rejection(await readPublish(broken)), [400, "invalid_body"]);
+    const large = new Request(URL, {
+      method: "POST", headers: { "Content-Type": "multipart/form-data; boundary=x", "Content-Length": String(64 * 1024 * 1024) },
+      body: "--x--",
+    });
+    assert.deepEqual(rejection(await readPublish(large)), [413, "upload_too_large"]);
+  });
+});
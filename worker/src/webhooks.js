@@ -0,0 +1,132 @@
+/* Outbound webhooks — tell other services about new gallery pieces.
+
+   After a publish is saved (not for a duplicate) the Worker POSTs to every
+   configured target:
+
+     { "type": "artwork.published", "id": "<delivery id>", "ts": <ms>,
+       "data": { "item": <the saved record>, "url": "<its /a/:id share card>" } }
+
+   with headers
+
+     X-Pixel-Event:     artwork.published
+     X-Pixel-Delivery:  the delivery id (the same on every retry; dedupe on it)
+     X-Pixel-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, t + "." + body)>
+
+   Receivers check the signature with `verifySignature` (and reject an old
+   `t`, which stops replays). A Discord webhook URL (discord.com/api/webhooks/…)
+   gets a Discord message with an embed instead, since Discord accepts nothing else.
+
+   Config (env): WEBHOOK_URLS — targets, separated by commas or whitespace;
+   WEBHOOK_SECRET — the signing secret (a Worker secret, never a var).
+   Delivery runs after the response (ctx.waitUntil). A network error, a 429 or
+   a 5xx is retried with exponential backoff — 1 s, 2 s, 4 s, 8 s, plus
+   jitter, or the target's Retry-After — up to MAX_ATTEMPTS. Other 4xx answers
+   are final. Failures are logged, never surfaced to the publisher. */
+import { bytesToB64url } from "./b64url.js";
+
+export const EVENT_PUBLISHED = "artwork.published";
+export const MAX_ATTEMPTS = 5;
+export const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 10000;
+const TOLERANCE_S = 5 * 60;
+const DISCORD = /^https:\/\/(?:[a-z]+\.)?discord(?:app)?\.com\/api\/webhooks\//;
+
+/** WEBHOOK_URLS -> the http(s) URLs in it. */
+export function parseTargets(value) {
+  return String(value || "").split(/[\s,]+/).filter((u) => /^https?:\/\/\S+$/.test(u));
+}
+
+async function hmacHex(secret, text) {
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+  );
+  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(text)));
+  return [...sig].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** X-Pixel-Signature for a body sent at unix second `t`. */
+export async function signPayload(body, secret, t = Math.floor(Date.now() / 1000)) {
+  return "t=" + t + ",v1=" + await hmacHex(secret, t + "." + body);
+}
+
+/** Receiver side: is `header` a fresh, valid signature of `body`? */
+export async function verifySignature(body, header, secret, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((p) => p.split("=")));
+  const t = Number(parts.t);
+  if (!Number.isInteger(t) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - t) > TOLERANCE_S) return false;
+  const want = await hmacHex(secret, t + "." + body);
+  // constant-time compare
+  let diff = want.length ^ parts.v1.length;
+  for (let i = 0; i < want.length; i++) diff |= want.charCodeAt(i) ^ (parts.v1.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function discordBody(event) {
+  const { item, url } = event.data;
+  return JSON.stringify({
+    content: "New in the gallery: **" + (item.title || "Untitled") + "**",
+    embeds: [{
+      title: item.title || "Untitled",
+      url,
+      description: (item.lab || "Lab") + " · open it in its Lab and remix it",
+      image: item.image ? { url: item.image } : undefined,
+      timestamp: new Date(item.ts || event.ts).toISOString(),
+    }],
+  });
+}
+
+function retryDelay(attempt, res) {
+  const after = res && Number(res.headers.get("Retry-After"));
+  if (after > 0) return Math.min(MAX_DELAY_MS, after * 1000);
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random() / 4));
+}
+
+/**
+ * targets: URLs; secret: signing secret. fetch / sleep are injectable for tests.
+ * -> { notify(type, data) -> Promise of [{ url, ok, status, attempts }] }
+ */
+export function Webhooks({ targets = [], secret, fetch: send = fetch, sleep = (ms) => new Promise((r) => setTimeout(r, ms)) }) {
+  if (targets.length && !secret) throw new Error("WEBHOOK_SECRET not configured");
+
+  async function deliver(url, event, body) {
+    const discord = DISCORD.test(url);
+    const payload = discord ? discordBody(event) : body;
+    let res = null, attempt = 0;
+    while (attempt < MAX_ATTEMPTS) {
+      attempt++;
+      res = null;
+      try {
+        res = await send(url, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "PixelGallery-Webhooks/1",
+            "X-Pixel-Event": event.type,
+            "X-Pixel-Delivery": event.id,
+            "X-Pixel-Signature": await signPayload(payload, secret),
+          },
+          body: payload,
+        });
+        if (res.ok) return { url, ok: true, status: res.status, attempts: attempt };
+        if (res.status !== 429 && res.status < 500) break;
+      } catch (e) {
+        // network error: retried like a 5xx
+      }
+      if (attempt < MAX_ATTEMPTS) await sleep(retryDelay(attempt, res));
+    }
+    console.warn("[webhooks] " + event.type + " to " + url + " failed after " + attempt + " attempt(s)" +
+      (res ? " (HTTP " + res.status + ")" : ""));
+    return { url, ok: false, status: res ? res.status : null, attempts: attempt };
+  }
+
+  return {
+    async notify(type, data) {
+      if (!targets.length) return [];
+      const id = "whd_" + bytesToB64url(crypto.getRandomValues(new Uint8Array(12)));
+      const event = { type, id, ts: Date.now(), data };
+      const body = JSON.stringify(event);
+      return Promise.all(targets.map((url) => deliver(url, event, body)));
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/* Outbound webhooks: the signed envelope, the retry rules, Discord's body,
+   and a publish that never waits on or fails with a delivery. fetch and sleep
+   are fakes, so nothing leaves the process and no test waits out a backoff. */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import {
+  Webhooks, parseTargets, signPayload, verifySignature, EVENT_PUBLISHED, MAX_ATTEMPTS, BASE_DELAY_MS,
+} from "./webhooks.js";
+import { ADAPTERS, appClient, makePng, dataUrl } from "./testkit.js";
+
+const SECRET = "whsec_test";
+const TARGET = "https://hooks.example/pixel";
+const DISCORD_URL = "https://discord.com/api/webhooks/1/abc";
+const item = { id: "art_a", title: "Lissajous", lab: "SYNTHI", image: "https://img.example/a.png", ts: Date.UTC(2025, 5, 1) };
+
+// answers[i] for the i-th call: a status, an Error to throw, or a Response
+function fakeFetch(answers) {
+  const calls = [];
+  const send = async (url, init) => {
+    calls.push({ url, ...init });
+    const a = answers[Math.min(calls.length, answers.length) - 1];
+    if (a instanceof Error) throw a;
+    return a instanceof Response ? a : new Response(null, { status: a });
+  };
+  return { send, calls };
+}
+
+function hooks(answers, targets = [TARGET]) {
+  const { send, calls } = fakeFetch(answers);
+  const sleeps = [];
+  const webhooks = Webhooks({ targets, secret: SECRET, fetch: send, sleep: async (ms) => { sleeps.push(ms); } });
+  return { webhooks, calls, sleeps };
+}
+
+const quietly = async (fn) => {
+  const warn = console.warn;
+  console.warn = () => {};
+  try { return await fn(); } finally { console.warn = warn; }
+};
+
+describe("parseTargets", () => {
+  it("keeps the http(s) URLs, split on commas or whitespace", () => {
+    assert.deepEqual(parseTargets(" https://a.example/x, http://b.example\nftp://c.example  nope "),
+      ["https://a.example/x", "http://b.example"]);
+    assert.deepEqual(parseTargets(undefined), []);
+  });
+});
+
+describe("signatures", () => {
+  const body = JSON.stringify({ type: EVENT_PUBLISHED, id: "whd_1" });
+  const now = Date.UTC(2025, 5, 1, 12);
+  const t = Math.floor(now / 1000);
+
+  it("signs t + '.' + body with HMAC-SHA256", async () => {
+    const header = await signPayload(body, SECRET, t);
+    assert.equal(header, "t=" + t + ",v1=" + createHmac("sha256", SECRET).update(t + "." + body).digest("hex"));
+    assert.equal(await verifySignature(body, header, SECRET, now), true);
+  });
+
+  it("rejects another body, secret or signature, and an old or future t", async () => {
+    const header = await signPayload(body, SECRET, t);
+    assert.equal(await verifySignature(body + " ", header, SECRET, now), false);
+    assert.equal(await verifySignature(body, header, "other", now), false);
+    assert.equal(await verifySignature(body, header.slice(0, -1) + (header.endsWith("0") ? "1" : "0"), SECRET, now), false);
+    assert.equal(await verifySignature(body, header.slice(0, -2), SECRET, now), false);
+    assert.equal(await verifySignature(body, header, SECRET, now + 6 * 60 * 1000), false);
+    assert.equal(await verifySignature(body, header, SECRET, now - 6 * 60 * 1000), false);
+    assert.equal(await verifySignature(body, "v1=abc", SECRET, now), false);
+    assert.equal(await verifySignature(body, null, SECRET, now), false);
+  });
+});
+
+describe("Webhooks", () => {
+  it("POSTs the signed event to every target", async () => {
+    const { webhooks, calls } = hooks([204], [TARGET, TARGET + "/2"]);
+    const results = await webhooks.notify(EVENT_PUBLISHED, { item, url: "https://gallery.example/a/art_a" });
+    assert.deepEqual(results.map((r) => [r.url, r.ok, r.status, r.attempts]), [[TARGET, true, 204, 1], [TARGET + "/2", true, 204, 1]]);
+    const [call] = calls;
+    const h = call.headers;
+    assert.equal(call.method, "POST");
+    assert.equal(h["X-Pixel-Event"], EVENT_PUBLISHED);
+    const event = JSON.parse(call.body);
+    assert.equal(event.type, EVENT_PUBLISHED);
+    assert.equal(event.id, h["X-Pixel-Delivery"]);
+    assert.match(event.id, /^whd_[A-Za-z0-9_-]+$/);
+    assert.deepEqual(event.data, { item, url: "https://gallery.example/a/art_a" });
+    assert.equal(await verifySignature(call.body, h["X-Pixel-Signature"], SECRET), true);
+    // one event, one delivery id, for every target
+    assert.equal(calls[1].headers["X-Pixel-Delivery"], event.id);
+  });
+
+  it("retries a 429, a 5xx and a network error with the same delivery id", async () => {
+    const { webhooks, calls, sleeps } = hooks([429, 503, new TypeError("fetch failed"), 200]);
+    const [result] = await webhooks.notify(EVENT_PUBLISHED, { item, url: "u" });
+    assert.deepEqual([result.ok, result.status, result.attempts], [true, 200, 4]);
+    assert.equal(sleeps.length, 3);
+    assert.equal(new Set(calls.map((c) => c.headers["X-Pixel-Delivery"])).size, 1);
+  });
+
+  it("stops at the first other 4xx", async () => {
+    for (const status of [400, 404, 410]) {
+      const { webhooks, calls, sleeps } = hooks([status, 200]);
+      const [result] = await quietly(() => webhooks.notify(EVENT_PUBLISHED, { item, url: "u" }));
+      assert.deepEqual([result.ok, result.status, result.attempts], [false, status, 1]);
+      assert.equal(calls.length, 1);
+      assert.deepEqual(sleeps, []);
+    }
+  });
+
+  it("backs off exponentially with jitter and gives up after MAX_ATTEMPTS", async () => {
+    const { webhooks, calls, sleeps } = hooks([500]);
+    const [result] = await quietly(() => webhooks.notify(EVENT_PUBLISHED, { item, url: "u" }));
+    assert.deepEqual([result.ok, result.status, result.attempts], [false, 500, MAX_ATTEMPTS]);
+    assert.equal(calls.length, MAX_ATTEMPTS);
+    assert.equal(sleeps.length, MAX_ATTEMPTS - 1);
+    sleeps.forEach((ms, i) => {
+      const base = BASE_DELAY_MS * 2 ** i;
+      assert.ok(ms >= base && ms <= Math.min(10000, base * 1.25), i + ": " + ms);
+    });
+  });
+
+  it("waits the target's Retry-After instead, up to the cap", async () => {
+    const later = (s) => new Response(null, { status: 429, headers: { "Retry-After": s } });
+    const { webhooks, sleeps } = hooks([later("3"), later("120"), 200]);
+    await webhooks.notify(EVENT_PUBLISHED, { item, url: "u" });
+    assert.deepEqual(sleeps, [3000, 10000]);
+  });
+
+  it("reports a target that never answers with no status", async () => {
+    const { webhooks } = hooks([new TypeError("fetch failed")]);
+    const [result] = await quietly(() => webhooks.notify(EVENT_PUBLISHED, { item, url: "u" }));
+    assert.deepEqual([result.ok, result.status, result.attempts], [false, null, MAX_ATTEMPTS]);
+  });
+
+  it("sends Discord a message with an embed", async () => {
+    const { webhooks, calls } = hooks([204], [DISCORD_URL]);
+    await webhooks.notify(EVENT_PUBLISHED, { item, url: "https://gallery.example/a/art_a" });
+    const body = JSON.parse(calls[0].body);
+    assert.equal(body.content, "New in the gallery: **Lissajous**");
+    assert.deepEqual(body.embeds, [{
+      title: "Lissajous", url: "https://gallery.example/a/art_a", description: "SYNTHI · open it in its Lab and remix it",
+      image: { url: item.image }, timestamp: new Date(item.ts).toISOString(),
+    }]);
+    assert.equal(await verifySignature(calls[0].body, calls[0].headers["X-Pixel-Signature"], SECRET), true);
+  });
+
+  it("does nothing without targets, and needs a secret with them", async () => {
+    const { send, calls } = fakeFetch([200]);
+    assert.deepEqual(await Webhooks({ fetch: send }).notify(EVENT_PUBLISHED, { item, url: "u" }), []);
+    assert.equal(calls.length, 0);
+    assert.throws(() => Webhooks({ targets: [TARGET], fetch: send }), /WEBHOOK_SECRET/);
+  });
+});
+
+describe("webhooks on publish", () => {
+  const publish = async (call, ctx, seed = 0) =>
+    call("POST", "/api/v1/publish", { body: { png: dataUrl(await makePng(16, 16, { seed })), title: "Lissajous" }, ctx });
+
+  it("answers before the delivery and hands it to waitUntil", async () => {
+    let answer;
+    const held = new Promise((resolve) => { answer = resolve; });
+    const calls = [];
+    const webhooks = Webhooks({
+      targets: [TARGET], secret: SECRET, sleep: async () => {},
+      fetch: async (_, init) => { calls.push(init); return held; },
+    });
+    const pending = [];
+    const call = appClient(ADAPTERS.memory(), { webhooks });
+    const res = await publish(call, { waitUntil: (p) => pending.push(p) });
+    assert.equal(res.status, 200);
+    assert.equal(pending.length, 1);
+    answer(new Response(null, { status: 200 }));
+    const [result] = await pending[0];
+    assert.equal(result.ok, true);
+    const event = JSON.parse(calls[0].body);
+    assert.equal(event.data.item.id, res.body.id);
+    assert.equal(event.data.url, "http://gallery.test/a/" + res.body.id);
+
+    // a duplicate is not news
+    await publish(call, { waitUntil: (p) => pending.push(p) });
+    assert.equal(pending.length, 1);
+  });
+
+  it("keeps the publish response when every delivery fails", async () => {
+    const { webhooks } = hooks([new TypeError("fetch failed")]);
+    const pending = [];
+    const call = appClient(ADAPTERS.memory(), { webhooks });
+    const res = await publish(call, { waitUntil: (p) => pending.push(p) });
+    assert.deepEqual([res.status, res.body.duplicate], [200, false]);
+    const [result] = await quietly(() => pending[0]);
+    assert.equal(result.ok, false);
+    assert.equal((await call("GET", "/api/v1/artwork/" + res.body.id)).status, 200);
+  });
+});
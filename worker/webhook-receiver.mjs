@@ -0,0 +1,41 @@
+/* Local webhook receiver — prints each delivery and checks its signature.
+     WEBHOOK_SECRET=dev bun run worker/webhook-receiver.mjs   (PORT env optional, default 8788)
+     FAIL_FIRST=2 …   answer 503 to the first 2 attempts of every delivery,
+                      to watch the Worker retry with backoff
+   Point the dev server at it:
+     WEBHOOK_URLS=http://localhost:8788 WEBHOOK_SECRET=dev bun run worker/dev-server.mjs */
+import { verifySignature } from "./src/webhooks.js";
+
+const secret = process.env.WEBHOOK_SECRET;
+if (!secret) {
+  console.error("usage: WEBHOOK_SECRET=… bun run worker/webhook-receiver.mjs");
+  process.exit(1);
+}
+const failFirst = Number(process.env.FAIL_FIRST || 0);
+const attempts = new Map();   // delivery id -> attempts seen
+const port = Number(process.env.PORT || 8788);
+
+Bun.serve({
+  port,
+  async fetch(req) {
+    if (req.method !== "POST") return new Response("POST webhooks here\n");
+    const body = await req.text();
+    const delivery = req.headers.get("X-Pixel-Delivery") || "?";
+    const n = (attempts.get(delivery) || 0) + 1;
+    attempts.set(delivery, n);
+    const ok = await verifySignature(body, req.headers.get("X-Pixel-Signature"), secret);
+    if (!ok) {
+      console.log(`✗ ${delivery} attempt ${n}: bad signature`);
+      return new Response("bad signature\n", { status: 401 });
+    }
+    if (n <= failFirst) {
+      console.log(`… ${delivery} attempt ${n}: answering 503 (FAIL_FIRST=${failFirst})`);
+      return new Response("try again\n", { status: 503 });
+    }
+    const event = JSON.parse(body);
+    const item = (event.data && event.data.item) || {};
+    console.log(`✓ ${delivery} attempt ${n}: ${event.type} "${item.title}" (${item.lab}) ${event.data && event.data.url}`);
+    return new Response(null, { status: 204 });
+  },
+});
+console.log(`Webhook receiver → http://localhost:${port}`);